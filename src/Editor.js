@@ -6,10 +6,13 @@ import PropTypes from 'prop-types';
 
 import { EditorTools, EditorIdGenerator } from './EditorTools.js';
 import { EditorPosition } from './EditorPosition.js';
+import { EditorRegion } from './EditorRegion.js';
 import { EditorLine } from './EditorLine.js';
 import { EditorCursor } from './EditorCursor.js';
 import { EditorStore } from './EditorStore.js';
 import { EditorMinimap } from './EditorMinimap.js';
+import { EditorSearch } from './EditorSearch.js';
+import { EditorClipboardHistory } from './EditorClipboardHistory.js';
 
 /* --------------------------------------------------------------------------------------------------------------------------- */
 
@@ -24,24 +27,33 @@ class RenderLineNumbers extends React.Component {
     this.forceUpdate ();
   }
 
-  onLinesChanged () {
-    this.forceUpdate ();
+  onLinesChanged (changes) {
+    /* The line numbers only need to be rendered if the number of lines has changed */
+    if (changes.some (change => change.lineDelta !== 0)) {
+      this.forceUpdate ();
+    }
   }
 
   onMetricsChanged () {
     this.forceUpdate ();
   }
 
+  onFoldsChanged () {
+    this.forceUpdate ();
+  }
+
   componentDidMount () {
     this.props.store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
     this.props.store.viewMetrics.Scroll.bindTo (this, this.onScroll);
     this.props.store.viewMetrics.CharWidthChanged.bindTo (this, this.onMetricsChanged);
+    this.props.store.folds.Changed.bindTo (this, this.onFoldsChanged);
   }
 
   componentWillUnmount () {
-    this.props.store.LinesChanged.unbindFrom (this);
+    this.props.store.lines.LinesChanged.unbindFrom (this);
     this.props.store.viewMetrics.Scroll.unbindFrom (this);
     this.props.store.viewMetrics.CharWidthChanged.unbindFrom (this);
+    this.props.store.folds.Changed.unbindFrom (this);
   }
 
   static charWidth (store) {
@@ -55,13 +67,16 @@ class RenderLineNumbers extends React.Component {
       const metrics     = store.viewMetrics;
       const first_line  = metrics.scrollTopLine;
       const last_line   = metrics.scrollBottomLine;
-      const line_height = metrics.lineHeight;
-      const lines       = store.lines.filter (line => line.index >= first_line && line.index <= last_line).map (line => {
-        return <span key={line.id} style={{ top: line.index * metrics.lineHeight }}>{1 + line.index}</span>;
-      });
+      const lines       = [];
+
+      for (var index = first_line; index <= last_line && index < store.lines.length; index++) {
+        if (!store.folds.isHidden (index)) {
+          lines.push (<span key={index} style={{ top: metrics.lineTop (index) }}>{1 + index}</span>);
+        }
+      }
 
       return (
-        <div ref="lines" className="line-numbers" style={{ width: metrics.charWidth * width, height: store.lines.length * metrics.lineHeight }}>
+        <div ref="lines" className="line-numbers" style={{ width: metrics.charWidth * width, height: metrics.contentHeight }}>
           {lines}
         </div>
       );
@@ -98,7 +113,7 @@ class RenderGutterMarker extends React.Component {
         <div className="gutter-element"
              style={{
                left:   0,
-               top:    line.index * metrics.lineHeight,
+               top:    metrics.lineTop (line.index),
                width:  metrics.charWidth,
                height: metrics.lineHeight
              }}>
@@ -113,25 +128,109 @@ RenderGutterMarker.propTypes = {
   line: PropTypes.instanceOf (EditorLine).isRequired
 };
 
+class RenderGutterDiagnostic extends React.Component {
+  render () {
+    const line        = this.props.line;
+    const diagnostics = this.props.diagnostics;
+    const metrics     = line.collection.store.viewMetrics;
+
+    /* The icon shows the most severe diagnostic, and the title lists all the messages for the line */
+    return (
+      <div className={"gutter-diagnostic " + diagnostics[0].severity}
+           title={diagnostics.map (diagnostic => diagnostic.message).join ("\n")}
+           style={{
+             left:   metrics.charWidth,
+             top:    metrics.lineTop (line.index),
+             width:  metrics.charWidth,
+             height: metrics.lineHeight
+           }} />
+    );
+  }
+}
+
+RenderGutterDiagnostic.propTypes = {
+  line:        PropTypes.instanceOf (EditorLine).isRequired,
+  diagnostics: PropTypes.array.isRequired
+};
+
+class RenderGutterFold extends React.Component {
+  onClick (event) {
+    const line = this.props.line;
+
+    line.collection.store.folds.toggle (line.index);
+    event.stopPropagation ();
+  }
+
+  render () {
+    const line    = this.props.line;
+    const store   = line.collection.store;
+    const metrics = store.viewMetrics;
+    const classes = {
+      "gutter-fold": true,
+      "folded":      store.folds.isFolded (line.index)
+    };
+
+    return (
+      <div className={EditorTools.classes (classes)}
+           style={{
+             left:   2 * metrics.charWidth,
+             top:    metrics.lineTop (line.index),
+             width:  metrics.charWidth,
+             height: metrics.lineHeight
+           }}
+           onClick={(event) => this.onClick (event)} />
+    );
+  }
+}
+
+RenderGutterFold.propTypes = {
+  line: PropTypes.instanceOf (EditorLine).isRequired
+};
+
 class RenderGutter extends React.Component {
   onLinesChanged () {
     this.forceUpdate ();
   }
 
+  onLineContentChanged () {
+    /* Editing a line can change whether it can be folded */
+    this.forceUpdate ();
+  }
+
+  onDiagnosticsChanged () {
+    this.forceUpdate ();
+  }
+
+  onFoldsChanged () {
+    this.forceUpdate ();
+  }
+
   onDimensionsChanged () {
     this.forceUpdate ();
   }
 
+  onScroll () {
+    this.forceUpdate ();
+  }
+
   componentDidMount () {
     this.props.store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
+    this.props.store.lines.LineContentChanged.bindTo (this, this.onLineContentChanged);
     this.props.store.viewMetrics.LineHeightChanged.bindTo (this, this.onDimensionsChanged);
     this.props.store.viewMetrics.CharWidthChanged.bindTo (this, this.onDimensionsChanged);
+    this.props.store.viewMetrics.Scroll.bindTo (this, this.onScroll);
+    this.props.store.diagnostics.Changed.bindTo (this, this.onDiagnosticsChanged);
+    this.props.store.folds.Changed.bindTo (this, this.onFoldsChanged);
   }
 
   componentWillUnmount () {
     this.props.store.lines.LinesChanged.unbindFrom (this);
+    this.props.store.lines.LineContentChanged.unbindFrom (this);
     this.props.store.viewMetrics.LineHeightChanged.unbindFrom (this);
     this.props.store.viewMetrics.CharWidthChanged.unbindFrom (this);
+    this.props.store.viewMetrics.Scroll.unbindFrom (this);
+    this.props.store.diagnostics.Changed.unbindFrom (this);
+    this.props.store.folds.Changed.unbindFrom (this);
   }
 
   static charLeft (store) {
@@ -144,18 +243,39 @@ class RenderGutter extends React.Component {
     const store = this.props.store;
     if (store.config.lineGutter) {
       const left     = RenderGutter.charLeft (store);
-      const elements = store.lines.filter (line => line.marker !== null).map ((line, index) => {
-        return <RenderGutterMarker key={index} line={line} />;
+      const metrics  = store.viewMetrics;
+      const visible  = store.lines.getLines (metrics.scrollTopLine, metrics.scrollBottomLine).filter (line => {
+        return !store.folds.isHidden (line.index);
+      });
+
+      const elements = visible.map (line => {
+        return <RenderGutterMarker key={line.id} line={line} />;
+      });
+
+      const diagnostics = visible.map (line => {
+        const line_diagnostics = store.diagnostics.getLineDiagnostics (line.index);
+
+        if (line_diagnostics.length > 0) {
+          return <RenderGutterDiagnostic key={"diag_" + line.id} line={line} diagnostics={line_diagnostics} />;
+        } else return null;
+      });
+
+      const folds = visible.map (line => {
+        if (store.folds.isFolded (line.index) || store.lines.indentRegions.isFoldable (line.index)) {
+          return <RenderGutterFold key={"fold_" + line.id} line={line} />;
+        } else return null;
       });
 
       return (
         <div className="gutter"
              style={{
                left:   left * store.viewMetrics.charWidth,
-               width:  2 * store.viewMetrics.charWidth,
-               height: store.lines.length * store.viewMetrics.lineHeight,
+               width:  3 * store.viewMetrics.charWidth,
+               height: store.viewMetrics.contentHeight,
              }}>
           {elements}
+          {diagnostics}
+          {folds}
         </div>
       );
     } else return null;
@@ -199,11 +319,13 @@ class RenderIndentRegions extends React.Component {
     const columns = regions.map ((region, column) => {
       const left   = column * tab_size * metrics.charWidth;
       const blocks = region.filter (block => block.start <= last_line).map ((block, index) => {
+        const top = metrics.lineTop (block.start);
+
         return <div key={index}
                     style={{
                       left:   left,
-                      top:    block.start * metrics.lineHeight,
-                      height: (1 + (block.end - block.start)) * metrics.lineHeight
+                      top:    top,
+                      height: metrics.lineTop (block.end) + metrics.lineHeight - top
                     }} />;
       });
 
@@ -259,6 +381,9 @@ class RenderCursor extends React.Component {
       "secondary": !cursor.primary
     };
 
+    /* A cursor in virtual space is drawn past the end of its line */
+    client.left += cursor.virtualSpace * this.props.store.viewMetrics.charWidth;
+
     /* Make sure that the initial visibility of a cursor corresponds to all others */
     client.visibility = this.props.store.cursors.blinkIndex ? "visible" : "hidden";
     client.height     = this.props.store.viewMetrics.lineHeight;
@@ -283,12 +408,16 @@ class RenderCursorSelection extends React.Component {
 
     this.selection_blocks = [];
     for (var i = selection.startLine; i <= selection.endLine; i++) {
+      if (store.folds.isHidden (i)) {
+        continue;
+      }
+
       const line  = store.lines.get (i);
-      const left  = i === selection.startLine ? selection.startColumn : 0;
-      const right = i === selection.endLine ? selection.endColumn : line.length;
+      const left  = line.visualColumn (i === selection.startLine ? selection.startColumn : 0);
+      const right = line.visualColumn (i === selection.endLine ? selection.endColumn : line.length);
 
       this.selection_blocks.push ({
-        top:    i * line_height,
+        top:    store.viewMetrics.lineTop (i),
         left:   left * char_width,
         width:  (right - left) * char_width,
         height: line_height + 1
@@ -307,12 +436,18 @@ class RenderCursorSelection extends React.Component {
     this.computeLineBlocks ();
   }
 
+  onFoldsChanged () {
+    this.onSelectionChanged ();
+  }
+
   componentDidMount () {
     this.props.cursor.SelectionChanged.bindTo (this, this.onSelectionChanged);
+    this.props.cursor.collection.store.folds.Changed.bindTo (this, this.onFoldsChanged);
   }
 
   componentWillUnmount () {
     this.props.cursor.SelectionChanged.unbindFrom (this);
+    this.props.cursor.collection.store.folds.Changed.unbindFrom (this);
   }
 
   render () {
@@ -345,6 +480,7 @@ class RenderCursorContainer extends React.Component {
 
     this.props.store.cursors.primary.PositionChanged.bindTo (this, this.onCursorUpdated);
     this.props.store.cursors.primary.SelectionChanged.bindTo (this, this.onCursorUpdated);
+    this.props.store.composition.Changed.bindTo (this, this.onCursorUpdated);
   }
 
   componentWillUnmount () {
@@ -353,6 +489,7 @@ class RenderCursorContainer extends React.Component {
 
     this.props.store.cursors.primary.PositionChanged.unbindFrom (this);
     this.props.store.cursors.primary.SelectionChanged.unbindFrom (this);
+    this.props.store.composition.Changed.unbindFrom (this);
   }
 
   render () {
@@ -372,7 +509,8 @@ class RenderCursorContainer extends React.Component {
     const encapsulators      = store.cursors.map ((cursor, index) => {
       const offset = cursor.getEncapsulatorOffset ();
       if (offset !== null) {
-        const style = Object.assign ({}, encapsulator_style, { marginLeft: offset * store.viewMetrics.charWidth }, store.viewMetrics.indicesToClient (cursor.position));
+        const position = new EditorPosition (cursor.position.line, cursor.position.column + offset);
+        const style    = Object.assign ({}, encapsulator_style, store.viewMetrics.indicesToClient (position));
         return <div key={index} className="encapsulator-marker" style={style} />;
       } else return null;
     });
@@ -385,9 +523,20 @@ class RenderCursorContainer extends React.Component {
       } else return null;
     });
 
+    /* The text of a composition that is in progress is shown at each cursor, over the text that follows it */
+    const composition  = store.composition;
+    const compositions = composition.active && composition.text.length > 0 ? store.cursors.map ((cursor, index) => {
+      const style = store.viewMetrics.indicesToClient (cursor.position);
+
+      style.left  += cursor.virtualSpace * store.viewMetrics.charWidth;
+      style.height = store.viewMetrics.lineHeight;
+      return <div key={"composition_" + index} className="composition" style={style}>{composition.text}</div>;
+    }) : null;
+
     return (
       <div className="cursors">
         {selections}
+        {compositions}
         {cursors}
         {encapsulators}
         {alt_encapsulators}
@@ -402,11 +551,88 @@ RenderCursorContainer.propTypes = {
 
 /* --------------------------------------------------------------------------------------------------------------------------- */
 
+class RenderInput extends React.Component {
+  onCursorUpdated () {
+    /* Follow the primary cursor, so that the browser shows the window of an input method next to it */
+    this.forceUpdate ();
+  }
+
+  focus () {
+    this.refs.input.focus ();
+  }
+
+  onBeforeInput (event) {
+    if (!event.isComposing && this.props.store.composition.input (event.inputType, event.data)) {
+      event.preventDefault ();
+    }
+  }
+
+  onInput (event) {
+    const input       = this.refs.input;
+    const composition = this.props.store.composition;
+
+    /* Browsers without the `beforeinput` event leave the text in the text area, from where we take it */
+    if (!composition.active) {
+      if (input.value.length > 0) {
+        composition.insert (input.value);
+      }
+
+      input.value = "";
+    }
+  }
+
+  onCompositionEnd (event) {
+    this.props.store.composition.end (event.data);
+    this.refs.input.value = "";
+  }
+
+  componentDidMount () {
+    this.props.store.cursors.primary.PositionChanged.bindTo (this, this.onCursorUpdated);
+    this.removeBeforeInput = EditorTools.listen (this.refs.input, "beforeinput", (event) => this.onBeforeInput (event));
+  }
+
+  componentWillUnmount () {
+    this.props.store.cursors.primary.PositionChanged.unbindFrom (this);
+    this.removeBeforeInput ();
+    this.removeBeforeInput = null;
+  }
+
+  render () {
+    const store       = this.props.store;
+    const composition = store.composition;
+    const client      = store.viewMetrics.indicesToClient (store.cursors.primary.position);
+
+    return (
+      <textarea ref="input" className="input" tabIndex={-1} spellCheck={false}
+                autoComplete="off" autoCorrect="off" autoCapitalize="off"
+                style={{ left: client.left, top: client.top, height: store.viewMetrics.lineHeight }}
+                onInput={(event) => this.onInput (event)}
+                onCompositionStart={(event) => composition.start ()}
+                onCompositionUpdate={(event) => composition.update (event.data)}
+                onCompositionEnd={(event) => this.onCompositionEnd (event)} />
+    );
+  }
+}
+
+RenderInput.propTypes = {
+  store: PropTypes.instanceOf (EditorStore).isRequired
+};
+
+/* --------------------------------------------------------------------------------------------------------------------------- */
+
 class RenderLine extends React.Component {
   onContentChanged () {
     this.forceUpdate ();
   }
 
+  onDecorationsChanged (first_line, last_line) {
+    const index = this.props.line.index;
+
+    if (index >= first_line && index <= last_line) {
+      this.forceUpdate ();
+    }
+  }
+
   onActiveLineChanged (prev_active, next_active) {
     if (prev_active === next_active) return;
 
@@ -421,11 +647,33 @@ class RenderLine extends React.Component {
   componentDidMount () {
     this.props.line.ContentChanged.bindTo (this, this.onContentChanged);
     this.props.store.ActiveLineChanged.bindTo (this, this.onActiveLineChanged);
+    this.props.store.decorations.Changed.bindTo (this, this.onDecorationsChanged);
   }
 
   componentWillUnmount () {
     this.props.line.ContentChanged.unbindFrom (this);
     this.props.store.ActiveLineChanged.unbindFrom (this);
+    this.props.store.decorations.Changed.unbindFrom (this);
+  }
+
+  onPlaceholderClick (event) {
+    this.props.store.folds.unfold (this.props.line.index);
+    event.stopPropagation ();
+  }
+
+  renderPlaceholder () {
+    const line    = this.props.line;
+    const metrics = this.props.store.viewMetrics;
+
+    if (this.props.store.folds.isFolded (line.index)) {
+      return (
+        <span className="fold-placeholder"
+              style={{ left: (1 + line.visualColumn (line.length)) * metrics.charWidth }}
+              onClick={(event) => this.onPlaceholderClick (event)}>
+          [...]
+        </span>
+      );
+    } else return null;
   }
 
   render () {
@@ -434,17 +682,33 @@ class RenderLine extends React.Component {
     const primary   = this.props.store.cursors.primary;
     const className = {
       "line":         true,
-      "current-line": line.index === primary.line
+      "current-line": line.index === primary.line,
+      "folded":       this.props.store.folds.isFolded (line.index)
     };
 
+    /* Decorations are positioned over the highlighted content of the line */
+    const decorations = this.props.store.decorations.getLineDecorations (line.index).map ((range, index) => {
+      const left = line.visualColumn (range.start);
+
+      return <span key={index}
+                   className={"decoration " + range.className}
+                   style={{
+                     left:  left * metrics.charWidth,
+                     width: (line.visualColumn (range.end) - left) * metrics.charWidth
+                   }} />;
+    });
+
     return (
       <div ref="line"
            className={EditorTools.classes (className)}
            style={{
-             top:    line.index * metrics.lineHeight,
+             top:    metrics.lineTop (line.index),
              height: metrics.lineHeight
-           }}
-           dangerouslySetInnerHTML={{ __html: line.render }} />
+           }}>
+        <span className="content" dangerouslySetInnerHTML={{ __html: line.render }} />
+        {decorations}
+        {this.renderPlaceholder ()}
+      </div>
     );
   }
 }
@@ -457,61 +721,183 @@ RenderLine.propTypes = {
 /* --------------------------------------------------------------------------------------------------------------------------- */
 
 class RenderLines extends React.Component {
-  getClickLocation (event) {
+  getClickOffset (event) {
     const lines = this.refs.lines;
     const crect = lines.getBoundingClientRect ();
-    const top   = (event.clientY - crect.top) + lines.scrollTop;
-    const left  = (event.clientX - crect.left) + lines.scrollLeft;
 
-    return this.props.store.viewMetrics.clientToIndices (left, top);
+    return {
+      top:  (event.clientY - crect.top) + lines.scrollTop,
+      left: (event.clientX - crect.left) + lines.scrollLeft
+    };
+  }
+
+  getClickLocation (event) {
+    const offset = this.getClickOffset (event);
+    return this.props.store.viewMetrics.clientToIndices (offset.left, offset.top);
+  }
+
+  getClickVisual (event) {
+    const offset  = this.getClickOffset (event);
+    const metrics = this.props.store.viewMetrics;
+
+    /* The line under the mouse, with the visual column (which may be past the end of the line) */
+    return new EditorPosition (metrics.clientToIndices (offset.left, offset.top).line,
+                               Math.max (0, Math.round (offset.left / metrics.charWidth)));
   }
 
-  onViewClick (event) {
+  onViewMouseDown (event) {
     const store    = this.props.store;
     const cursors  = store.cursors;
     const location = this.getClickLocation (event);
+    var   cursor   = cursors.primary, anchor, unit = "character";
 
-    cursors.removeSecondary ();
-
-    if (this.tripleTimeout) {
-      window.clearTimeout (this.tripleTimeout);
-      this.tripleTimeout = null;
+    if (event.button !== 0) {
+      return;
+    }
 
-      const line = store.lines.get (location.line);
-      if (line) {
-        cursors.primary.selectLine (line);
+    if (event.altKey && event.shiftKey) {
+      /* Alt+Shift+drag makes a box selection */
+      unit   = "box";
+      anchor = this.getClickVisual (event);
+      cursors.selectBox (anchor, anchor);
+    } else if (event.altKey) {
+      /* Alt+click adds a cursor (which can be dragged to select), or removes the cursor that was clicked */
+      cursor = cursors.toggleCursorAt (location);
+      if (!cursor) {
+        return;
       }
+
+      anchor = EditorRegion.fromPosition (cursor.position);
+    } else if (event.shiftKey) {
+      /* Shift+click extends the selection of the primary cursor from its pivot */
+      cursors.removeSecondary ();
+      anchor = EditorRegion.fromPosition (cursor.selection ? cursor.selection.pivot : cursor.position);
+      cursor.dragSelection (anchor, location);
     } else {
-      cursors.primary.removeSelection ();
-      cursors.primary.setPosition (location, event.shiftKey);
+      /* A double-click selects (and drags) by word, and a triple-click by line */
+      unit   = event.detail === 2 ? "word" : (event.detail >= 3 ? "line" : "character");
+      anchor = cursor.getUnitRegion (location, unit);
+
+      cursors.removeSecondary ();
+      cursor.removeSelection ();
+      cursor.dragSelection (anchor, location, unit);
+    }
+
+    this.startDrag (event, cursor, anchor, unit);
+  }
+
+  startDrag (event, cursor, anchor, unit) {
+    this.drag = { cursor: cursor, anchor: anchor, unit: unit, clientX: event.clientX, clientY: event.clientY };
+
+    this.removeMouseMove = EditorTools.listen (document, "mousemove", (event) => this.onDragMouseMove (event));
+    this.removeMouseUp   = EditorTools.listen (document, "mouseup", (event) => this.stopDrag ());
+    this.dragInterval    = window.setInterval (() => this.onDragScroll (), 50);
+  }
+
+  stopDrag () {
+    if (this.drag) {
+      this.drag = null;
+
+      this.removeMouseMove ();
+      this.removeMouseMove = null;
+
+      this.removeMouseUp ();
+      this.removeMouseUp = null;
+
+      window.clearInterval (this.dragInterval);
+      this.dragInterval = null;
     }
   }
 
-  onViewDoubleClick (event) {
-    if (this.tripleTimeout) {
-      window.clearTimeout (this.tripleTimeout);
-      this.tripleTimeout = null;
+  onDragMouseMove (event) {
+    this.drag.clientX = event.clientX;
+    this.drag.clientY = event.clientY;
+    this.updateDrag ();
+  }
+
+  onDragScroll () {
+    const metrics = this.props.store.viewMetrics;
+    const lines   = this.refs.lines;
+    const view    = lines.parentNode.getBoundingClientRect ();
+    const text    = lines.getBoundingClientRect ();
+    var   delta   = 0, delta_x = 0;
+
+    /* Scroll towards the mouse when it is dragged past an edge of the view, faster the further away it is */
+    if (this.drag.clientY < view.top) {
+      delta = Math.min (-metrics.lineHeight, this.drag.clientY - view.top);
+    } else if (this.drag.clientY > view.bottom) {
+      delta = Math.max (metrics.lineHeight, this.drag.clientY - view.bottom);
     }
 
-    this.tripleTimeout = window.setTimeout (() => {
-      this.tripleTimeout = null;
+    /* The lines scroll horizontally on their own, between the gutter and the minimap */
+    if (this.drag.clientX < text.left && lines.scrollLeft > 0) {
+      delta_x = Math.min (-metrics.charWidth, this.drag.clientX - text.left);
+    } else if (this.drag.clientX > text.right && lines.scrollLeft < lines.scrollWidth - lines.clientWidth) {
+      delta_x = Math.max (metrics.charWidth, this.drag.clientX - text.right);
+    }
 
-      const cursors = this.props.store.cursors;
-      cursors.removeSecondary ();
-      cursors.primary.selectWord ();
-    }, 150);
+    if (delta !== 0) {
+      metrics.scrollTo (Math.min (metrics.contentHeight - metrics.viewHeight, metrics.scrollTop + delta));
+    }
+
+    if (delta_x !== 0) {
+      lines.scrollLeft += delta_x;
+    }
+
+    if (delta !== 0 || delta_x !== 0) {
+      this.updateDrag ();
+    }
   }
 
-  onViewTripleClicked (event) {
-    const location = this.getClickLocation (event);
-    const line     = this.store.lines.get (location.line);
+  updateDrag () {
+    const drag    = this.drag;
+    const cursors = this.props.store.cursors;
 
-    if (line) {
-      store.cursors.removeSecondary ();
-      store.cursors.primary.selectLine (line);
+    if (drag.cursor !== cursors.primary && cursors.secondary.indexOf (drag.cursor) === -1) {
+      /* The cursor was removed (such as by Escape) while we were dragging it */
+      this.stopDrag ();
+    } else if (drag.unit === "box") {
+      cursors.selectBox (drag.anchor, this.getClickVisual (drag));
+    } else drag.cursor.dragSelection (drag.anchor, this.getClickLocation (drag), drag.unit);
+  }
+
+  onViewMouseMove (event) {
+    const store       = this.props.store;
+    const location    = this.getClickLocation (event);
+    const diagnostics = store.diagnostics.getAt (location);
+    const previous    = this.hover ? this.hover.diagnostics : [];
+
+    /* Only render again when the diagnostics under the mouse have changed */
+    if (diagnostics.length !== previous.length || diagnostics.some ((diagnostic, index) => diagnostic !== previous[index])) {
+      this.hover = diagnostics.length > 0 ? { diagnostics: diagnostics, location: location } : null;
+      this.forceUpdate ();
     }
   }
 
+  onViewMouseLeave (event) {
+    if (this.hover) {
+      this.hover = null;
+      this.forceUpdate ();
+    }
+  }
+
+  renderHover () {
+    const store = this.props.store;
+
+    if (this.hover) {
+      const client   = store.viewMetrics.indicesToClient (this.hover.diagnostics[0].decoration.region.start);
+      const messages = this.hover.diagnostics.map ((diagnostic, index) => {
+        return <div key={index} className={"message " + diagnostic.severity}>{diagnostic.message}</div>;
+      });
+
+      return (
+        <div className="diagnostic-hover" style={{ left: client.left, top: client.top + store.viewMetrics.lineHeight }}>
+          {messages}
+        </div>
+      );
+    } else return null;
+  }
+
   onDimensionsChanged () {
     this.forceUpdate ();
   }
@@ -520,21 +906,45 @@ class RenderLines extends React.Component {
     this.forceUpdate ();
   }
 
+  onSyntaxChanged (index) {
+    if (index <= this.props.store.viewMetrics.scrollBottomLine) {
+      this.forceUpdate ();
+    }
+  }
+
   onScroll (prev_scroll, next_scroll) {
     this.forceUpdate ();
   }
 
+  onFoldsChanged () {
+    this.forceUpdate ();
+  }
+
+  onDiagnosticsChanged () {
+    if (this.hover) {
+      this.hover = null;
+      this.forceUpdate ();
+    }
+  }
+
   componentDidMount () {
     this.props.store.theme.extractFromDOM (this.refs.lines);
     this.props.store.viewMetrics.CharWidthChanged.bindTo (this, this.onDimensionsChanged);
     this.props.store.viewMetrics.Scroll.bindTo (this, this.onScroll);
     this.props.store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
+    this.props.store.lines.SyntaxChanged.bindTo (this, this.onSyntaxChanged);
+    this.props.store.diagnostics.Changed.bindTo (this, this.onDiagnosticsChanged);
+    this.props.store.folds.Changed.bindTo (this, this.onFoldsChanged);
   }
 
   componentWillUnmount () {
+    this.stopDrag ();
     this.props.store.viewMetrics.CharWidthChanged.unbindFrom (this);
     this.props.store.viewMetrics.Scroll.unbindFrom (this);
     this.props.store.lines.LinesChanged.unbindFrom (this);
+    this.props.store.lines.SyntaxChanged.unbindFrom (this);
+    this.props.store.diagnostics.Changed.unbindFrom (this);
+    this.props.store.folds.Changed.unbindFrom (this);
   }
 
   getLeftOffset () {
@@ -542,7 +952,7 @@ class RenderLines extends React.Component {
     const numbers_width = RenderGutter.charLeft (store);
 
     if (store.config.lineGutter) {
-      return store.viewMetrics.charWidth * (2 + numbers_width);
+      return store.viewMetrics.charWidth * (3 + numbers_width);
     } else return store.viewMetrics.charWidth * numbers_width;
   }
 
@@ -552,8 +962,8 @@ class RenderLines extends React.Component {
     const left_offset = this.getLeftOffset ();
     const first_line  = store.viewMetrics.scrollTopLine;
     const last_line   = store.viewMetrics.scrollBottomLine;
-    const lines       = store.lines.filter (line => {
-      return line.index >= first_line && line.index <= last_line;
+    const lines       = store.lines.getLines (first_line, last_line).filter (line => {
+      return !store.folds.isHidden (line.index);
     }).map (line => {
       return <RenderLine key={line.id} store={store} line={line} />;
     });
@@ -562,14 +972,18 @@ class RenderLines extends React.Component {
       <div ref="lines" className="lines"
            style={{
              left:   left_offset,
-             height: store.viewMetrics.lineHeight * store.lines.length,
+             height: store.viewMetrics.contentHeight,
              right:  right
            }}
-           onClick={(event) => this.onViewClick (event)}
-           onDoubleClick={(event) => this.onViewDoubleClick (event)}>
+           onMouseDown={(event) => this.onViewMouseDown (event)}
+           onMouseMove={(event) => this.onViewMouseMove (event)}
+           onMouseLeave={(event) => this.onViewMouseLeave (event)}>
         {lines}
         <RenderIndentRegions store={store} />
         <RenderCursorContainer store={store} />
+        <RenderInput ref="input" store={store} />
+        {this.renderHover ()}
+        {store.pasteHistory.visible ? <RenderPasteHistory store={store} /> : null}
       </div>
     );
   }
@@ -650,7 +1064,7 @@ RenderMinimapSlider.propTypes = {
 class RenderMinimap extends React.Component {
   onScroll (prev_scroll, next_scroll) {
     const store = this.props.store;
-    const limit = store.viewMetrics.lineHeight * store.lines.length - store.viewMetrics.viewHeight;
+    const limit = store.viewMetrics.contentHeight - store.viewMetrics.viewHeight;
     this.refs.minimap.style.top = Math.max (0, Math.min (next_scroll, limit)) + "px";
   }
 
@@ -667,11 +1081,12 @@ class RenderMinimap extends React.Component {
 
   onCanvasClick (event) {
     const minimap = this.minimap;
+    const folds   = this.props.store.folds;
     const crect   = this.refs.minimap.getBoundingClientRect ();
     const offset  = event.clientY - crect.top;
-    const line    = Math.min (this.props.store.lines.length, minimap.lineStart + offset / EditorMinimap.CHAR_HEIGHT);
+    const row     = Math.min (folds.rowCount - 1, folds.lineToRow (minimap.lineStart) + Math.floor (offset / EditorMinimap.CHAR_HEIGHT));
 
-    this.props.store.viewMetrics.scrollToLine (line, true);
+    this.props.store.viewMetrics.scrollToLine (folds.rowToLine (row), true);
   }
 
   refreshMinimap () {
@@ -717,6 +1132,227 @@ RenderMinimap.propTypes = {
 
 /* --------------------------------------------------------------------------------------------------------------------------- */
 
+class RenderSearchBar extends React.Component {
+  onSearchChanged () {
+    this.forceUpdate ();
+  }
+
+  onScroll (prev_scroll, next_scroll) {
+    this.refs.bar.style.top = next_scroll + "px";
+  }
+
+  onKeyDown (event, field) {
+    const search = this.props.store.search;
+
+    /* Keys pressed in the search bar are not passed on to the keymap of the editor */
+    event.stopPropagation ();
+
+    if (event.key === "Escape") {
+      event.preventDefault ();
+      search.close ();
+    } else if (event.key === "Enter") {
+      event.preventDefault ();
+
+      if (field === "replacement") {
+        if (event.ctrlKey && event.altKey) {
+          search.replaceAll ();
+        } else search.replace ();
+      } else if (event.shiftKey) {
+        search.findPrevious ();
+      } else search.findNext ();
+    } else if (event.key === "F3") {
+      event.preventDefault ();
+
+      if (event.shiftKey) {
+        search.findPrevious ();
+      } else search.findNext ();
+    }
+  }
+
+  onScopeClick () {
+    const search    = this.props.store.search;
+    const selection = this.props.store.cursors.primary.selection;
+
+    if (search.scope) {
+      search.setScope (null);
+    } else if (selection && !selection.region.empty) {
+      search.setScope (selection.region);
+    }
+  }
+
+  componentDidMount () {
+    this.props.store.search.Changed.bindTo (this, this.onSearchChanged);
+    this.props.store.viewMetrics.Scroll.bindTo (this, this.onScroll);
+
+    this.refs.query.focus ();
+    this.refs.query.select ();
+  }
+
+  componentWillUnmount () {
+    this.props.store.search.Changed.unbindFrom (this);
+    this.props.store.viewMetrics.Scroll.unbindFrom (this);
+  }
+
+  renderToggle (name, label, title) {
+    const search = this.props.store.search;
+    const option = {};
+
+    option[name] = !search[name];
+    return (
+      <button className={"toggle" + (search[name] ? " active" : "")} title={title}
+              onClick={() => search.setOptions (option)}>
+        {label}
+      </button>
+    );
+  }
+
+  renderCount () {
+    const search = this.props.store.search;
+
+    if (search.error) {
+      return <span className="count error" title={search.error}>Invalid expression</span>;
+    } else if (search.query.length === 0) {
+      return <span className="count" />;
+    } else if (search.matches.length === 0) {
+      return <span className="count">No results</span>;
+    } else {
+      const total = search.matches.length + (search.matches.length >= EditorSearch.MAX_MATCHES ? "+" : "");
+      return <span className="count">{(search.current === -1 ? "?" : 1 + search.current) + " of " + total}</span>;
+    }
+  }
+
+  render () {
+    const store  = this.props.store;
+    const search = store.search;
+
+    const replace_row = search.replacing ? (
+      <div className="row">
+        <input type="text" placeholder="Replace" value={search.replacement}
+               onChange={(event) => search.setReplacement (event.target.value)}
+               onKeyDown={(event) => this.onKeyDown (event, "replacement")} />
+        <button title="Replace (Enter)" onClick={() => search.replace ()}>Replace</button>
+        <button title="Replace All (Ctrl+Alt+Enter)" onClick={() => search.replaceAll ()}>All</button>
+      </div>
+    ) : null;
+
+    return (
+      <div ref="bar" className="search-bar" style={{ top: store.viewMetrics.scrollTop }}
+           onCopy={(event) => event.stopPropagation ()}
+           onCut={(event) => event.stopPropagation ()}
+           onPaste={(event) => event.stopPropagation ()}>
+        <div className="row">
+          <input ref="query" type="text" placeholder="Find" value={search.query}
+                 className={search.error ? "error" : ""}
+                 onChange={(event) => search.setQuery (event.target.value)}
+                 onKeyDown={(event) => this.onKeyDown (event, "query")} />
+          {this.renderToggle ("caseSensitive", "Aa", "Match Case")}
+          {this.renderToggle ("wholeWord", "W", "Match Whole Word")}
+          {this.renderToggle ("regex", ".*", "Use Regular Expression")}
+          <button className={"toggle" + (search.scope ? " active" : "")} title="Find in Selection"
+                  onClick={() => this.onScopeClick ()}>
+            &equiv;
+          </button>
+          {this.renderCount ()}
+          <button title="Previous Match (Shift+Enter)" onClick={() => search.findPrevious ()}>&uarr;</button>
+          <button title="Next Match (Enter)" onClick={() => search.findNext ()}>&darr;</button>
+          <button title="Close (Escape)" onClick={() => search.close ()}>&times;</button>
+        </div>
+        {replace_row}
+      </div>
+    );
+  }
+}
+
+RenderSearchBar.propTypes = {
+  store: PropTypes.instanceOf (EditorStore).isRequired
+};
+
+/* --------------------------------------------------------------------------------------------------------------------------- */
+
+class RenderPasteHistory extends React.Component {
+  onPasteHistoryChanged () {
+    this.forceUpdate ();
+  }
+
+  onKeyDown (event) {
+    const paste_history = this.props.store.pasteHistory;
+
+    /* Keys pressed in the popup are not passed on to the keymap of the editor */
+    event.stopPropagation ();
+
+    if (event.key === "Escape") {
+      event.preventDefault ();
+      paste_history.close ();
+    } else if (event.key === "Enter") {
+      event.preventDefault ();
+      paste_history.accept ();
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault ();
+      paste_history.moveSelection (-1);
+    } else if (event.key === "ArrowDown") {
+      event.preventDefault ();
+      paste_history.moveSelection (1);
+    }
+  }
+
+  onEntryMouseDown (event, index) {
+    /* Keep the focus in the popup, so that it is not closed by the blur before the entry is pasted */
+    event.preventDefault ();
+    this.props.store.pasteHistory.accept (index);
+  }
+
+  componentDidMount () {
+    this.props.store.pasteHistory.Changed.bindTo (this, this.onPasteHistoryChanged);
+    this.refs.popup.focus ();
+  }
+
+  componentDidUpdate () {
+    const entry = this.refs.popup.children[this.props.store.pasteHistory.selected];
+
+    if (entry && entry.scrollIntoView) {
+      entry.scrollIntoView ({ block: "nearest" });
+    }
+  }
+
+  componentWillUnmount () {
+    this.props.store.pasteHistory.Changed.unbindFrom (this);
+  }
+
+  render () {
+    const store         = this.props.store;
+    const paste_history = store.pasteHistory;
+    const client        = store.viewMetrics.indicesToClient (store.cursors.primary.position);
+
+    const entries = paste_history.history.entries.map ((text, index) => {
+      const count = text.split (/\r\n|\r|\n/).length;
+
+      return (
+        <div key={index} className={"entry" + (index === paste_history.selected ? " selected" : "")} title={text}
+             onMouseDown={(event) => this.onEntryMouseDown (event, index)}>
+          <span className="preview">{EditorClipboardHistory.preview (text)}</span>
+          {count > 1 ? <span className="count">{count + " lines"}</span> : null}
+        </div>
+      );
+    });
+
+    return (
+      <div ref="popup" className="paste-history" tabIndex={-1}
+           style={{ left: client.left, top: client.top + store.viewMetrics.lineHeight }}
+           onKeyDown={(event) => this.onKeyDown (event)}
+           onMouseDown={(event) => event.stopPropagation ()}
+           onBlur={(event) => paste_history.close ()}>
+        {entries}
+      </div>
+    );
+  }
+}
+
+RenderPasteHistory.propTypes = {
+  store: PropTypes.instanceOf (EditorStore).isRequired
+};
+
+/* --------------------------------------------------------------------------------------------------------------------------- */
+
 /**
  * Editor component.
  *
@@ -724,6 +1360,14 @@ RenderMinimap.propTypes = {
  */
 export class Editor extends React.Component {
   onContainerKeyDown (event) {
+    /* Whilst an input method is composing text, the keys belong to the input method */
+    if (this.props.store.composition.active || event.nativeEvent.isComposing || event.keyCode === 229) {
+      return;
+    }
+
+    /* Ctrl+Shift+V pastes the whole text at every cursor; the paste itself comes with the paste event */
+    this.pasteWhole = event.ctrlKey && event.shiftKey && (event.key === "v" || event.key === "V");
+
     if (this.props.store.keymap.onKeyDown (event)) {
       event.preventDefault ();
       event.stopPropagation ();
@@ -744,7 +1388,34 @@ export class Editor extends React.Component {
     }
   }
 
-  onContainerFocus () {
+  onContainerCopy (event, cut) {
+    const store = this.props.store;
+    const text  = store.transact (() => store.cursors.copy (cut));
+
+    /* Give the text to the browser with the event where we can, rather than through the clipboard proxy */
+    if (event.clipboardData) {
+      event.preventDefault ();
+      event.clipboardData.setData ("text/plain", text);
+    } else store.cursors.primary.clipboard.writeSystem (text);
+  }
+
+  onContainerPaste (event) {
+    const store = this.props.store;
+    const whole = this.pasteWhole;
+
+    this.pasteWhole = false;
+    if (event.clipboardData) {
+      event.preventDefault ();
+      store.paste (event.clipboardData.getData ("text/plain"), !whole);
+    }
+  }
+
+  onContainerFocus (event) {
+    /* Text is typed into the hidden text area, so it takes the focus from the container */
+    if (event.target === this.refs.container) {
+      this.refs.lines.refs.input.focus ();
+    }
+
     this.props.store.cursors.startBlink (true);
   }
 
@@ -768,6 +1439,34 @@ export class Editor extends React.Component {
     this.props.store.viewMetrics.setViewHeight (container.clientHeight);
   }
 
+  onSearchChanged () {
+    const visible = this.props.store.search.visible;
+
+    /* Render the search bar when it is opened or closed, and give the focus back to the editor when it is closed */
+    if (visible !== this.searchVisible) {
+      this.searchVisible = visible;
+      this.forceUpdate (() => {
+        if (!visible) {
+          this.refs.container.focus ();
+        }
+      });
+    }
+  }
+
+  onPasteHistoryChanged () {
+    const visible = this.props.store.pasteHistory.visible;
+
+    /* Render the popup of the clipboard history when it is opened or closed, and give the focus back to the editor when it is closed */
+    if (visible !== this.pasteHistoryVisible) {
+      this.pasteHistoryVisible = visible;
+      this.forceUpdate (() => {
+        if (!visible) {
+          this.refs.container.focus ();
+        }
+      });
+    }
+  }
+
   onViewStateScroll (prevScroll, nextScroll) {
     const container = this.refs.container;
     if (container.scrollTop != nextScroll) {
@@ -779,10 +1478,16 @@ export class Editor extends React.Component {
     this.updateMetricsFromCharGuide ();
     this.updateMetricsFromViewHeight ();
     this.props.store.viewMetrics.Scroll.bindTo (this, this.onViewStateScroll);
+    this.props.store.search.Changed.bindTo (this, this.onSearchChanged);
+    this.searchVisible = this.props.store.search.visible;
+    this.props.store.pasteHistory.Changed.bindTo (this, this.onPasteHistoryChanged);
+    this.pasteHistoryVisible = this.props.store.pasteHistory.visible;
   }
 
   componentWillUnmount () {
     this.props.store.viewMetrics.Scroll.unbindFrom (this);
+    this.props.store.search.Changed.unbindFrom (this);
+    this.props.store.pasteHistory.Changed.unbindFrom (this);
   }
 
   render () {
@@ -792,14 +1497,18 @@ export class Editor extends React.Component {
       <div ref="container" className="editor" tabIndex={1}
            onKeyDown={(event) => this.onContainerKeyDown (event)}
            onKeyUp={(event) => this.onContainerKeyUp (event)}
-           onFocus={(event) => this.onContainerFocus ()}
+           onCopy={(event) => this.onContainerCopy (event, false)}
+           onCut={(event) => this.onContainerCopy (event, true)}
+           onPaste={(event) => this.onContainerPaste (event)}
+           onFocus={(event) => this.onContainerFocus (event)}
            onBlur={(event) => this.onContainerBlur ()}
            onScroll={(event) => this.onContainerScroll ()}>
         <div ref="charGuide" className="char-guide">MM</div>
         <RenderLineNumbers store={store} />
         <RenderGutter store={store} />
-        <RenderLines store={store} />
+        <RenderLines ref="lines" store={store} />
         <RenderMinimap store={store} />
+        {store.search.visible ? <RenderSearchBar store={store} /> : null}
       </div>
     );
   }
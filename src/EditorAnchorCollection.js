@@ -0,0 +1,242 @@
+import { EditorEvent } from './EditorEvent.js';
+import { EditorPosition } from './EditorPosition.js';
+import { EditorRegion } from './EditorRegion.js';
+
+/**
+ * A collection of positions and regions that are kept up to date as the lines of an
+ * {@link EditorStore} are edited.
+ *
+ * An anchored position or region is created with {@link EditorAnchorCollection#createPosition}
+ * or {@link EditorAnchorCollection#createRegion}. Whenever a change is made to the lines of the
+ * store, every anchored position and region is moved to account for the change (see
+ * {@link EditorChange#transform}), until it is released with {@link EditorAnchorCollection#release}.
+ *
+ * The `gravity` of an anchored position decides where it ends up when text is inserted at the
+ * position, or when the text around it is replaced: with a gravity of `"left"` the position
+ * sticks to the text before it, and with a gravity of `"right"` it sticks to the text after it.
+ *
+ * @example
+ * const bookmark = store.anchors.createPosition (new EditorPosition (10, 0));
+ * store.lines.insertLines (0, ["foo", "bar"]);
+ * // bookmark is now (12:0)
+ */
+export class EditorAnchorCollection {
+  /**
+   * Construct a new `EditorAnchorCollection`.
+   *
+   * @param {EditorStore} store The store whose changes we are tracking
+   */
+  constructor (store) {
+    /**
+     * The store whose changes we are tracking
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * The anchors in this collection
+     * @type {EditorAnchor[]}
+     */
+    this.anchors = [];
+
+    /**
+     * The nesting depth of calls to {@link EditorAnchorCollection#ignore}
+     * @type {number}
+     */
+    this.ignoring = 0;
+
+    /**
+     * Event that is fired when one or more of the anchored positions or regions have moved
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorAnchorCollection.Changed");
+
+    /**
+     * Event that is fired when a change is about to be applied to the anchored positions and regions
+     * @type {EditorEvent}
+     * @param {EditorChange} change The change that was made to the lines of the store
+     */
+    this.Updating = new EditorEvent ("EditorAnchorCollection.Updating");
+  }
+
+  /**
+   * The number of anchors in this collection
+   * @type {number}
+   */
+  get length () {
+    return this.anchors.length;
+  }
+
+  /**
+   * Create a position that is kept up to date as the store is edited.
+   *
+   * @param {EditorPosition} position  The initial position
+   * @param {string}         [gravity] Either `"left"` or `"right"` (default: `"left"`)
+   * @returns {EditorPosition} The anchored position
+   */
+  createPosition (position, gravity) {
+    const target = position.clone ();
+
+    this.anchors.push ({
+      target:       target,
+      startGravity: EditorAnchorCollection.checkGravity (gravity || "left"),
+      endGravity:   null
+    });
+
+    return target;
+  }
+
+  /**
+   * Create a region that is kept up to date as the store is edited.
+   *
+   * By default the start of the region has a gravity of `"right"` and the end of the region has a
+   * gravity of `"left"`, so that the region does not grow when text is inserted at either end.
+   *
+   * @param {EditorRegion} region          The initial region
+   * @param {string}       [start_gravity] The gravity of the start of the region (default: `"right"`)
+   * @param {string}       [end_gravity]   The gravity of the end of the region (default: `"left"`)
+   * @returns {EditorRegion} The anchored region
+   */
+  createRegion (region, start_gravity, end_gravity) {
+    const target = region.clone ();
+
+    this.anchors.push ({
+      target:       target,
+      startGravity: EditorAnchorCollection.checkGravity (start_gravity || "right"),
+      endGravity:   EditorAnchorCollection.checkGravity (end_gravity || "left")
+    });
+
+    return target;
+  }
+
+  /**
+   * Stop updating an anchored position or region.
+   *
+   * @param {EditorPosition|EditorRegion} target The anchored position or region
+   * @returns {boolean} Whether the position or region was anchored
+   */
+  release (target) {
+    const index = this.anchors.findIndex (anchor => anchor.target === target);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.anchors.splice (index, 1);
+    return true;
+  }
+
+  /**
+   * Release all the anchored positions and regions.
+   */
+  clear () {
+    this.anchors = [];
+  }
+
+  /**
+   * Perform an action, ignoring the changes that it makes to the lines of the store.
+   *
+   * This is used when an edit is made up of a number of smaller changes (such as by
+   * {@link EditorLineCollection#replaceRegion}), where the anchors are updated with a single
+   * change that describes the whole edit.
+   *
+   * @param {function} action The action to perform
+   */
+  ignore (action) {
+    this.ignoring++;
+
+    try {
+      action ();
+    } finally {
+      this.ignoring--;
+    }
+  }
+
+  /**
+   * Update the anchored positions and regions to account for a change to the lines of the store.
+   *
+   * This is called by the {@link EditorLineCollection} whenever a change is made. The
+   * {@link EditorAnchorCollection#Updating} event is fired before any of the anchors are moved.
+   *
+   * @param {EditorChange} change The change that was made
+   */
+  update (change) {
+    if (this.ignoring > 0) {
+      return;
+    }
+
+    this.onUpdating (change);
+    var moved = false;
+
+    this.anchors.forEach (anchor => {
+      const target = anchor.target;
+
+      if (target instanceof EditorRegion) {
+        const start = change.transform (target.start, anchor.startGravity);
+        var   end   = change.transform (target.end, anchor.endGravity);
+
+        if (end.isBefore (start)) {
+          end = start;
+        }
+
+        if (!start.equals (target.start) || !end.equals (target.end)) {
+          target.set (start.line, start.column, end.line, end.column);
+          moved = true;
+        }
+      } else {
+        const position = change.transform (target, anchor.startGravity);
+
+        if (!position.equals (target)) {
+          target.line   = position.line;
+          target.column = position.column;
+          moved = true;
+        }
+      }
+    });
+
+    if (moved) {
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Make sure that the given gravity is valid.
+   *
+   * @param {string} gravity The gravity to check
+   * @returns {string} The gravity
+   */
+  static checkGravity (gravity) {
+    if (gravity !== "left" && gravity !== "right") {
+      throw new Error ("Invalid anchor gravity '" + gravity + "' (expected 'left' or 'right')");
+    }
+
+    return gravity;
+  }
+
+  /**
+   * Called when a change is about to be applied to the anchored positions and regions.
+   *
+   * @param {EditorChange} change The change that was made
+   * @emits Updating
+   */
+  onUpdating (change) {
+    this.Updating.fire (change);
+  }
+
+  /**
+   * Called when one or more of the anchored positions or regions have moved.
+   * @emits Changed
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+}
+
+/**
+ * An anchored position or region in an {@link EditorAnchorCollection}.
+ *
+ * @typedef {Object} EditorAnchor
+ * @property {EditorPosition|EditorRegion} target       The anchored position or region
+ * @property {string}                      startGravity The gravity of the position (or the start of the region)
+ * @property {string?}                     endGravity   The gravity of the end of the region (or `null` for a position)
+ */
@@ -0,0 +1,152 @@
+import { EditorPosition } from './EditorPosition.js';
+import { EditorRegion } from './EditorRegion.js';
+
+/**
+ * Describes a change to the text of an {@link EditorLineCollection}.
+ *
+ * A change replaces the text within a `region` with new `text`. The region is given in the
+ * coordinates of the document before the change was made, and the text that was replaced
+ * is given in the `removed` property. Line breaks in both `text` and `removed` are always
+ * given as `\n`.
+ *
+ * @example
+ * // Inserting "foo" at the start of the third line
+ * new EditorChange (new EditorRegion (2, 0, 2, 0), "foo", "");
+ *
+ * // Joining the first and second lines
+ * new EditorChange (new EditorRegion (0, 10, 1, 0), "", "\n");
+ */
+export class EditorChange {
+  /**
+   * Construct a new `EditorChange`.
+   *
+   * @param {EditorRegion} region  The region that was replaced (before the change)
+   * @param {string}       text    The text that was inserted
+   * @param {string}       removed The text that was removed
+   */
+  constructor (region, text, removed) {
+    /**
+     * The region that was replaced (in the coordinates before the change)
+     * @type {EditorRegion}
+     */
+    this.region = region;
+
+    /**
+     * The text that was inserted into the region
+     * @type {string}
+     */
+    this.text = text;
+
+    /**
+     * The text that was removed from the region
+     * @type {string}
+     */
+    this.removed = removed;
+  }
+
+  /**
+   * The position of the end of the inserted text (in the coordinates after the change).
+   * @type {EditorPosition}
+   */
+  get end () {
+    const lines = this.text.split ('\n');
+
+    if (lines.length === 1) {
+      return new EditorPosition (this.region.startLine, this.region.startColumn + this.text.length);
+    } else {
+      return new EditorPosition (this.region.startLine + lines.length - 1, lines[lines.length - 1].length);
+    }
+  }
+
+  /**
+   * The number of lines that were added by this change (negative if lines were removed).
+   * @type {number}
+   */
+  get lineDelta () {
+    return (this.text.split ('\n').length - 1) - (this.region.endLine - this.region.startLine);
+  }
+
+  /**
+   * Map a position from the coordinates before this change to the coordinates after it.
+   *
+   * Positions before the replaced region are not moved, and positions after the replaced region
+   * are shifted by the change. A position that is strictly inside the replaced region, or that
+   * is at the point where text was inserted into an empty region, moves to the start of the
+   * change if its `gravity` is `"left"`, or to the end of the inserted text if it is `"right"`.
+   *
+   * @example
+   * const change = new EditorChange (new EditorRegion (0, 2, 0, 2), "foo", "");
+   * change.transform (new EditorPosition (0, 2), "left");  // (0:2)
+   * change.transform (new EditorPosition (0, 2), "right"); // (0:5)
+   * change.transform (new EditorPosition (0, 4), "left");  // (0:7)
+   *
+   * @param {EditorPosition} position  The position to map
+   * @param {string}         [gravity] Either `"left"` or `"right"` (default: `"left"`)
+   * @returns {EditorPosition} The new position
+   */
+  transform (position, gravity) {
+    const start = this.region.start;
+    const end   = this.region.end;
+
+    if (position.isBefore (start)) {
+      return position.clone ();
+    }
+
+    if (end.isBefore (position) || (!this.region.empty && position.equals (end))) {
+      const after = this.end;
+
+      if (position.line === end.line) {
+        return new EditorPosition (after.line, after.column + (position.column - end.column));
+      } else {
+        return new EditorPosition (position.line + this.lineDelta, position.column);
+      }
+    }
+
+    if (!this.region.empty && position.equals (start)) {
+      return start;
+    }
+
+    return gravity === "right" ? this.end : start;
+  }
+
+  /**
+   * Returns a string representation of this change.
+   *
+   * @example
+   * new EditorChange (new EditorRegion (2, 0, 2, 3), "bar", "foo").toString ();
+   * // result: "[2:0,2:3] "foo" -> "bar""
+   *
+   * @returns {string}
+   */
+  toString () {
+    return this.region.toString () + " " + JSON.stringify (this.removed) + " -> " + JSON.stringify (this.text);
+  }
+
+  /**
+   * Create a change that describes the change of a single line's content.
+   *
+   * The common prefix and suffix of the old and new content are excluded from the change.
+   *
+   * @param {number} index  The index of the line
+   * @param {string} before The content of the line before the change
+   * @param {string} after  The content of the line after the change
+   * @returns {EditorChange} A new change
+   */
+  static fromLineContent (index, before, after) {
+    const limit  = Math.min (before.length, after.length);
+    var   prefix = 0;
+    var   suffix = 0;
+
+    while (prefix < limit && before[prefix] === after[prefix]) {
+      prefix++;
+    }
+
+    while (suffix < limit - prefix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    return new EditorChange (new EditorRegion (index, prefix, index, before.length - suffix),
+                             after.substring (prefix, after.length - suffix),
+                             before.substring (prefix, before.length - suffix));
+  }
+}
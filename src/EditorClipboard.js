@@ -1,5 +1,15 @@
 /**
  * A clipboard for a cursor.
+ *
+ * Every cursor keeps the text that it copied in its own clipboard, so that several cursors can
+ * copy and paste their own text. The clipboard of the primary cursor can also exchange text
+ * with the clipboard of the system (see {@link EditorClipboard#writeSystem} and
+ * {@link EditorClipboard#readSystem}), using the asynchronous Clipboard API where the browser
+ * provides it, and a hidden `<textarea>` (the proxy element) otherwise.
+ *
+ * Older text is kept in the clipboard history of the store (see {@link EditorClipboardHistory}),
+ * which collects what all the cursors copy together, and from which text can be pasted again
+ * (see {@link EditorPasteHistory}).
  */
 export class EditorClipboard {
   /**
@@ -20,14 +30,10 @@ export class EditorClipboard {
     this.primary = primary || false;
 
     /**
-     * The proxy element we use to communicate with the desktop clipboard
+     * The proxy element we use to communicate with the desktop clipboard (only whilst text is being copied)
      * @type {HTMLTextAreaElement}
      */
     this.proxy   = null;
-
-    if (this.primary) {
-      this.createProxyElement ();
-    }
   }
 
   /**
@@ -35,10 +41,24 @@ export class EditorClipboard {
    *
    * https://stackoverflow.com/questions/400212/how-do-i-copy-to-the-clipboard-in-javascript
    *
-   * @returns {HTMLTextAreaElement}
+   * The element is added to the end of the document body, out of sight, and should be removed
+   * once it has been used. No element is created when there is no document (such as when the
+   * store is used outside of a browser).
+   *
+   * @returns {HTMLTextAreaElement} The proxy element (or `null`)
    */
   createProxyElement () {
-    return null;
+    if (typeof document === "undefined" || !document.body) {
+      return null;
+    }
+
+    const proxy = document.createElement ("textarea");
+    proxy.setAttribute ("aria-hidden", "true");
+    proxy.setAttribute ("tabindex", "-1");
+    proxy.style.cssText = "position: fixed; top: 0; left: 0; width: 1px; height: 1px; opacity: 0; pointer-events: none;";
+
+    document.body.appendChild (proxy);
+    return proxy;
   }
 
   /**
@@ -56,4 +76,74 @@ export class EditorClipboard {
   read () {
     return this.content;
   }
+
+  /**
+   * Write a value into the clipboard of the system.
+   *
+   * The asynchronous Clipboard API is used where it is available. Otherwise (or if the browser
+   * refuses) the text is selected in the proxy element and copied with `document.execCommand`.
+   * Browsers only allow this in response to an action of the user, such as a key press.
+   *
+   * @param {string} text The text value to save to the clipboard
+   */
+  writeSystem (text) {
+    if (typeof navigator !== "undefined" && navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText (text).catch (() => this.writeProxy (text));
+    } else this.writeProxy (text);
+  }
+
+  /**
+   * Copy text to the clipboard of the system through the proxy element.
+   *
+   * The proxy element is only in the document whilst the text is copied. The focus is given back
+   * to the element that had it before the text was copied.
+   *
+   * @param {string} text The text to copy
+   * @returns {boolean} Whether the text was copied
+   */
+  writeProxy (text) {
+    this.proxy = this.createProxyElement ();
+    if (!this.proxy) {
+      return false;
+    }
+
+    const focused = document.activeElement;
+    var   copied  = false;
+
+    this.proxy.value = text;
+    this.proxy.select ();
+
+    try {
+      copied = document.execCommand ("copy");
+    } catch (error) {
+      copied = false;
+    }
+
+    this.proxy.parentNode.removeChild (this.proxy);
+    this.proxy = null;
+
+    if (focused && focused.focus) {
+      focused.focus ();
+    }
+
+    return copied;
+  }
+
+  /**
+   * Read the text of the clipboard of the system.
+   *
+   * The asynchronous Clipboard API is used where it is available, in which case the browser may
+   * ask the user for permission and the callback is called later. If the clipboard of the system
+   * cannot be read, the callback is given `null` (straight away where there is no API), and
+   * nothing should be pasted: the content of this clipboard may be older than that of the system.
+   *
+   * This is only needed for commands that do not come with a paste event (and its clipboard data).
+   *
+   * @param {function} callback The function that is given the text of the clipboard (or `null`)
+   */
+  readSystem (callback) {
+    if (typeof navigator !== "undefined" && navigator.clipboard && navigator.clipboard.readText) {
+      navigator.clipboard.readText ().then (text => callback (text), () => callback (null));
+    } else callback (null);
+  }
 }
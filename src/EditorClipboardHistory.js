@@ -0,0 +1,152 @@
+import { EditorEvent } from './EditorEvent.js';
+
+/**
+ * A bounded history of the text that has been copied and pasted.
+ *
+ * The entries are kept newest first. Adding a text that is already in the history moves it to
+ * the front rather than adding it again, and once there are more than `limit` entries the
+ * oldest are dropped. A history can be shared by any number of {@link EditorStore} instances:
+ * unless the `clipboardHistory` configuration option says otherwise, every store uses
+ * {@link EditorClipboardHistory.shared}, so that text copied in one editor on the page can be
+ * pasted from the history of another.
+ *
+ * @example
+ * const history = new EditorClipboardHistory (5);
+ * history.push ("first");
+ * history.push ("second");
+ * history.get (1);
+ * // result: "first"
+ */
+export class EditorClipboardHistory {
+  /**
+   * Construct a new `EditorClipboardHistory`.
+   *
+   * @param {number} [limit] The maximum number of entries (default: {@link EditorClipboardHistory.DEFAULT_LIMIT})
+   */
+  constructor (limit) {
+    /**
+     * The entries of the history, newest first
+     * @type {string[]}
+     */
+    this.entries = [];
+
+    /**
+     * The maximum number of entries
+     * @type {number}
+     */
+    this.limit = typeof limit === "number" ? Math.max (1, limit) : EditorClipboardHistory.DEFAULT_LIMIT;
+
+    /**
+     * Event that is fired when the entries of the history change
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorClipboardHistory.Changed");
+  }
+
+  /**
+   * The default maximum number of entries
+   * @type {number}
+   */
+  static DEFAULT_LIMIT = 20;
+
+  /**
+   * The history that is shared by every store that is not given one of its own
+   * @type {EditorClipboardHistory}
+   */
+  static shared = new EditorClipboardHistory ();
+
+  /**
+   * The number of entries in the history
+   * @type {number}
+   */
+  get length () {
+    return this.entries.length;
+  }
+
+  /**
+   * Add a text to the front of the history.
+   *
+   * Empty text is ignored, and a text that is already in the history is moved to the front.
+   *
+   * @param {string} text The text to add
+   * @returns {number} The index of the text in the history (`0`, or `-1` if the text is empty)
+   * @emits Changed
+   */
+  push (text) {
+    if (typeof text !== "string" || text.length === 0) {
+      return -1;
+    }
+
+    const existing = this.entries.indexOf (text);
+    if (existing === 0) {
+      return 0;
+    } else if (existing !== -1) {
+      this.entries.splice (existing, 1);
+    }
+
+    this.entries.unshift (text);
+    if (this.entries.length > this.limit) {
+      this.entries.length = this.limit;
+    }
+
+    this.onChanged ();
+    return 0;
+  }
+
+  /**
+   * Get an entry of the history.
+   *
+   * @param {number} index The index of the entry (`0` is the newest)
+   * @returns {string?} The text of the entry (or `null` if there is no such entry)
+   */
+  get (index) {
+    return index >= 0 && index < this.entries.length ? this.entries[index] : null;
+  }
+
+  /**
+   * Find the index of a text in the history.
+   *
+   * @param {string} text The text to find
+   * @returns {number} The index of the entry (or `-1`)
+   */
+  indexOf (text) {
+    return this.entries.indexOf (text);
+  }
+
+  /**
+   * Remove every entry from the history.
+   *
+   * @emits Changed
+   */
+  clear () {
+    if (this.entries.length > 0) {
+      this.entries = [];
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Fire the {@link EditorClipboardHistory#Changed} event.
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+
+  /**
+   * Get a short preview of a text, for a list of entries.
+   *
+   * The preview is the first line of the text that is not blank (with its indentation removed),
+   * shortened with an ellipsis when it is longer than `length`.
+   *
+   * @param {string} text     The text of an entry
+   * @param {number} [length] The maximum length of the preview (default: `60`)
+   * @returns {string} The preview
+   */
+  static preview (text, length) {
+    const limit = length || 60;
+    const line  = text.split (/\r\n|\r|\n/).find (line => line.trim ().length > 0) || "";
+    const first = line.trim ();
+
+    return first.length > limit ? first.substring (0, limit - 1) + "…" : first;
+  }
+}
@@ -0,0 +1,188 @@
+import { EditorEvent } from './EditorEvent.js';
+
+/**
+ * Text input.
+ *
+ * The keymap (see {@link EditorKeymap}) handles commands, but does not insert the characters of
+ * the keys. Text is typed into a hidden `<textarea>` that has the focus in the editor, which
+ * passes it on to this class:
+ *
+ * - Characters (whether from a key of the keyboard, a virtual keyboard or an input method that
+ *   commits straight away) arrive in `beforeinput` events (see {@link EditorComposition#input}).
+ * - Input methods (IMEs) and dead keys build up text over a number of key presses before it is
+ *   committed. This is a composition: it is started with {@link EditorComposition#start}, the
+ *   text is changed with {@link EditorComposition#update} (whilst the editor shows it at each of
+ *   the cursors), and it is committed with {@link EditorComposition#end}.
+ *
+ * Committed text is inserted at every cursor with {@link EditorCursor#insertText}, and the
+ * characters that are typed one after another are grouped into a single step of the
+ * {@link EditorHistory}.
+ *
+ * @example
+ * store.composition.start ();
+ * store.composition.update ("に");
+ * store.composition.update ("にほ");
+ * store.composition.end ("日本");
+ */
+export class EditorComposition {
+  /**
+   * Construct a new `EditorComposition`.
+   *
+   * @param {EditorStore} store The store into which the text is inserted
+   */
+  constructor (store) {
+    /**
+     * The store into which the text is inserted
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * Whether a composition is in progress
+     * @type {boolean}
+     */
+    this.active = false;
+
+    /**
+     * The text of the composition in progress, which is yet to be committed
+     * @type {string}
+     */
+    this.text = "";
+
+    /**
+     * Event that is fired when a composition starts or ends, or its text changes
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorComposition.Changed");
+  }
+
+  /**
+   * Start a composition.
+   *
+   * @emits Changed
+   */
+  start () {
+    this.active = true;
+    this.text   = "";
+    this.onChanged ();
+  }
+
+  /**
+   * Change the text of the composition in progress.
+   *
+   * @param {string} text The text of the composition
+   * @emits Changed
+   */
+  update (text) {
+    if (this.active) {
+      this.text = text || "";
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * End the composition, inserting its text at every cursor.
+   *
+   * @param {string} [text] The text to commit (default: the text of the composition; an empty string cancels it)
+   * @emits Changed
+   */
+  end (text) {
+    const committed = typeof text === "string" ? text : this.text;
+
+    if (this.active) {
+      this.active = false;
+      this.text   = "";
+      this.onChanged ();
+    }
+
+    this.insert (committed);
+  }
+
+  /**
+   * Cancel the composition in progress, without inserting its text.
+   *
+   * @emits Changed
+   */
+  cancel () {
+    if (this.active) {
+      this.active = false;
+      this.text   = "";
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Insert text at every cursor, replacing their selections.
+   *
+   * Any line breaks in the text start new lines.
+   *
+   * @param {string} text The text to insert
+   */
+  insert (text) {
+    if (!text) {
+      return;
+    }
+
+    const lines = text.split (/\r\n|\r|\n/);
+
+    this.store.transact (() => {
+      this.store.history.group (() => {
+        this.store.cursors.forEach (cursor => {
+          lines.forEach ((line, index) => {
+            if (index > 0) {
+              cursor.insertLine (false);
+            }
+
+            if (line.length > 0) {
+              cursor.insertText (line);
+            }
+          });
+        });
+      }, "typing", text);
+    });
+  }
+
+  /**
+   * Handle the input of the hidden `<textarea>`, as described by a `beforeinput` event.
+   *
+   * Inserted text, line breaks and deletions are applied to every cursor. Any other kind of
+   * input (including the input of a composition, which is handled by the composition events) is
+   * left alone.
+   *
+   * @param {string}  type The type of the input (the `inputType` of the event, such as `"insertText"`)
+   * @param {string?} data The text that is inserted (if any)
+   * @returns {boolean} Whether the input was handled (and should not be applied to the `<textarea>`)
+   */
+  input (type, data) {
+    const store = this.store;
+
+    if (this.active) {
+      return false;
+    }
+
+    switch (type) {
+      case "insertText":
+        this.insert (data);
+        return true;
+      case "insertLineBreak":
+      case "insertParagraph":
+        store.transact (() => store.cursors.forEach (cursor => cursor.insertLine (true)));
+        return true;
+      case "deleteContentBackward":
+        store.transact (() => store.cursors.forEach (cursor => cursor.deleteBackwards (1)));
+        return true;
+      case "deleteContentForward":
+        store.transact (() => store.cursors.forEach (cursor => cursor.deleteForwards (1)));
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Fire the {@link EditorComposition#Changed} event.
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * A parsed `.editorconfig` file.
+ *
+ * An `.editorconfig` file is made up of sections, each of which starts with a glob pattern
+ * in square brackets and is followed by a number of `key = value` properties. The properties
+ * of every section whose pattern matches the path of a file apply to that file, with later
+ * sections taking precedence over earlier ones. See https://editorconfig.org for the format.
+ *
+ * The properties that apply to a file are converted into {@link EditorConfig} overrides with
+ * {@link EditorConfigFile.toConfig}, which can be passed to the {@link EditorStore} constructor.
+ *
+ * @example
+ * const file = new EditorConfigFile ("root = true\n[*.go]\nindent_style = tab\ntab_width = 8\n");
+ * const config = EditorConfigFile.toConfig (file.getProperties ("src/main.go"));
+ * // config: { softTabs: false, tabSize: 8 }
+ * const store = new EditorStore (config, text);
+ */
+export class EditorConfigFile {
+  /**
+   * Parse the text of an `.editorconfig` file.
+   *
+   * @param {string} text        The contents of the file
+   * @param {string} [directory] The directory that contains the file (default: `""`)
+   */
+  constructor (text, directory) {
+    /**
+     * The directory that contains the file (using `/` separators, without a trailing `/`)
+     * @type {string}
+     */
+    this.directory = EditorConfigFile.normalizePath (directory || "").replace (/\/$/, "");
+
+    /**
+     * Whether this is the root file (files in the parent directories are not used)
+     * @type {boolean}
+     */
+    this.root = false;
+
+    /**
+     * The sections of the file, in the order in which they appear
+     * @type {EditorConfigSection[]}
+     */
+    this.sections = [];
+
+    this.parse (text);
+  }
+
+  /**
+   * Parse the text of the file into the `root` flag and the `sections`.
+   *
+   * Blank lines, comments (starting with `#` or `;`) and lines that cannot be understood are ignored.
+   * Property names are case-insensitive, as are the values of the properties that are used by the editor.
+   *
+   * @param {string} text The contents of the file
+   */
+  parse (text) {
+    var current = null;
+
+    text.split (/\r\n|\r|\n/).forEach (line => {
+      line = line.trim ();
+
+      if (line.length === 0 || line[0] === '#' || line[0] === ';') {
+        return;
+      }
+
+      const section = /^\[(.*)\]$/.exec (line);
+      if (section) {
+        current = { glob: section[1], matcher: EditorConfigFile.compileGlob (section[1]), properties: {} };
+        this.sections.push (current);
+        return;
+      }
+
+      const property = /^([^=:]+?)\s*[=:]\s*(.*)$/.exec (line);
+      if (property) {
+        const key   = property[1].toLowerCase ();
+        const value = EditorConfigFile.KNOWN_PROPERTIES.indexOf (key) !== -1 ? property[2].toLowerCase () : property[2];
+
+        if (current) {
+          current.properties[key] = value;
+        } else if (key === "root") {
+          /* Only the 'root' property is allowed before the first section */
+          this.root = value.toLowerCase () === "true";
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the properties that apply to the file at the given path.
+   *
+   * The path is either relative to the directory of this file, or an absolute path that starts
+   * with the `directory`. Properties with the value `"unset"` are removed.
+   *
+   * @param {string} path       The path of the file being edited
+   * @param {Object} [inherited] The properties from the files in the parent directories
+   * @returns {Object<string,string>} The properties that apply to the file
+   */
+  getProperties (path, inherited) {
+    var   result   = Object.assign ({}, this.root ? {} : inherited);
+    const relative = this.relativePath (path);
+
+    if (relative !== null) {
+      this.sections.forEach (section => {
+        if (section.matcher (relative)) {
+          Object.assign (result, section.properties);
+        }
+      });
+    }
+
+    Object.keys (result).forEach (key => {
+      if (result[key] === "unset") {
+        delete result[key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the path of a file relative to the directory of this file.
+   *
+   * A path that is not absolute is taken to be relative to the directory of this file already.
+   *
+   * @param {string} path The path of the file
+   * @returns {string?} The relative path (or `null` if an absolute path is not within our directory)
+   */
+  relativePath (path) {
+    path = EditorConfigFile.normalizePath (path);
+
+    if (this.directory.length === 0) {
+      return path.replace (/^\//, "");
+    }
+
+    if (path.indexOf (this.directory + "/") === 0) {
+      return path.substring (this.directory.length + 1);
+    } else if (path[0] === '/') {
+      return null;
+    } else return path.replace (/^(\.\/)+/, "");
+  }
+
+  /**
+   * Resolve the properties for a file from a number of `.editorconfig` files.
+   *
+   * The files should be given in order from the outermost directory to the directory that contains
+   * the file being edited, so that the closer files take precedence. Any file before the last root
+   * file is ignored.
+   *
+   * @example
+   * const config = EditorConfigFile.toConfig (EditorConfigFile.resolve ([
+   *   new EditorConfigFile (root_text, "/project"),
+   *   new EditorConfigFile (src_text, "/project/src")
+   * ], "/project/src/index.js"));
+   *
+   * @param {EditorConfigFile[]} files The `.editorconfig` files
+   * @param {string}             path  The path of the file being edited
+   * @returns {Object<string,string>} The properties that apply to the file
+   */
+  static resolve (files, path) {
+    return files.reduce ((properties, file) => file.getProperties (path, properties), {});
+  }
+
+  /**
+   * Convert `.editorconfig` properties to {@link EditorConfig} overrides.
+   *
+   * Only the options that are given by the properties are set in the result:
+   *
+   * | Property                   | Option                   |
+   * |----------------------------|--------------------------|
+   * | `indent_style`             | `softTabs`               |
+   * | `indent_size`, `tab_width` | `tabSize`                |
+   * | `end_of_line`              | `lineEnding`             |
+   * | `trim_trailing_whitespace` | `trimTrailingWhitespace` |
+   * | `insert_final_newline`     | `insertFinalNewline`     |
+   *
+   * The editor uses the same size for a level of indentation and the width of a tab character,
+   * so the `tab_width` is used when indenting with tabs, and the `indent_size` when indenting with spaces.
+   *
+   * @param {Object<string,string>} properties The properties (see {@link EditorConfigFile#getProperties})
+   * @returns {EditorConfig} The configuration overrides
+   */
+  static toConfig (properties) {
+    var   result      = {};
+    const indent_size = parseInt (properties.indent_size, 10);
+    const tab_width   = parseInt (properties.tab_width, 10);
+
+    if (properties.indent_style === "tab" || properties.indent_style === "space") {
+      result.softTabs = properties.indent_style === "space";
+    }
+
+    if (result.softTabs === false) {
+      result.tabSize = tab_width || indent_size || undefined;
+    } else {
+      result.tabSize = indent_size || tab_width || undefined;
+    }
+
+    if (typeof result.tabSize === "undefined") {
+      delete result.tabSize;
+    }
+
+    if (properties.end_of_line === "lf" || properties.end_of_line === "crlf" || properties.end_of_line === "cr") {
+      result.lineEnding = properties.end_of_line;
+    }
+
+    if (properties.trim_trailing_whitespace === "true" || properties.trim_trailing_whitespace === "false") {
+      result.trimTrailingWhitespace = properties.trim_trailing_whitespace === "true";
+    }
+
+    if (properties.insert_final_newline === "true" || properties.insert_final_newline === "false") {
+      result.insertFinalNewline = properties.insert_final_newline === "true";
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a section glob into a function that tests a relative path.
+   *
+   * The glob supports `*` (any characters other than `/`), `**` (any characters), `?` (any single
+   * character), `[abc]` and `[!abc]` (character sets), `{a,b,c}` (alternatives), `{1..10}` (integer
+   * ranges) and `\` to escape a character. A glob that does not contain a `/` matches a file of
+   * that name in any directory.
+   *
+   * @param {string} glob The glob pattern
+   * @returns {function(string): boolean} A function that tests whether a path matches the glob
+   */
+  static compileGlob (glob) {
+    var ranges = [];
+    var source = EditorConfigFile.translateGlob (glob.replace (/^\//, ""), ranges);
+
+    if (glob.indexOf ('/') === -1) {
+      source = "(?:.*/)?" + source;
+    }
+
+    const expr = new RegExp ("^" + source + "$");
+
+    return (path) => {
+      const match = expr.exec (path);
+      if (!match) {
+        return false;
+      }
+
+      /* Check that the numbers matched by the integer ranges are within their bounds */
+      return ranges.every ((range, index) => {
+        const value = parseInt (match[index + 1], 10);
+        return value >= range[0] && value <= range[1];
+      });
+    };
+  }
+
+  /**
+   * Translate a glob pattern (or part of a pattern) into the source of a regular expression.
+   *
+   * @param {string}     glob   The glob pattern
+   * @param {number[][]} ranges The integer ranges found in the pattern (added to as they are found)
+   * @returns {string} The regular expression source
+   */
+  static translateGlob (glob, ranges) {
+    var result = "";
+
+    for (var i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '\\' && i + 1 < glob.length) {
+        result += EditorConfigFile.escapeRegExp (glob[++i]);
+      } else if (char === '*') {
+        if (glob[i + 1] === '*') {
+          result += ".*";
+          i++;
+        } else {
+          result += "[^/]*";
+        }
+      } else if (char === '?') {
+        result += "[^/]";
+      } else if (char === '[') {
+        const end = glob.indexOf (']', i + 1);
+
+        if (end === -1) {
+          result += "\\[";
+        } else {
+          const set = glob.substring (i + 1, end);
+          result += set[0] === '!' ? "[^" + set.substring (1).replace (/\\/g, "\\\\") + "]"
+                                   : "[" + set.replace (/\\/g, "\\\\") + "]";
+          i = end;
+        }
+      } else if (char === '{') {
+        const end = EditorConfigFile.findBraceEnd (glob, i);
+
+        if (end === -1) {
+          result += "\\{";
+        } else {
+          const body  = glob.substring (i + 1, end);
+          const range = /^([+-]?\d+)\.\.([+-]?\d+)$/.exec (body);
+
+          if (range) {
+            ranges.push ([Math.min (+range[1], +range[2]), Math.max (+range[1], +range[2])]);
+            result += "([+-]?\\d+)";
+          } else {
+            const parts = EditorConfigFile.splitAlternatives (body);
+            result += parts.length > 1 ? "(?:" + parts.map (part => EditorConfigFile.translateGlob (part, ranges)).join ("|") + ")"
+                                       : "\\{" + EditorConfigFile.translateGlob (body, ranges) + "\\}";
+          }
+
+          i = end;
+        }
+      } else {
+        result += EditorConfigFile.escapeRegExp (char);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the closing brace that matches the opening brace at the given index of a glob.
+   *
+   * @param {string} glob  The glob pattern
+   * @param {number} start The index of the opening brace
+   * @returns {number} The index of the closing brace (or `-1`)
+   */
+  static findBraceEnd (glob, start) {
+    var depth = 0;
+
+    for (var i = start; i < glob.length; i++) {
+      if (glob[i] === '\\') {
+        i++;
+      } else if (glob[i] === '{') {
+        depth++;
+      } else if (glob[i] === '}' && --depth === 0) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Split the body of a `{...}` glob into its comma-separated alternatives (ignoring nested braces).
+   *
+   * @param {string} body The text between the braces
+   * @returns {string[]} The alternatives
+   */
+  static splitAlternatives (body) {
+    var parts = [], depth = 0, last = 0;
+
+    for (var i = 0; i < body.length; i++) {
+      if (body[i] === '\\') {
+        i++;
+      } else if (body[i] === '{') {
+        depth++;
+      } else if (body[i] === '}') {
+        depth--;
+      } else if (body[i] === ',' && depth === 0) {
+        parts.push (body.substring (last, i));
+        last = i + 1;
+      }
+    }
+
+    parts.push (body.substring (last));
+    return parts;
+  }
+
+  /**
+   * Escape a character so that it matches literally in a regular expression.
+   *
+   * @param {string} char The character to escape
+   * @returns {string} The escaped character
+   */
+  static escapeRegExp (char) {
+    return char.replace (/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  }
+
+  /**
+   * Convert a path to use `/` as the directory separator.
+   *
+   * @param {string} path The path to convert
+   * @returns {string} The converted path
+   */
+  static normalizePath (path) {
+    return path.replace (/\\/g, "/");
+  }
+
+  /**
+   * The properties whose values are case-insensitive
+   * @type {string[]}
+   */
+  static KNOWN_PROPERTIES = [
+    "root", "indent_style", "indent_size", "tab_width", "end_of_line", "charset",
+    "trim_trailing_whitespace", "insert_final_newline"
+  ];
+}
+
+/**
+ * A section of an {@link EditorConfigFile}.
+ *
+ * @typedef {Object} EditorConfigSection
+ * @property {string}                  glob       The glob pattern of the section
+ * @property {function(string):boolean} matcher    Tests whether a relative path matches the glob
+ * @property {Object<string,string>}   properties The properties given in the section (with lower-case names)
+ */
@@ -46,6 +46,13 @@ export class EditorCursor {
      */
     this.selection = null;
 
+    /**
+     * The number of columns of virtual space between the end of the line and the cursor (such as
+     * in a box selection over lines of different lengths)
+     * @type {number}
+     */
+    this.virtualSpace = 0;
+
     /**
      * The clipboard for this cursor
      * @type {EditorClipboard}
@@ -101,6 +108,35 @@ export class EditorCursor {
     return clone;
   }
 
+  /**
+   * Capture the position and selection of this cursor.
+   *
+   * The returned state can be passed to {@link EditorCursor#restoreState} to return the cursor
+   * to the same location.
+   *
+   * @returns {EditorCursorState} The current state of the cursor
+   */
+  saveState () {
+    return {
+      position:  this.position.clone (),
+      selection: this.selection ? this.selection.clone () : null
+    };
+  }
+
+  /**
+   * Restore the position and selection of this cursor from a state returned by {@link EditorCursor#saveState}.
+   *
+   * @param {EditorCursorState} state The state to restore
+   */
+  restoreState (state) {
+    this.setPosition (state.position);
+
+    if (state.selection) {
+      this.selection = state.selection.clone ();
+      this.onSelectionChanged ();
+    }
+  }
+
   /**
    * Returns the {@link EditorLine} on which this cursor resides.
    *
@@ -145,7 +181,8 @@ export class EditorCursor {
    * Set the column for this cursor.
    *
    * The column of the cursor is clamped within the current line to ensure that the
-   * cursor does not move outside a valid region.
+   * cursor does not move outside a valid region. A column inside of a character (such as
+   * between the two halves of a surrogate pair) is moved to the start of that character.
    *
    * If the cursor column is changed, then the {@link EditorCursor#ColumnChanged} event
    * will be fired, after which the {@link EditorCursor#PositionChanged} event is
@@ -156,8 +193,8 @@ export class EditorCursor {
   setColumn (column) {
     const line = this.line;
 
-    /* Make sure that the target column is in range of the current line */
-    column = Math.min (line.length, Math.max (0, column));
+    /* Make sure that the target column is in range of the current line, and not inside a character */
+    column = line.snapColumn (column);
 
     if (column !== this.position.column) {
       /* We have changed the column */
@@ -194,7 +231,7 @@ export class EditorCursor {
     const prev_pos     = this.position.clone ();
     const line_index   = Math.min (lines.length - 1, Math.max (0, position.line));
     const line         = lines.get (line_index);
-    const column_index = Math.min (line.length, Math.max (0, position.column));
+    const column_index = line.snapColumn (position.column);
     var   changed      = false;
 
     if (this.position.line !== line_index) {
@@ -231,12 +268,12 @@ export class EditorCursor {
    */
   moveUp (lines, extend_selection) {
     var prev_pos = this.position.clone ();
-    this.setLine (this.position.line - lines);
 
-    const line_length = this.line.length;
-    if (this.position.column > line_length) {
-      this.setColumn (line_length);
-    }
+    /* Folded lines are skipped over, so we move up a number of visible lines */
+    this.setLine (this.collection.store.folds.offsetLine (this.position.line, -lines));
+
+    /* Keep the column within the new line, and not inside a character */
+    this.setColumn (this.position.column);
 
     if (extend_selection) {
       this.extendSelection (prev_pos);
@@ -256,12 +293,12 @@ export class EditorCursor {
    */
   moveDown (lines, extend_selection) {
     var prev_pos = this.position.clone ();
-    this.setLine (this.position.line + lines);
 
-    const line_length = this.line.length;
-    if (this.position.column > line_length) {
-      this.setColumn (line_length);
-    }
+    /* Folded lines are skipped over, so we move down a number of visible lines */
+    this.setLine (this.collection.store.folds.offsetLine (this.position.line, lines));
+
+    /* Keep the column within the new line, and not inside a character */
+    this.setColumn (this.position.column);
 
     if (extend_selection) {
       this.extendSelection (prev_pos);
@@ -269,9 +306,12 @@ export class EditorCursor {
   }
 
   /**
-   * Move the cursor to the left a number of columns (if it can), see {@link EditorCursor#setColumn}.
+   * Move the cursor to the left a number of characters (if it can), see {@link EditorCursor#setColumn}.
+   *
+   * Surrogate pairs and characters with combining marks are moved over as a single character
+   * (see {@link EditorLine#previousColumn}).
    *
-   * @param {number}  columns          Number of columns to move
+   * @param {number}  columns          Number of characters to move
    * @param {boolean} extend_selection Whether to extend the selection
    */
   moveLeft (columns, extend_selection) {
@@ -284,10 +324,11 @@ export class EditorCursor {
     var prev_pos = this.position.clone ();
 
     if (this.position.column === 0 && this.position.line > 0) {
-      const line = this.collection.store.lines.get (this.position.line - 1);
-      this.setPosition ({ line: this.position.line - 1, column: line.length });
+      const store = this.collection.store;
+      const index = store.folds.offsetLine (this.position.line, -1);
+      this.setPosition ({ line: index, column: store.lines.get (index).length });
     } else {
-      this.setColumn (this.position.column - columns);
+      this.setColumn (this.line.previousColumn (this.position.column, columns));
     }
 
     if (extend_selection) {
@@ -316,9 +357,12 @@ export class EditorCursor {
   }
 
   /**
-   * Move the cursor to the right a number of columns (if it can), see {@link EditorCursor#setColumn}.
+   * Move the cursor to the right a number of characters (if it can), see {@link EditorCursor#setColumn}.
    *
-   * @param {number}  columns            Number of columns to move
+   * Surrogate pairs and characters with combining marks are moved over as a single character
+   * (see {@link EditorLine#nextColumn}).
+   *
+   * @param {number}  columns            Number of characters to move
    * @param {boolean} [extend_selection] Whether to extend the selection
    */
   moveRight (columns, extend_selection) {
@@ -330,10 +374,10 @@ export class EditorCursor {
 
     var prev_pos = this.position.clone ();
 
-    if (this.position.column === this.line.length && this.position.line < this.collection.store.lines.length) {
-      this.setPosition ({ line: this.position.line + 1, column: 0 });
+    if (this.position.column === this.line.length && this.position.line < this.collection.store.lines.length - 1) {
+      this.setPosition ({ line: this.collection.store.folds.offsetLine (this.position.line, 1), column: 0 });
     } else {
-      this.setColumn (this.position.column + columns);
+      this.setColumn (this.line.nextColumn (this.position.column, columns));
     }
 
     if (extend_selection) {
@@ -371,7 +415,7 @@ export class EditorCursor {
     const prev_pos = this.position.clone ();
 
     if (respect_indent) {
-      const current_indent = this.line.indent;
+      const current_indent = this.line.indentEnd;
       if (this.position.column > current_indent) {
         this.setColumn (current_indent);
       } else {
@@ -401,37 +445,59 @@ export class EditorCursor {
   }
 
   /**
-   * Insert text at the current cursor location.
+   * Insert text at the current cursor location, replacing the selection (if any).
+   *
+   * Nothing is inserted if the store does not allow the edit (see {@link EditorStore#checkEdit}).
    *
    * @param {string} text Text to insert
-   * @returns {EditorLine} The line on which we inserted the text
+   * @returns {EditorLine} The line on which we inserted the text (or `null`)
    */
   insertText (text) {
     if (this.selection) {
-      /* replace selection */
+      /* Replace the selection (unless the store does not allow it to be deleted) */
+      this.deleteSelected ();
+      return this.selection ? null : this.insertText (text);
+    } else if (!this.checkEdit (EditorRegion.fromPosition (this.position))) {
       return null;
     } else {
-      const line = this.line;
+      const line    = this.line;
+      const padding = new Array (1 + this.virtualSpace).join (' ');
 
-      line.insertText (this.position.column, text);
-      this.moveRight (text.length, false);
+      /* Any virtual space before the cursor is filled with spaces */
+      line.insertText (this.position.column, padding + text);
+      this.setColumn (this.position.column + padding.length + text.length);
       return line;
     }
   }
 
   /**
-   * Insert a tab character at the cursor location.
+   * Insert a tab at the cursor location.
+   *
+   * If the cursor is within the indentation of the line, and that indentation is less than the
+   * indentation of the previous line, the indentation is extended to match the previous line.
+   * Otherwise, when the `softTabs` configuration option is set, spaces are inserted up to the
+   * next tab stop. When `softTabs` is not set, a tab character is inserted.
    */
   insertTab () {
+    const config = this.collection.store.config;
     const line   = this.line;
     const prev   = line.previous;
     const indent = prev ? prev.indent : 0;
+    const visual = line.visualColumn (this.position.column) + this.virtualSpace;
+
+    if (indent && visual < indent && this.position.column <= line.indentEnd) {
+      /* Replace the whitespace before the cursor with the indentation of the previous line */
+      const whitespace = EditorLine.makeIndent (indent, config.tabSize, config.softTabs);
+      const region     = new EditorRegion (line.index, 0, line.index, this.position.column);
 
-    if (indent && this.position.column < indent && line.containsInRegion (/^\s*$/, 0, this.position.column)) {
-      this.insertText (new Array (indent + 1).join (' '));
+      if (this.checkEdit (region)) {
+        line.collection.replaceRegion (region, whitespace);
+        this.setColumn (whitespace.length);
+      }
+    } else if (config.softTabs) {
+      this.insertText (new Array (1 + (config.tabSize - visual % config.tabSize)).join (' '));
     } else {
-      var tab_offset = this.position.column % this.collection.store.config.tabSize;
-      this.insertText (new Array (1 + (this.collection.store.config.tabSize - tab_offset)).join (' '));
+      this.insertText ('\t');
     }
   }
 
@@ -439,15 +505,18 @@ export class EditorCursor {
    * Insert a new line at the cursor location.
    *
    * @param {boolean} [auto_indent] Whether to auto-indent the new line
-   * @returns {EditorLine} The line that was inserted
+   * @returns {EditorLine} The line that was inserted (or `null` if the store does not allow the edit)
    */
   insertLine (auto_indent) {
     if (this.selection) {
       /* replace selection */
+    } else if (!this.checkEdit (EditorRegion.fromPosition (this.position))) {
+      return null;
     } else {
+      /* The new line is indented with the same whitespace as the current line */
       var   result         = null;
-      const current_indent = auto_indent ? this.line.indent : 0;
-      const indent         = auto_indent ? new Array (current_indent + 1).join (' ') : "";
+      const indent         = auto_indent ? this.line.content.substring (0, this.line.indentEnd) : "";
+      const current_indent = indent.length;
 
       if (this.position.column === 0) {
         /* Special case when at start of line: just insert empty line above */
@@ -468,11 +537,10 @@ export class EditorCursor {
           this.setPosition ({ line: this.position.line + 1, column: current_indent }, false);
         }
       } else {
-        const line   = this.line;
-        const latter = line.getTextFrom (this.position.column);
+        const lines = this.collection.store.lines;
 
-        line.deleteTextFrom (this.position.column);
-        this.collection.store.lines.insertLine (this.position.line + 1, result = new EditorLine (this.collection.store.lines, 0, indent + latter));
+        lines.replaceRegion (EditorRegion.fromPosition (this.position), '\n' + indent);
+        result = lines.get (this.position.line + 1);
         this.setPosition ({ line: this.position.line + 1, column: current_indent }, false);
       }
 
@@ -484,11 +552,17 @@ export class EditorCursor {
 
   /**
    * Delete a number of characters backwards from the cursor location.
+   *
+   * A surrogate pair or a character with combining marks is deleted as a single character.
+   *
    * @param {number} [count] The number of characetrs to delete (default: 1)
    */
   deleteBackwards (count) {
     if (this.selection) {
       this.deleteSelected ();
+    } else if (this.virtualSpace > 0) {
+      /* Move back through the virtual space rather than deleting the end of the line */
+      this.setVirtualSpace (Math.max (0, this.virtualSpace - (count || 1)));
     } else {
       const line = this.line;
 
@@ -499,38 +573,55 @@ export class EditorCursor {
 
         if (prev) {
           const prev_original_len = prev.length;
+          const region            = new EditorRegion (prev.index, prev_original_len, line.index, 0);
 
-          prev.appendText (line.content);
-          line.collection.deleteLine (line.index);
-          this.setPosition ({ line: prev.index, column: prev_original_len }, false);
+          if (this.checkEdit (region)) {
+            line.collection.replaceRegion (region, "");
+            this.setPosition ({ line: prev.index, column: prev_original_len }, false);
+          }
         }
       } else {
-        line.deleteText (this.position.column - count, count);
-        this.moveLeft (count, false);
+        const start = line.previousColumn (this.position.column, count);
+
+        if (this.checkEdit (new EditorRegion (line.index, start, line.index, this.position.column))) {
+          line.deleteText (start, this.position.column - start);
+          this.setColumn (start);
+        }
       }
     }
   }
 
   /**
    * Delete a number of characters forwards of the cursor location.
+   *
+   * A surrogate pair or a character with combining marks is deleted as a single character.
+   *
    * @param {number} [count] The number of characetrs to delete (default: 1)
    */
   deleteForwards (count) {
     if (this.selection) {
       this.deleteSelected ();
-    } else {
+    } else if (this.virtualSpace === 0) {
       const line = this.line;
 
+      count = count || 1;
+
       if (this.position.column === line.length) {
         const next = line.next;
 
         if (next) {
-          line.appendText (next.content);
-          line.collection.deleteLine (line.index);
-          this.setPosition ({ line: prev.index, column: prev_original_len }, false);
+          const region = new EditorRegion (line.index, line.length, next.index, 0);
+
+          if (this.checkEdit (region)) {
+            line.collection.replaceRegion (region, "");
+          }
         }
       } else {
-        line.deleteText (this.position.column, count);
+        const end = line.nextColumn (this.position.column, count);
+
+        if (this.checkEdit (new EditorRegion (line.index, this.position.column, line.index, end))) {
+          line.deleteText (this.position.column, end - this.position.column);
+        }
       }
     }
   }
@@ -579,6 +670,131 @@ export class EditorCursor {
     }
   }
 
+  /**
+   * Get the region of the word or line (or just the position) at a position.
+   *
+   * Positions before the first line or after the last line (such as when the mouse is dragged
+   * outside the view) are moved to the start or end of the document.
+   *
+   * @param {EditorPosition} position The position
+   * @param {string}         [unit]   One of `"character"` (default), `"word"` or `"line"`
+   * @returns {EditorRegion} The region of the unit at the position
+   */
+  getUnitRegion (position, unit) {
+    const lines = this.collection.store.lines;
+    var   index = position.line, column = position.column;
+
+    if (index < 0) {
+      index  = 0;
+      column = 0;
+    } else if (index >= lines.length) {
+      index  = lines.length - 1;
+      column = lines.getContent (index).length;
+    }
+
+    const line = lines.get (index);
+    column = line.snapColumn (column);
+
+    if (unit === "word") {
+      const word_start = line.findPreviousWordStart (column, false);
+      const word_end   = line.findNextWordEnd (column, false);
+
+      return new EditorRegion (index, word_start ? word_start.column : column,
+                               index, word_end ? word_end.column : column);
+    } else if (unit === "line") {
+      if (index < lines.length - 1) {
+        return new EditorRegion (index, 0, index + 1, 0);
+      } else return new EditorRegion (index, 0, index, line.length);
+    } else return new EditorRegion (index, column, index, column);
+  }
+
+  /**
+   * Select from an anchor region to a position, such as when the mouse is dragged.
+   *
+   * The selection always includes the anchor (the word or line that was selected when the drag
+   * started), and is extended towards the position by whole units: by character, by word (after
+   * a double-click) or by line (after a triple-click). The cursor is moved to the end of the
+   * selection that is furthest from the anchor.
+   *
+   * @param {EditorRegion}   anchor   The region that was selected when the drag started
+   * @param {EditorPosition} position The position towards which the selection is extended
+   * @param {string}         [unit]   One of `"character"` (default), `"word"` or `"line"`
+   */
+  dragSelection (anchor, position, unit) {
+    const target = this.getUnitRegion (position, unit);
+    var   pivot, focus;
+
+    if (target.start.isBefore (anchor.start)) {
+      pivot = anchor.end;
+      focus = target.start;
+    } else {
+      pivot = anchor.start;
+      focus = anchor.end.isBefore (target.end) ? target.end : anchor.end;
+    }
+
+    this.setPosition (focus);
+
+    if (!pivot.equals (focus)) {
+      this.selection = new EditorSelection (pivot.clone ());
+      this.selection.adjust (this.position);
+      this.onSelectionChanged ();
+    }
+  }
+
+  /**
+   * Select a range of visual columns of a line, such as for one line of a box selection.
+   *
+   * The cursor is moved to the visual column on the line, and selects from the pivot column. A
+   * column past the end of the line leaves the cursor at the end of the line, in virtual space
+   * (see {@link EditorCursor#setVirtualSpace}). When the line ends before both columns, nothing
+   * is selected and the cursor is left at the leftmost of the two, so that text typed at each
+   * line of a box starts in the same column.
+   *
+   * @param {number} index  The index of the line
+   * @param {number} pivot  The visual column from which to select
+   * @param {number} visual The visual column of the cursor
+   */
+  selectColumns (index, pivot, visual) {
+    const line   = this.collection.store.lines.get (index);
+    const length = line.visualColumn (line.length);
+    const start  = line.columnAtVisual (Math.min (pivot, length));
+    const left   = Math.min (pivot, visual);
+
+    if (length <= left) {
+      this.setPosition ({ line: index, column: line.length });
+      this.setVirtualSpace (left - length);
+      return;
+    }
+
+    this.setPosition ({ line: index, column: line.columnAtVisual (Math.min (visual, length)) });
+
+    if (start !== this.position.column) {
+      this.selection = new EditorSelection (new EditorPosition (index, start));
+      this.selection.adjust (this.position);
+      this.onSelectionChanged ();
+    }
+
+    this.setVirtualSpace (Math.max (0, visual - length));
+  }
+
+  /**
+   * Set the number of columns of virtual space between the end of the line and the cursor.
+   *
+   * The {@link EditorCursor#PositionChanged} event is fired (with the same position) so that the
+   * cursor is drawn in its new place.
+   *
+   * @param {number} columns The number of columns of virtual space
+   */
+  setVirtualSpace (columns) {
+    if (columns !== this.virtualSpace) {
+      const position = this.position.clone ();
+
+      this.virtualSpace = columns;
+      this.PositionChanged.fire (position, position.clone ());
+      this.collection.onCursorChanged (this);
+    }
+  }
+
   /**
    * Remove the selection
    */
@@ -593,7 +809,7 @@ export class EditorCursor {
    * Delete the text selected by this cursor.
    */
   deleteSelected () {
-    if (this.selection) {
+    if (this.selection && this.checkEdit (this.selection.region)) {
       const start = this.selection.region.start;
       this.collection.store.lines.removeRegion (this.selection.region);
       this.removeSelection ();
@@ -605,11 +821,13 @@ export class EditorCursor {
    * Copy the selected region to the clipboard.
    *
    * If no region has been selected then this method will copy the
-   * entire line.
+   * entire line (unless the cursor is on a line that ends before a box selection).
    *
    * @param {boolean} [cut] Whether to remove selection after copying
    */
   copySelected (cut) {
+    const box = this.collection.box;
+
     if (this.selection) {
       const lines = this.collection.store.lines.acquireRegionContent (this.selection.region);
       this.clipboard.write (lines.join ("\n"));
@@ -617,38 +835,53 @@ export class EditorCursor {
       if (cut) {
         this.deleteSelected ();
       }
+    } else if (this.virtualSpace > 0 || (box && box.anchor.column !== box.head.column)) {
+      /* A cursor on a short line of a box selection (or in virtual space) has nothing selected */
+      this.clipboard.write ("");
     } else {
-      this.clipboard.write (this.line.content);
-      if (cut) {
+      const line = this.line;
+
+      this.clipboard.write (line.content);
+      if (cut && this.checkEdit (line.next ? new EditorRegion (line.index, 0, line.index + 1, 0) : line.region)) {
         this.collection.store.lines.deleteLine (this.position.line);
-        this.setColumn (0);
+        this.setPosition (new EditorPosition (this.position.line, 0));
       }
     }
   }
 
   /**
-   * Paste the clipboard contents stored against this cursor at the current location.
+   * Paste text at the current location, replacing the selection (if any).
+   *
+   * The text is inserted as a single edit, and the cursor is moved to the end of it. Any style of
+   * line break is accepted, so the pasted lines take on the line ending style of the store.
+   *
+   * @param {string} [text] The text to paste (default: the content of the clipboard of this cursor)
    */
-  paste () {
-    const content = this.clipboard.read ();
+  paste (text) {
+    const content = typeof text === "string" ? text : this.clipboard.read ();
 
-    if (content) {
-      if (content.indexOf ("\n") === -1) {
-        this.insertText (content);
-      } else {
-        const lines    = content.split ('\n');
-        var   inserted = [];
+    if (content && this.selection) {
+      this.deleteSelected ();
+    }
 
-        for (var index = 0; index < lines.length; index++) {
-          this.insertText (lines[index]);
-          if (index < lines.length - 1) {
-            this.insertLine (false);
-          }
-        }
-      }
+    if (content && !this.selection && this.checkEdit (EditorRegion.fromPosition (this.position))) {
+      const padding = new Array (1 + this.virtualSpace).join (' ');
+      const end     = this.collection.store.lines.replaceRegion (EditorRegion.fromPosition (this.position), padding + content);
+
+      this.setPosition (end);
     }
   }
 
+  /**
+   * Check whether the store allows the user to edit the given region (see {@link EditorStore#checkEdit}).
+   *
+   * @param {EditorRegion} region The region that would be replaced (empty for an insertion)
+   * @returns {boolean} Whether the edit is allowed
+   */
+  checkEdit (region) {
+    return this.collection.store.checkEdit (region);
+  }
+
   /**
    * Test if the cursor is next to an encapsulator
    * @returns {boolean} Whether the cursor is next to an encapsulator
@@ -729,10 +962,13 @@ export class EditorCursor {
    * Fire the {@link EditorCursor#Changed} event and call {@link EditorStore#onCursorChanged}
    * with this cursor as an argument.
    *
+   * Moving the cursor takes it out of any virtual space.
+   *
    * @param {EditorPosition} last_pos The last position of the cursor
    * @param {EditorPosition} next_pos The new position of the editor
    */
   onPositionChanged (last_pos, next_pos) {
+    this.virtualSpace = 0;
     this.PositionChanged.fire (last_pos, next_pos);
     this.collection.onCursorChanged (this);
   }
@@ -744,3 +980,11 @@ export class EditorCursor {
     this.SelectionChanged.fire ();
   }
 }
+
+/**
+ * The saved state of an {@link EditorCursor} (see {@link EditorCursor#saveState}).
+ *
+ * @typedef {Object} EditorCursorState
+ * @property {EditorPosition}   position  The position of the cursor
+ * @property {EditorSelection?} selection The selection of the cursor (or `null`)
+ */
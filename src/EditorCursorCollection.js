@@ -2,6 +2,10 @@ import { EditorIdGenerator } from './EditorTools.js';
 import { EditorEvent } from './EditorEvent.js';
 import { EditorStore } from './EditorStore.js';
 import { EditorCursor } from './EditorCursor.js';
+import { EditorPosition } from './EditorPosition.js';
+import { EditorRegion } from './EditorRegion.js';
+import { EditorSelection } from './EditorSelection.js';
+import { EditorSearch } from './EditorSearch.js';
 
 /**
  * A collection of cursors.
@@ -43,6 +47,31 @@ export class EditorCursorCollection {
      */
     this.lastAdded = 0;
 
+    /**
+     * The word that was selected by {@link EditorCursorCollection#selectNextOccurrence} (whose occurrences
+     * only match whole words), or `null` once the cursors have been changed in any other way
+     * @type {string?}
+     */
+    this.occurrenceWord = null;
+
+    /**
+     * Whether the cursors are being changed to select occurrences (which keeps the occurrence word)
+     * @type {boolean}
+     */
+    this.updatingOccurrences = false;
+
+    /**
+     * The corners of the box selection (or `null`), where the column of each corner is a visual column
+     * @type {EditorBoxSelection?}
+     */
+    this.box = null;
+
+    /**
+     * Whether the cursors are being changed to make (or to copy) a box selection, which leaves the box in place
+     * @type {boolean}
+     */
+    this.updatingBox = false;
+
     /**
      * Event that is fired to make the cursors blink in sync
      * @type {EditorEvent}
@@ -138,6 +167,108 @@ export class EditorCursorCollection {
     old_secondary.forEach (cursor => this.onCursorRemoved (cursor));
   }
 
+  /**
+   * Add a secondary cursor at a position, or remove the cursor that is already there (such as on Alt+click).
+   *
+   * A cursor is at the position if the cursor is there or its selection contains it. If that is
+   * the primary cursor then the last secondary cursor that was added takes its place (the only
+   * cursor is never removed).
+   *
+   * @param {EditorPosition} position The position of the cursor
+   * @returns {EditorCursor?} The cursor that was added (or `null` if a cursor was removed)
+   */
+  toggleCursorAt (position) {
+    const existing = this.getAll ().find (cursor => {
+      return cursor.position.equals (position) || (cursor.selection !== null && cursor.selection.region.contains (position));
+    });
+
+    if (existing) {
+      if (existing === this.primary) {
+        const last = this.secondary[this.lastAdded];
+
+        if (last) {
+          this.removeCursor (last);
+          this.primary.restoreState (last.saveState ());
+        }
+      } else this.removeCursor (existing);
+
+      return null;
+    }
+
+    const cursor = new EditorCursor (this);
+    cursor.setPosition (position);
+    this.addCursor (cursor);
+    return cursor;
+  }
+
+  /**
+   * Make a box (rectangular) selection between two corners, with a cursor on each line.
+   *
+   * The corners are given as visual columns (see {@link EditorLine#visualColumn}), so that the
+   * box has straight sides when lines contain tabs. The primary cursor is placed on the line of
+   * the head of the box, and a secondary cursor on every other line (except those that are hidden
+   * by folds). On lines that end before the box, the cursor is left in virtual space at the left
+   * side of the box (see {@link EditorCursor#setVirtualSpace}), so that text typed into the box
+   * stays aligned.
+   *
+   * The box is kept until a cursor is changed by anything other than
+   * {@link EditorCursorCollection#selectBox}, such as by moving the cursors or by typing.
+   *
+   * @param {EditorPosition} anchor The corner where the box was started (with a visual column)
+   * @param {EditorPosition} head   The corner where the cursor is (with a visual column)
+   */
+  selectBox (anchor, head) {
+    const lines = this.store.lines;
+    const clamp = index => Math.min (lines.length - 1, Math.max (0, index));
+
+    anchor = new EditorPosition (clamp (anchor.line), Math.max (0, anchor.column));
+    head   = new EditorPosition (clamp (head.line), Math.max (0, head.column));
+
+    this.updatingBox = true;
+    try {
+      this.removeSecondary ();
+      this.primary.selectColumns (head.line, anchor.column, head.column);
+
+      for (var index = Math.min (anchor.line, head.line); index <= Math.max (anchor.line, head.line); index++) {
+        if (index !== head.line && !this.store.folds.isHidden (index)) {
+          const cursor = new EditorCursor (this);
+
+          cursor.selectColumns (index, anchor.column, head.column);
+          this.addCursor (cursor);
+        }
+      }
+    } finally {
+      this.updatingBox = false;
+    }
+
+    this.box = { anchor: anchor, head: head };
+  }
+
+  /**
+   * Move the head of the box selection by a number of (visible) lines and visual columns.
+   *
+   * If there is no box selection then a box is started from the primary cursor (or from the pivot
+   * of its selection).
+   *
+   * @param {number} lines   The number of lines to move (negative to move up)
+   * @param {number} columns The number of columns to move (negative to move left)
+   */
+  moveBox (lines, columns) {
+    if (!this.box) {
+      const cursor = this.primary;
+      const pivot  = cursor.selection ? cursor.selection.pivot : cursor.position;
+      const line   = cursor.line;
+
+      this.box = {
+        anchor: new EditorPosition (pivot.line, this.store.lines.get (pivot.line).visualColumn (pivot.column)),
+        head:   new EditorPosition (line.index, line.visualColumn (cursor.position.column) + cursor.virtualSpace)
+      };
+    }
+
+    this.selectBox (this.box.anchor, new EditorPosition (this.store.folds.offsetLine (this.box.head.line, lines),
+                                                         this.box.head.column + columns));
+  }
+
   /**
    * Get the index of the last added secondary cursor (or the primary cursor)
    */
@@ -147,6 +278,208 @@ export class EditorCursorCollection {
     } else return this.lastAdded;
   }
 
+  /**
+   * The last secondary cursor that was added (or the primary cursor if there are no secondary cursors)
+   * @type {EditorCursor}
+   */
+  get lastAddedCursor () {
+    return this.secondary[this.lastAdded] || this.primary;
+  }
+
+  /**
+   * Add a cursor that selects the next occurrence of the text selected by the last cursor that was added.
+   *
+   * If the last cursor has no selection then the word around each cursor without a selection is
+   * selected instead (see {@link EditorCursor#selectWord}), and the occurrences of that word only
+   * match whole words. The search wraps around to the start of the document, and skips any
+   * occurrence that is already selected.
+   *
+   * @returns {boolean} Whether a word or an occurrence was selected
+   */
+  selectNextOccurrence () {
+    return this.updateOccurrences (() => {
+      const last = this.lastAddedCursor;
+
+      if (!last.selection || last.selection.region.empty) {
+        return this.selectOccurrenceWords ();
+      }
+
+      const occurrence = this.findNextOccurrence (last.selection.region);
+      if (occurrence) {
+        this.addOccurrenceCursor (occurrence);
+      }
+
+      return occurrence !== null;
+    });
+  }
+
+  /**
+   * Add a cursor for every occurrence of the text selected by the primary cursor.
+   *
+   * If the primary cursor has no selection then the word around it is selected first.
+   *
+   * @returns {boolean} Whether any occurrence was selected
+   */
+  selectAllOccurrences () {
+    return this.updateOccurrences (() => {
+      if (!this.primary.selection || this.primary.selection.region.empty) {
+        if (!this.selectOccurrenceWords ()) {
+          return false;
+        }
+      }
+
+      this.findOccurrences (this.store.getTextInRange (this.primary.selection.region)).forEach (region => {
+        if (!this.isSelected (region)) {
+          this.addOccurrenceCursor (region);
+        }
+      });
+
+      return true;
+    });
+  }
+
+  /**
+   * Move the selection of the last cursor that was added to the next occurrence of its text.
+   *
+   * This skips an occurrence that was selected by {@link EditorCursorCollection#selectNextOccurrence}
+   * without selecting it. If the last cursor has no selection then this selects the word around
+   * it instead.
+   *
+   * @returns {boolean} Whether the selection was moved
+   */
+  skipOccurrence () {
+    return this.updateOccurrences (() => {
+      const last = this.lastAddedCursor;
+
+      if (!last.selection || last.selection.region.empty) {
+        return this.selectOccurrenceWords ();
+      }
+
+      const occurrence = this.findNextOccurrence (last.selection.region);
+      if (!occurrence) {
+        return false;
+      }
+
+      if (last === this.primary) {
+        last.setPosition (occurrence.start);
+        last.setPosition (occurrence.end, true);
+      } else {
+        this.removeCursor (last);
+        this.addOccurrenceCursor (occurrence);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Select the word around each cursor that has no selection.
+   *
+   * The occurrences of the word selected by the last cursor will only match whole words.
+   *
+   * @returns {boolean} Whether the last cursor that was added has selected a word
+   */
+  selectOccurrenceWords () {
+    return this.updateOccurrences (() => {
+      const last = this.lastAddedCursor;
+
+      this.forEach (cursor => {
+        if (!cursor.selection || cursor.selection.region.empty) {
+          cursor.selectWord ();
+        }
+      });
+
+      if (last.selection && !last.selection.region.empty) {
+        this.occurrenceWord = this.store.getTextInRange (last.selection.region);
+        return true;
+      } else return false;
+    });
+  }
+
+  /**
+   * Change the cursors to select occurrences, keeping the occurrence word whilst doing so.
+   *
+   * @param {function} action The action that changes the cursors
+   * @returns {*} The result of the action
+   */
+  updateOccurrences (action) {
+    const updating = this.updatingOccurrences;
+
+    this.updatingOccurrences = true;
+    try {
+      return action ();
+    } finally {
+      this.updatingOccurrences = updating;
+    }
+  }
+
+  /**
+   * Find the next occurrence of the text in a region that is not already selected by a cursor.
+   *
+   * @param {EditorRegion} region The region whose text we want to find
+   * @returns {EditorRegion?} The region of the next occurrence (or `null` if there is none)
+   */
+  findNextOccurrence (region) {
+    const occurrences = this.findOccurrences (this.store.getTextInRange (region)).filter (occurrence => {
+      return !this.isSelected (occurrence);
+    });
+
+    return occurrences.find (occurrence => region.end.isBeforeOrEqual (occurrence.start)) ||
+      occurrences[0] || null;
+  }
+
+  /**
+   * Find every occurrence of some text in the store.
+   *
+   * The search is case-sensitive. If the text is the word that was selected by
+   * {@link EditorCursorCollection#selectNextOccurrence} then only whole words are matched.
+   *
+   * @param {string} text The text to find
+   * @returns {EditorRegion[]} The regions of the occurrences, in order
+   */
+  findOccurrences (text) {
+    const lines  = this.store.lines;
+    const whole  = text === this.occurrenceWord;
+
+    if (text.length === 0) {
+      return [];
+    }
+
+    const regexp = new RegExp ((whole && /^\w/.test (text) ? "\\b" : "") + EditorSearch.escapeRegExp (text) +
+                               (whole && /\w$/.test (text) ? "\\b" : ""), "g");
+
+    return EditorSearch.findMatches (lines, regexp, null, Infinity, text.indexOf ('\n') !== -1).map (found => found.region);
+  }
+
+  /**
+   * Test whether a region is selected by any of the cursors.
+   *
+   * @param {EditorRegion} region The region to test
+   * @returns {boolean} Whether a cursor selects exactly that region
+   */
+  isSelected (region) {
+    return this.getAll ().some (cursor => {
+      return cursor.selection !== null &&
+        cursor.selection.region.start.equals (region.start) && cursor.selection.region.end.equals (region.end);
+    });
+  }
+
+  /**
+   * Add a secondary cursor that selects a region, and scroll the view to it.
+   *
+   * @param {EditorRegion} region The region to select
+   * @returns {EditorCursor} The new cursor
+   */
+  addOccurrenceCursor (region) {
+    const cursor = new EditorCursor (this);
+
+    cursor.position  = region.end.clone ();
+    cursor.selection = EditorSelection.fromPositions (region.start, region.end);
+    this.addCursor (cursor);
+    this.store.scrollToCursor (cursor);
+    return cursor;
+  }
+
   /**
    * Get an array of all cursors including the primary cursor.
    * @returns {EditorCursor[]} All the cursors in the collection
@@ -157,6 +490,98 @@ export class EditorCursorCollection {
     return result;
   }
 
+  /**
+   * Get an array of all the cursors, in the order of their positions in the document.
+   * @returns {EditorCursor[]} All the cursors in the collection, from the first to the last
+   */
+  getSorted () {
+    return this.getAll ().sort ((a, b) => a.position.isBefore (b.position) ? -1 : 1);
+  }
+
+  /**
+   * Capture the state of every cursor in the collection (see {@link EditorCursor#saveState}).
+   *
+   * The first element of the returned array is the state of the primary cursor.
+   *
+   * @returns {EditorCursorState[]} The state of each cursor
+   */
+  saveState () {
+    return this.map (cursor => cursor.saveState ());
+  }
+
+  /**
+   * Restore the cursors from a state returned by {@link EditorCursorCollection#saveState}.
+   *
+   * All the secondary cursors are removed, and a new secondary cursor is created for each
+   * secondary cursor in the saved state. The new cursors take over the clipboards of the old
+   * ones (in order), so that what they copied can still be pasted after an undo.
+   *
+   * @param {EditorCursorState[]} state The state of each cursor
+   */
+  restoreState (state) {
+    const clipboards = this.secondary.map (cursor => cursor.clipboard);
+    this.removeSecondary ();
+
+    state.forEach ((cursor_state, index) => {
+      if (index === 0) {
+        this.primary.restoreState (cursor_state);
+      } else {
+        const cursor = new EditorCursor (this);
+        if (index <= clipboards.length) {
+          cursor.clipboard = clipboards[index - 1];
+        }
+
+        cursor.restoreState (cursor_state);
+        this.addCursor (cursor);
+      }
+    });
+  }
+
+  /**
+   * Convert the indentation of the selected lines to use either spaces or tab characters.
+   *
+   * The lines covered by the selection of each cursor are converted. If none of the cursors
+   * has a selection then the whole document is converted (see {@link EditorStore#convertIndentation}).
+   *
+   * @param {boolean} soft_tabs Whether to indent with spaces (`true`) or tabs (`false`)
+   */
+  convertIndentation (soft_tabs) {
+    const regions = this.getAll ().filter (cursor => cursor.selection).map (cursor => cursor.selection.region);
+    this.store.convertIndentation (soft_tabs, regions.length > 0 ? regions : undefined);
+  }
+
+  /**
+   * Copy (or cut) the selection of each cursor into the clipboard of that cursor.
+   *
+   * Each cursor copies its selection, or its whole line when it has no selection and is not part
+   * of a box selection (see {@link EditorCursor#copySelected}). The text that is returned is what
+   * each cursor copied, in the order of the cursors in the document and separated by line breaks,
+   * and is meant for the clipboard of the system. It is also added to the clipboard history of the store (see
+   * {@link EditorClipboardHistory#push}).
+   *
+   * @param {boolean} [cut] Whether to remove the selections after copying
+   * @returns {string} The text that was copied by all the cursors
+   */
+  copy (cut) {
+    const cursors = this.getSorted ();
+
+    /* Keep any box selection until every cursor has copied, so that the cursors of its short lines copy nothing */
+    this.updatingBox = true;
+    try {
+      this.forEach (cursor => cursor.copySelected (cut));
+    } finally {
+      this.updatingBox = false;
+    }
+
+    if (cut) {
+      this.clearBox ();
+    }
+
+    const text = cursors.map (cursor => cursor.clipboard.read ()).join ('\n');
+    this.store.clipboardHistory.push (text);
+    return text;
+  }
+
   /**
    * Get the cursor at the lowest line number.
    * @type {EditorCursor} The cursor on the lowest line number
@@ -252,6 +677,26 @@ export class EditorCursorCollection {
     this.Blink.fire (index);
   }
 
+  /**
+   * Forget the box selection, unless it is being made by {@link EditorCursorCollection#selectBox} (or copied).
+   *
+   * The cursors of the box are left as they are.
+   */
+  clearBox () {
+    if (!this.updatingBox) {
+      this.box = null;
+    }
+  }
+
+  /**
+   * Forget the occurrence word, unless the cursors are being changed to select occurrences.
+   */
+  clearOccurrenceWord () {
+    if (!this.updatingOccurrences) {
+      this.occurrenceWord = null;
+    }
+  }
+
   /**
    * A cursor was added to the collection.
    *
@@ -260,6 +705,8 @@ export class EditorCursorCollection {
    * @param {EditorCursor} cursor The cursor that was added
    */
   onCursorAdded (cursor) {
+    this.clearBox ();
+    this.clearOccurrenceWord ();
     this.startBlink (true);
     this.CursorAdded.fire (cursor);
   }
@@ -272,6 +719,8 @@ export class EditorCursorCollection {
    * @param {EditorCursor} cursor The cursor that was removed
    */
   onCursorRemoved (cursor) {
+    this.clearBox ();
+    this.clearOccurrenceWord ();
     this.startBlink (true);
     this.CursorRemoved.fire (cursor);
   }
@@ -284,7 +733,17 @@ export class EditorCursorCollection {
    * @param {EditorCursor} cursor The cursor that has changed
    */
   onCursorChanged (cursor) {
+    this.clearBox ();
+    this.clearOccurrenceWord ();
     this.startBlink (true);
     this.CursorChanged.fire (cursor);
   }
 }
+
+/**
+ * The corners of a box selection in an {@link EditorCursorCollection}.
+ *
+ * @typedef {Object} EditorBoxSelection
+ * @property {EditorPosition} anchor The corner where the box was started (with a visual column)
+ * @property {EditorPosition} head   The corner where the cursor is (with a visual column)
+ */
@@ -0,0 +1,191 @@
+import { EditorEvent } from './EditorEvent.js';
+
+/**
+ * A collection of decorations: CSS classes that are applied to regions of the text of an {@link EditorStore}.
+ *
+ * Decorations are used to draw such things as squiggly underlines, background highlights and
+ * strike-through over the text, on top of the syntax highlighting. Each decoration belongs to a
+ * layer, named by its owner, so that all the decorations of one owner (such as a spell checker)
+ * can be cleared together without affecting those of any other owner.
+ *
+ * The region of each decoration is anchored (see {@link EditorAnchorCollection#createRegion}), so
+ * decorations move with the text as the document is edited.
+ *
+ * @example
+ * const squiggle = store.decorations.add ("spelling", new EditorRegion (3, 4, 3, 11), "squiggly");
+ * // ... and later
+ * store.decorations.clear ("spelling");
+ */
+export class EditorDecorationCollection {
+  /**
+   * Construct a new `EditorDecorationCollection`.
+   *
+   * @param {EditorStore} store The store whose text we decorate
+   */
+  constructor (store) {
+    /**
+     * The store whose text we decorate
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * The decorations in each layer, by the name of the owner of the layer
+     * @type {Object<string,EditorDecoration[]>}
+     */
+    this.layers = {};
+
+    /**
+     * Event that is fired when decorations are added or removed
+     * @type {EditorEvent}
+     * @param {number} first_line The index of the first line whose decorations changed
+     * @param {number} last_line  The index of the last line whose decorations changed
+     */
+    this.Changed = new EditorEvent ("EditorDecorationCollection.Changed");
+  }
+
+  /**
+   * Add a decoration to a region of the text.
+   *
+   * @param {string}       owner      The owner of the decoration (the name of its layer)
+   * @param {EditorRegion} region     The region of text to decorate
+   * @param {string}       class_name The CSS class (or space-separated classes) of the decoration
+   * @returns {EditorDecoration} The decoration (which can be passed to {@link EditorDecorationCollection#remove})
+   * @emits Changed
+   */
+  add (owner, region, class_name) {
+    if (!this.store.lines.isValidRegion (region)) {
+      throw new Error ("Invalid decoration region " + region.toString ());
+    }
+
+    const decoration = {
+      owner:     owner,
+      region:    this.store.anchors.createRegion (region),
+      className: class_name
+    };
+
+    if (!this.layers.hasOwnProperty (owner)) {
+      this.layers[owner] = [];
+    }
+
+    this.layers[owner].push (decoration);
+    this.onChanged (decoration.region.startLine, decoration.region.endLine);
+    return decoration;
+  }
+
+  /**
+   * Remove a decoration.
+   *
+   * @param {EditorDecoration} decoration The decoration returned by {@link EditorDecorationCollection#add}
+   * @returns {boolean} Whether the decoration was found and removed
+   * @emits Changed
+   */
+  remove (decoration) {
+    const layer = this.layers[decoration.owner];
+    const index = layer ? layer.indexOf (decoration) : -1;
+
+    if (index === -1) {
+      return false;
+    }
+
+    layer.splice (index, 1);
+    this.store.anchors.release (decoration.region);
+    this.onChanged (decoration.region.startLine, decoration.region.endLine);
+    return true;
+  }
+
+  /**
+   * Remove all the decorations of an owner (or of every owner).
+   *
+   * @param {string} [owner] The owner whose decorations are removed (default: all owners)
+   * @emits Changed
+   */
+  clear (owner) {
+    const owners = typeof owner === "undefined" ? Object.keys (this.layers) : [owner];
+    var   first  = Infinity, last = -1;
+
+    owners.forEach (name => {
+      (this.layers[name] || []).forEach (decoration => {
+        this.store.anchors.release (decoration.region);
+        first = Math.min (first, decoration.region.startLine);
+        last  = Math.max (last, decoration.region.endLine);
+      });
+
+      delete this.layers[name];
+    });
+
+    if (last !== -1) {
+      this.onChanged (first, last);
+    }
+  }
+
+  /**
+   * Get the decorations of an owner.
+   *
+   * @param {string} owner The owner of the decorations
+   * @returns {EditorDecoration[]} The decorations in the layer of the owner
+   */
+  getLayer (owner) {
+    return (this.layers[owner] || []).slice ();
+  }
+
+  /**
+   * Get the decorated ranges of columns of a line.
+   *
+   * The ranges are given in the order in which the layers and their decorations were added. A
+   * decoration that spans several lines covers the whole of each line between its first and last
+   * line. Empty ranges are not included.
+   *
+   * @param {number} index The index of the line
+   * @returns {EditorDecorationRange[]} The decorated ranges of the line
+   */
+  getLineDecorations (index) {
+    var result = [];
+
+    Object.keys (this.layers).forEach (owner => {
+      this.layers[owner].forEach (decoration => {
+        const region = decoration.region;
+
+        if (index >= region.startLine && index <= region.endLine) {
+          const start = index === region.startLine ? region.startColumn : 0;
+          const end   = index === region.endLine ? region.endColumn : this.store.lines.getContent (index).length;
+
+          if (end > start) {
+            result.push ({ start: start, end: end, className: decoration.className, decoration: decoration });
+          }
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Fire the {@link EditorDecorationCollection#Changed} event.
+   *
+   * @param {number} first_line The index of the first line whose decorations changed
+   * @param {number} last_line  The index of the last line whose decorations changed
+   */
+  onChanged (first_line, last_line) {
+    this.Changed.fire (first_line, last_line);
+  }
+}
+
+/**
+ * A decoration in an {@link EditorDecorationCollection}.
+ *
+ * @typedef {Object} EditorDecoration
+ * @property {string}       owner     The owner of the decoration (the name of its layer)
+ * @property {EditorRegion} region    The anchored region of text that is decorated
+ * @property {string}       className The CSS class of the decoration
+ */
+
+/**
+ * The part of a decoration that lies on a single line (see {@link EditorDecorationCollection#getLineDecorations}).
+ *
+ * @typedef {Object} EditorDecorationRange
+ * @property {number}           start      The column at which the range starts
+ * @property {number}           end        The column at which the range ends
+ * @property {string}           className  The CSS class of the decoration
+ * @property {EditorDecoration} decoration The decoration
+ */
@@ -0,0 +1,252 @@
+import { EditorEvent } from './EditorEvent.js';
+import { EditorRegion } from './EditorRegion.js';
+
+/**
+ * A collection of diagnostics (such as the errors and warnings of a linter) for an {@link EditorStore}.
+ *
+ * Diagnostics are given for each owner (such as `"eslint"` or a type checker) with
+ * {@link EditorDiagnosticCollection#set}, which replaces all the previous diagnostics of that
+ * owner, so that several owners can report problems on the same lines without interfering with
+ * each other.
+ *
+ * The region of each diagnostic is underlined in the text using a decoration (see
+ * {@link EditorDecorationCollection}) in a layer of its own for each owner, with the CSS classes
+ * `diagnostic` and the severity of the diagnostic. As decorations are anchored, the diagnostics
+ * move with the text as the document is edited.
+ *
+ * @example
+ * store.setDiagnostics ("eslint", [
+ *   { region: new EditorRegion (4, 2, 4, 9), severity: "error", message: "'foo' is not defined" }
+ * ]);
+ */
+export class EditorDiagnosticCollection {
+  /**
+   * Construct a new `EditorDiagnosticCollection`.
+   *
+   * @param {EditorStore} store The store to which the diagnostics apply
+   */
+  constructor (store) {
+    /**
+     * The store to which the diagnostics apply
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * The diagnostics of each owner
+     * @type {Object<string,EditorDiagnostic[]>}
+     */
+    this.owners = {};
+
+    /**
+     * Event that is fired when the diagnostics of an owner have been set or cleared
+     * @type {EditorEvent}
+     * @param {string?} owner The owner whose diagnostics changed (or `null` for all owners)
+     */
+    this.Changed = new EditorEvent ("EditorDiagnosticCollection.Changed");
+  }
+
+  /**
+   * Replace the diagnostics of an owner.
+   *
+   * An empty region is extended to cover the character after it (if any), so that it can be
+   * underlined. If any of the regions is invalid, or a severity is not one of
+   * {@link EditorDiagnosticCollection.SEVERITIES}, then an error is thrown and the diagnostics
+   * of the owner are left unchanged.
+   *
+   * @param {string}                owner       The owner of the diagnostics
+   * @param {EditorDiagnosticSpec[]} diagnostics The new diagnostics of the owner
+   * @throws {Error} If a region or severity is invalid
+   * @emits Changed
+   */
+  set (owner, diagnostics) {
+    const lines = this.store.lines;
+
+    diagnostics.forEach ((diagnostic, index) => {
+      if (!lines.isValidRegion (diagnostic.region)) {
+        throw new Error ("Invalid region " + diagnostic.region.toString () + " in diagnostic " + index);
+      }
+
+      if (EditorDiagnosticCollection.SEVERITIES.indexOf (diagnostic.severity) === -1) {
+        throw new Error ("Invalid severity '" + diagnostic.severity + "' in diagnostic " + index);
+      }
+    });
+
+    this.store.decorations.clear (EditorDiagnosticCollection.layerName (owner));
+    this.owners[owner] = diagnostics.map (diagnostic => {
+      var region = diagnostic.region;
+
+      if (region.empty && region.startColumn < lines.getContent (region.startLine).length) {
+        const next = lines.get (region.startLine).nextColumn (region.startColumn);
+        region = new EditorRegion (region.startLine, region.startColumn, region.startLine, next);
+      }
+
+      return {
+        owner:      owner,
+        severity:   diagnostic.severity,
+        message:    diagnostic.message,
+        decoration: this.store.decorations.add (EditorDiagnosticCollection.layerName (owner), region,
+                                                "diagnostic " + diagnostic.severity)
+      };
+    });
+
+    this.onChanged (owner);
+  }
+
+  /**
+   * Remove the diagnostics of an owner (or of every owner).
+   *
+   * @param {string} [owner] The owner whose diagnostics are removed (default: all owners)
+   * @emits Changed
+   */
+  clear (owner) {
+    const owners = typeof owner === "undefined" ? Object.keys (this.owners) : [owner];
+
+    owners.forEach (name => {
+      this.store.decorations.clear (EditorDiagnosticCollection.layerName (name));
+      delete this.owners[name];
+    });
+
+    this.onChanged (typeof owner === "undefined" ? null : owner);
+  }
+
+  /**
+   * Get all the diagnostics, ordered by the start of their regions.
+   *
+   * Diagnostics that start at the same position are ordered by their severity (most severe first).
+   *
+   * @returns {EditorDiagnostic[]} All the diagnostics of every owner
+   */
+  getAll () {
+    var result = [];
+
+    Object.keys (this.owners).forEach (owner => {
+      this.owners[owner].forEach (diagnostic => result.push (diagnostic));
+    });
+
+    return result.sort ((a, b) => {
+      const a_start = a.decoration.region.start;
+      const b_start = b.decoration.region.start;
+
+      if (a_start.equals (b_start)) {
+        return EditorDiagnosticCollection.compareSeverity (a.severity, b.severity);
+      } else return a_start.isBefore (b_start) ? -1 : 1;
+    });
+  }
+
+  /**
+   * Get the diagnostics whose regions include part of a line.
+   *
+   * @param {number} index The index of the line
+   * @returns {EditorDiagnostic[]} The diagnostics on the line (most severe first)
+   */
+  getLineDiagnostics (index) {
+    return this.getAll ().filter (diagnostic => {
+      const region = diagnostic.decoration.region;
+      return index >= region.startLine && index <= region.endLine;
+    }).sort ((a, b) => EditorDiagnosticCollection.compareSeverity (a.severity, b.severity));
+  }
+
+  /**
+   * Get the diagnostics whose regions contain a position (such as the position under the mouse).
+   *
+   * @param {EditorPosition} position The position to test
+   * @returns {EditorDiagnostic[]} The diagnostics at the position (most severe first)
+   */
+  getAt (position) {
+    return this.getAll ().filter (diagnostic => {
+      return diagnostic.decoration.region.contains (position);
+    }).sort ((a, b) => EditorDiagnosticCollection.compareSeverity (a.severity, b.severity));
+  }
+
+  /**
+   * Find the first diagnostic that starts after a position, wrapping around to the start of the document.
+   *
+   * @param {EditorPosition} position The position from which to search
+   * @returns {EditorDiagnostic?} The next diagnostic (or `null` if there are none)
+   */
+  findNext (position) {
+    const all = this.getAll ();
+
+    for (var i = 0; i < all.length; i++) {
+      if (position.isBefore (all[i].decoration.region.start)) {
+        return all[i];
+      }
+    }
+
+    return all.length > 0 ? all[0] : null;
+  }
+
+  /**
+   * Find the last diagnostic that starts before a position, wrapping around to the end of the document.
+   *
+   * @param {EditorPosition} position The position from which to search
+   * @returns {EditorDiagnostic?} The previous diagnostic (or `null` if there are none)
+   */
+  findPrevious (position) {
+    const all = this.getAll ();
+
+    for (var i = all.length - 1; i >= 0; i--) {
+      if (all[i].decoration.region.start.isBefore (position)) {
+        return all[i];
+      }
+    }
+
+    return all.length > 0 ? all[all.length - 1] : null;
+  }
+
+  /**
+   * Fire the {@link EditorDiagnosticCollection#Changed} event.
+   *
+   * @param {string?} owner The owner whose diagnostics changed (or `null` for all owners)
+   */
+  onChanged (owner) {
+    this.Changed.fire (owner);
+  }
+
+  /**
+   * Get the name of the decoration layer that is used for the diagnostics of an owner.
+   *
+   * @param {string} owner The owner of the diagnostics
+   * @returns {string} The name of the decoration layer
+   */
+  static layerName (owner) {
+    return "diagnostics:" + owner;
+  }
+
+  /**
+   * Compare two severities, so that more severe diagnostics are ordered first.
+   *
+   * @param {string} a The first severity
+   * @param {string} b The second severity
+   * @returns {number} A negative number if `a` is more severe than `b`, positive if less, or zero
+   */
+  static compareSeverity (a, b) {
+    return EditorDiagnosticCollection.SEVERITIES.indexOf (a) - EditorDiagnosticCollection.SEVERITIES.indexOf (b);
+  }
+
+  /**
+   * The severities of diagnostics, from the most to the least severe
+   * @type {string[]}
+   */
+  static SEVERITIES = ["error", "warning", "info", "hint"];
+}
+
+/**
+ * A diagnostic as given to {@link EditorDiagnosticCollection#set}.
+ *
+ * @typedef {Object} EditorDiagnosticSpec
+ * @property {EditorRegion} region   The region of text to which the diagnostic applies
+ * @property {string}       severity One of `"error"`, `"warning"`, `"info"` or `"hint"`
+ * @property {string}       message  The message to display
+ */
+
+/**
+ * A diagnostic in an {@link EditorDiagnosticCollection}.
+ *
+ * @typedef {Object} EditorDiagnostic
+ * @property {string}           owner      The owner of the diagnostic
+ * @property {string}           severity   One of `"error"`, `"warning"`, `"info"` or `"hint"`
+ * @property {string}           message    The message to display
+ * @property {EditorDecoration} decoration The decoration that underlines the (anchored) region of the diagnostic
+ */
@@ -21,6 +21,45 @@ export class EditorEvent {
      * @type {object[]}
      */
     this.handlers = [];
+
+    /**
+     * The number of times this event has been suspended (see {@link EditorEvent#suspend}).
+     * @type {number}
+     */
+    this.suspended = 0;
+
+    /**
+     * The arguments to the last call to {@link EditorEvent#fire} whilst suspended (or `null`)
+     * @type {Array?}
+     */
+    this.pending = null;
+  }
+
+  /**
+   * Suspend this event.
+   *
+   * Whilst an event is suspended, calls to {@link EditorEvent#fire} do not call the attached
+   * callbacks. Instead the event is fired once when it is resumed (see {@link EditorEvent#resume}),
+   * with the arguments that were passed to the last call to `fire`.
+   *
+   * Calls to `suspend` can be nested: the event is resumed when every call to `suspend` has
+   * been matched by a call to `resume`.
+   */
+  suspend () {
+    this.suspended++;
+  }
+
+  /**
+   * Resume this event after a call to {@link EditorEvent#suspend}.
+   *
+   * If the event was fired whilst it was suspended then it is fired now.
+   */
+  resume () {
+    if (this.suspended > 0 && --this.suspended === 0 && this.pending) {
+      const args = this.pending;
+      this.pending = null;
+      this.fire.apply (this, args);
+    }
   }
 
   /**
@@ -95,11 +134,18 @@ export class EditorEvent {
    * If an exception is thrown in the call to an attached callback function then
    * this will be reported to the console and the event will continue to call
    * subsequent callbacks.
+   *
+   * If the event is suspended then the callbacks are not called until the event is resumed.
    */
   fire () {
     const args = Array.prototype.slice.call (arguments, [0]);
     //console.log (this.name, args);
 
+    if (this.suspended > 0) {
+      this.pending = args;
+      return;
+    }
+
     this.handlers.slice (0).forEach ((handler) => {
       try {
         handler.callback.apply (handler.binding, args);
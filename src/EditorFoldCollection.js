@@ -0,0 +1,383 @@
+import { EditorEvent } from './EditorEvent.js';
+import { EditorRegion } from './EditorRegion.js';
+
+/**
+ * The folded blocks of lines of an {@link EditorStore}.
+ *
+ * A fold hides the indentation block that follows a line (see {@link EditorIndentRegions#getFoldBlock}),
+ * leaving the line that starts the block (the header of the fold) visible. The lines that remain
+ * visible are laid out in rows: {@link EditorFoldCollection#lineToRow} and
+ * {@link EditorFoldCollection#rowToLine} convert between the index of a line and the row in which
+ * it is shown, which is used by the {@link EditorViewMetrics} to position the lines in the view.
+ *
+ * The region of each fold runs from the end of the header to the end of the last hidden line, and is
+ * anchored (see {@link EditorAnchorCollection#createRegion}) so that folds move with the text as the
+ * document is edited. A fold is expanded automatically when an edit changes the text that it hides,
+ * or when a cursor is moved onto one of the hidden lines.
+ *
+ * @example
+ * store.folds.fold (12);   // hide the block after line 12
+ * store.folds.lineToRow (20);
+ * store.folds.unfoldAll ();
+ */
+export class EditorFoldCollection {
+  /**
+   * Construct a new `EditorFoldCollection`.
+   *
+   * @param {EditorStore} store The store whose lines we fold
+   */
+  constructor (store) {
+    /**
+     * The store whose lines we fold
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * The anchored regions of the folds (from the end of the header to the end of the last hidden line)
+     * @type {EditorRegion[]}
+     */
+    this.folds = [];
+
+    /**
+     * The ranges of hidden lines, in order and merged where folds overlap (or `null` if they need to be computed)
+     * @type {EditorFoldRange[]?}
+     */
+    this.hidden = null;
+
+    /**
+     * Event that is fired when lines have been folded or unfolded
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorFoldCollection.Changed");
+
+    /**
+     * Whether folds have been expanded by an edit, and the {@link EditorFoldCollection#Changed} event is yet to be fired
+     * @type {boolean}
+     */
+    this.pending = false;
+
+    /* Expand any fold whose hidden text is about to be edited. The regions of the folds have not yet
+     * been moved by the change, so the Changed event is left until the lines have been updated. */
+    store.anchors.Updating.bindTo (this, change => {
+      this.hidden = null;
+
+      this.folds.filter (region => {
+        return region.intersects (change.region) ||
+          (change.region.start.equals (region.start) && change.text.indexOf ('\n') !== -1);
+      }).forEach (region => {
+        this.removeFold (region);
+        this.pending = true;
+      });
+    });
+
+    store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
+    store.lines.LineContentChanged.bindTo (this, this.onLinesChanged);
+
+    /* Expand any fold that hides a line on which there is a cursor */
+    const reveal_cursor = cursor => {
+      this.folds.filter (region => {
+        return cursor.position.line > region.startLine && cursor.position.line <= region.endLine;
+      }).forEach (region => this.unfold (region.startLine));
+    };
+
+    store.cursors.CursorAdded.bindTo (this, reveal_cursor);
+    store.cursors.CursorChanged.bindTo (this, reveal_cursor);
+  }
+
+  /**
+   * The number of folds in this collection
+   * @type {number}
+   */
+  get length () {
+    return this.folds.length;
+  }
+
+  /**
+   * The number of rows that are needed to show the lines that are not hidden
+   * @type {number}
+   */
+  get rowCount () {
+    return this.store.lines.length - this.getHiddenRanges ().reduce ((count, range) => {
+      return count + 1 + range.last - range.first;
+    }, 0);
+  }
+
+  /**
+   * Fold the indentation block that follows a line.
+   *
+   * Any cursor that is on one of the lines that are hidden is moved to the end of the line.
+   *
+   * @param {number} index The index of the line that starts the block
+   * @returns {boolean} Whether the block was folded (`false` if there is no block or it is already folded)
+   * @emits Changed
+   */
+  fold (index) {
+    const lines = this.store.lines;
+    const block = lines.indentRegions.getFoldBlock (index);
+
+    if (!block || this.isFolded (index)) {
+      return false;
+    }
+
+    this.store.cursors.forEach (cursor => {
+      if (cursor.position.line >= block.start && cursor.position.line <= block.end) {
+        cursor.setPosition ({ line: index, column: lines.getContent (index).length });
+      }
+    });
+
+    const region = new EditorRegion (index, lines.getContent (index).length, block.end, lines.getContent (block.end).length);
+    this.folds.push (this.store.anchors.createRegion (region, "right", "left"));
+    this.hidden = null;
+    this.onChanged ();
+    return true;
+  }
+
+  /**
+   * Unfold the block that follows a line.
+   *
+   * @param {number} index The index of the line that starts the folded block
+   * @returns {boolean} Whether the block was folded
+   * @emits Changed
+   */
+  unfold (index) {
+    const fold = this.folds.findIndex (region => region.startLine === index);
+
+    if (fold === -1) {
+      return false;
+    }
+
+    this.removeFold (this.folds[fold]);
+    this.onChanged ();
+    return true;
+  }
+
+  /**
+   * Remove a fold without firing the {@link EditorFoldCollection#Changed} event.
+   *
+   * @param {EditorRegion} region The anchored region of the fold
+   */
+  removeFold (region) {
+    this.store.anchors.release (region);
+    this.folds.splice (this.folds.indexOf (region), 1);
+    this.hidden = null;
+  }
+
+  /**
+   * Fold or unfold the block that follows a line.
+   *
+   * @param {number} index The index of the line that starts the block
+   * @returns {boolean} Whether the block was folded or unfolded
+   */
+  toggle (index) {
+    return this.isFolded (index) ? this.unfold (index) : this.fold (index);
+  }
+
+  /**
+   * Fold the innermost block that contains a line (such as the line of a cursor).
+   *
+   * If the line starts a block itself then that block is folded.
+   *
+   * @param {number} index The index of the line
+   * @returns {boolean} Whether a block was folded
+   */
+  foldAt (index) {
+    const header = this.store.lines.indentRegions.findFoldStart (index);
+    return header !== -1 && this.fold (header);
+  }
+
+  /**
+   * Unfold the block that follows a line, or the innermost folded block that contains it.
+   *
+   * @param {number} index The index of the line
+   * @returns {boolean} Whether a block was unfolded
+   */
+  unfoldAt (index) {
+    if (this.isFolded (index)) {
+      return this.unfold (index);
+    }
+
+    var header = -1;
+    this.folds.forEach (region => {
+      if (index > region.startLine && index <= region.endLine && region.startLine > header) {
+        header = region.startLine;
+      }
+    });
+
+    return header !== -1 && this.unfold (header);
+  }
+
+  /**
+   * Fold every block in the document.
+   *
+   * Nested blocks are folded as well, so they remain folded when the block around them is unfolded.
+   *
+   * @emits Changed
+   */
+  foldAll () {
+    const regions = this.store.lines.indentRegions;
+
+    this.Changed.suspend ();
+    try {
+      for (var index = 0; index < this.store.lines.length; index++) {
+        if (regions.isFoldable (index)) {
+          this.fold (index);
+        }
+      }
+    } finally {
+      this.Changed.resume ();
+    }
+  }
+
+  /**
+   * Unfold every folded block.
+   *
+   * @emits Changed
+   */
+  unfoldAll () {
+    if (this.folds.length > 0) {
+      this.folds.forEach (region => this.store.anchors.release (region));
+      this.folds  = [];
+      this.hidden = null;
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Test whether the block that follows a line is folded.
+   *
+   * @param {number} index The index of the line
+   * @returns {boolean} Whether the line is the header of a fold
+   */
+  isFolded (index) {
+    return this.folds.some (region => region.startLine === index);
+  }
+
+  /**
+   * Test whether a line is hidden by a fold.
+   *
+   * @param {number} index The index of the line
+   * @returns {boolean} Whether the line is hidden
+   */
+  isHidden (index) {
+    return this.getHiddenRanges ().some (range => index >= range.first && index <= range.last);
+  }
+
+  /**
+   * Get the ranges of lines that are hidden by the folds.
+   *
+   * The ranges are in order, and folds that overlap (or that are next to each other) are merged
+   * into a single range.
+   *
+   * @returns {EditorFoldRange[]} The ranges of hidden lines
+   */
+  getHiddenRanges () {
+    if (this.hidden === null) {
+      const sorted = this.folds.filter (region => region.endLine > region.startLine).map (region => {
+        return { first: region.startLine + 1, last: region.endLine };
+      }).sort ((a, b) => a.first - b.first);
+
+      this.hidden = [];
+      sorted.forEach (range => {
+        const prev = this.hidden[this.hidden.length - 1];
+
+        if (prev && range.first <= prev.last + 1) {
+          prev.last = Math.max (prev.last, range.last);
+        } else {
+          this.hidden.push (range);
+        }
+      });
+    }
+
+    return this.hidden;
+  }
+
+  /**
+   * Get the row in which a line is shown.
+   *
+   * A line that is hidden is given the row of the header of the fold that hides it.
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The index of the row
+   */
+  lineToRow (index) {
+    const ranges = this.getHiddenRanges ();
+    var   row    = index;
+
+    for (var i = 0; i < ranges.length && ranges[i].first <= index; i++) {
+      if (ranges[i].last < index) {
+        row -= 1 + ranges[i].last - ranges[i].first;
+      } else {
+        row -= 1 + index - ranges[i].first;
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Get the line that is shown in a row.
+   *
+   * Rows after the last line are mapped to the lines that would follow it, so the result is only
+   * a valid line index when the row is less than {@link EditorFoldCollection#rowCount}.
+   *
+   * @param {number} row The index of the row
+   * @returns {number} The index of the line
+   */
+  rowToLine (row) {
+    const ranges = this.getHiddenRanges ();
+    var   index  = row;
+
+    for (var i = 0; i < ranges.length && ranges[i].first <= index; i++) {
+      index += 1 + ranges[i].last - ranges[i].first;
+    }
+
+    return index;
+  }
+
+  /**
+   * Get the line that is a number of visible lines before or after another line.
+   *
+   * This is used to move cursors up and down over the folded blocks. The result is clamped to
+   * the lines of the document.
+   *
+   * @param {number} index The index of the line
+   * @param {number} delta The number of visible lines to move (negative to move up)
+   * @returns {number} The index of the line
+   */
+  offsetLine (index, delta) {
+    const row = Math.min (this.rowCount - 1, Math.max (0, this.lineToRow (index) + delta));
+    return this.rowToLine (row);
+  }
+
+  /**
+   * A method that is bound to the {@link EditorLineCollection#LinesChanged} and
+   * {@link EditorLineCollection#LineContentChanged} events.
+   *
+   * The rows of the lines are computed again, and if any folds were expanded by the changes then
+   * the {@link EditorFoldCollection#Changed} event is fired.
+   */
+  onLinesChanged () {
+    this.hidden = null;
+
+    if (this.pending) {
+      this.pending = false;
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Fire the {@link EditorFoldCollection#Changed} event.
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+}
+
+/**
+ * A range of lines that are hidden by the folds in an {@link EditorFoldCollection}.
+ *
+ * @typedef {Object} EditorFoldRange
+ * @property {number} first The index of the first hidden line
+ * @property {number} last  The index of the last hidden line
+ */
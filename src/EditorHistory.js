@@ -0,0 +1,427 @@
+import { EditorEvent } from './EditorEvent.js';
+
+/**
+ * The undo and redo history for an {@link EditorStore}.
+ *
+ * Every change that is made to the lines of the store is reported to the history via the
+ * {@link EditorHistory#record} method. Changes are collected into steps, where each step
+ * is the unit that is undone or redone, along with the state of the cursors before and
+ * after the step was made.
+ *
+ * A step is opened with {@link EditorHistory#begin} and closed with {@link EditorHistory#end}
+ * (or both via {@link EditorHistory#group}). Nested groups are collected into the outermost
+ * step. Any change that is recorded outside of a group becomes a step of its own.
+ *
+ * @example
+ * // Insert text at every cursor as a single undoable step
+ * store.history.group (() => {
+ *   store.cursors.forEach (cursor => cursor.insertText ("foo"));
+ * });
+ */
+export class EditorHistory {
+  /**
+   * Construct a new `EditorHistory`.
+   *
+   * @param {EditorStore} store The store whose changes we are recording
+   */
+  constructor (store) {
+    /**
+     * The store whose changes we are recording
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * The steps that can be undone (most recent last)
+     * @type {EditorHistoryStep[]}
+     */
+    this.undoStack = [];
+
+    /**
+     * The steps that can be redone (most recent last)
+     * @type {EditorHistoryStep[]}
+     */
+    this.redoStack = [];
+
+    /**
+     * The step that is currently being recorded (or `null`)
+     * @type {EditorHistoryStep?}
+     */
+    this.current = null;
+
+    /**
+     * The nesting depth of calls to {@link EditorHistory#begin}
+     * @type {number}
+     */
+    this.depth = 0;
+
+    /**
+     * Whether we are currently undoing or redoing a step (changes are not recorded)
+     * @type {boolean}
+     */
+    this.replaying = false;
+
+    /**
+     * The step at the top of the undo stack when the document was last saved (`null` for an empty undo stack)
+     * @type {EditorHistoryStep?}
+     */
+    this.savePoint = null;
+
+    /**
+     * Whether the saved state of the document can still be reached by undoing or redoing steps
+     * @type {boolean}
+     */
+    this.hasSavePoint = true;
+
+    /**
+     * Event that is fired when the undo or redo stacks change
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorHistory.Changed");
+  }
+
+  /**
+   * Whether there is a step that can be undone.
+   * @type {boolean}
+   */
+  get canUndo () {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is a step that can be redone.
+   * @type {boolean}
+   */
+  get canRedo () {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Whether the document is in the state in which it was last saved (see {@link EditorHistory#markSaved}).
+   *
+   * The document is in the saved state when the step at the top of the undo stack is the step
+   * that was at the top when the save point was recorded, so undoing back to the save point (or
+   * redoing forward to it) makes the document clean again.
+   *
+   * @type {boolean}
+   */
+  get isAtSavePoint () {
+    return this.hasSavePoint && (this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null) === this.savePoint;
+  }
+
+  /**
+   * Record the current state of the document as the saved state.
+   */
+  markSaved () {
+    this.savePoint    = this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+    this.hasSavePoint = true;
+    this.onChanged ();
+  }
+
+  /**
+   * Discard all the recorded steps.
+   *
+   * If the document is in the saved state then it remains so, otherwise the saved state can no
+   * longer be reached until {@link EditorHistory#markSaved} is called.
+   */
+  clear () {
+    this.hasSavePoint = this.isAtSavePoint;
+    this.savePoint    = null;
+    this.undoStack    = [];
+    this.redoStack    = [];
+    this.onChanged ();
+  }
+
+  /**
+   * Start recording a step.
+   *
+   * If a step is already being recorded then this call is nested within it, and the changes
+   * will be collected into the outer step. The `kind` of a step is used to decide whether it
+   * can be merged with the previous step (see {@link EditorHistory#canMerge}).
+   *
+   * @param {string} [kind] The kind of step (such as `"typing"`)
+   * @param {string} [text] The text that was typed (for `"typing"` steps)
+   */
+  begin (kind, text) {
+    if (this.depth++ === 0) {
+      this.current = {
+        kind:    kind || null,
+        text:    text || "",
+        changes: [],
+        before:  this.store.cursors.saveState (),
+        after:   null
+      };
+    } else if (kind && !this.current.kind) {
+      this.current.kind = kind;
+      this.current.text = text || "";
+    }
+  }
+
+  /**
+   * Finish recording a step.
+   *
+   * When the outermost step is finished it is pushed onto the undo stack (or merged into
+   * the previous step) and the redo stack is cleared. Steps without any changes are discarded.
+   */
+  end () {
+    if (--this.depth > 0) {
+      return;
+    }
+
+    const step = this.current;
+    this.current = null;
+
+    if (step.changes.length === 0) {
+      return;
+    }
+
+    step.after = this.store.cursors.saveState ();
+
+    /* Never merge into the save point, as the saved state would then be lost */
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last && last !== this.savePoint && this.canMerge (last, step)) {
+      step.changes.forEach (change => last.changes.push (change));
+      last.after = step.after;
+      last.text += step.text;
+    } else {
+      this.undoStack.push (step);
+
+      const limit = this.store.config.undoLimit;
+      if (limit > 0 && this.undoStack.length > limit) {
+        const removed = this.undoStack.splice (0, this.undoStack.length - limit);
+
+        /* The saved state can no longer be reached if it was before the steps that were removed */
+        if (this.savePoint === null || removed.indexOf (this.savePoint) !== -1) {
+          this.hasSavePoint = false;
+        }
+      }
+    }
+
+    this.redoStack = [];
+    this.onChanged ();
+  }
+
+  /**
+   * Perform an action, recording all the changes it makes as a single step.
+   *
+   * @param {function} action The action to perform
+   * @param {string}   [kind] The kind of step (see {@link EditorHistory#begin})
+   * @param {string}   [text] The text that was typed (for `"typing"` steps)
+   * @returns {*} The result of the action
+   */
+  group (action, kind, text) {
+    this.begin (kind, text);
+    try {
+      return action ();
+    } finally {
+      this.end ();
+    }
+  }
+
+  /**
+   * Record a change to the lines of the store.
+   *
+   * This is called by {@link EditorLine} and {@link EditorLineCollection} whenever they are
+   * modified. Changes are ignored whilst a step is being undone or redone.
+   *
+   * @param {EditorHistoryChange} change The change that was made
+   */
+  record (change) {
+    if (this.replaying) {
+      return;
+    }
+
+    if (this.current) {
+      this.current.changes.push (change);
+    } else {
+      this.begin ();
+      this.current.changes.push (change);
+      this.end ();
+    }
+  }
+
+  /**
+   * Test whether the `next` step can be merged into the `prev` step.
+   *
+   * Only consecutive `"typing"` steps are merged, and only when the cursors have not been moved
+   * between the two steps. A new step is started when a word starts after whitespace or
+   * punctuation, so that typing is undone a word at a time.
+   *
+   * @param {EditorHistoryStep} prev The previous step
+   * @param {EditorHistoryStep} next The new step
+   * @returns {boolean} Whether the steps can be merged
+   */
+  canMerge (prev, next) {
+    if (prev.kind !== "typing" || next.kind !== "typing") {
+      return false;
+    }
+
+    if (!EditorHistory.sameCursorState (prev.after, next.before)) {
+      return false;
+    }
+
+    return !(/\W$/.test (prev.text) && /^\w/.test (next.text));
+  }
+
+  /**
+   * Undo the most recent step.
+   *
+   * @returns {boolean} Whether a step was undone
+   */
+  undo () {
+    const step = this.undoStack.pop ();
+    if (!step) {
+      return false;
+    }
+
+    this.replay (() => {
+      for (var i = step.changes.length - 1; i >= 0; i--) {
+        this.applyChange (step.changes[i], false);
+      }
+    });
+
+    this.store.cursors.restoreState (step.before);
+    this.redoStack.push (step);
+    this.onChanged ();
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone step.
+   *
+   * @returns {boolean} Whether a step was redone
+   */
+  redo () {
+    const step = this.redoStack.pop ();
+    if (!step) {
+      return false;
+    }
+
+    this.replay (() => {
+      step.changes.forEach (change => this.applyChange (change, true));
+    });
+
+    this.store.cursors.restoreState (step.after);
+    this.undoStack.push (step);
+    this.onChanged ();
+    return true;
+  }
+
+  /**
+   * Perform an action without recording any of the changes that it makes.
+   *
+   * The changes are made within an update of the {@link EditorLineCollection}, so that a single
+   * change notification is fired (see {@link EditorLineCollection#beginUpdate}).
+   *
+   * @param {function} action The action to perform
+   */
+  replay (action) {
+    this.replaying = true;
+    this.store.lines.beginUpdate ();
+
+    try {
+      action ();
+    } finally {
+      this.store.lines.endUpdate ();
+      this.replaying = false;
+    }
+  }
+
+  /**
+   * Apply a recorded change to the lines of the store, either forwards (redo) or backwards (undo).
+   *
+   * @param {EditorHistoryChange} change  The change to apply
+   * @param {boolean}             forward Whether to apply the change forwards
+   */
+  applyChange (change, forward) {
+    const lines = this.store.lines;
+
+    switch (change.type) {
+      case "content":
+        lines.get (change.line).setContent (forward ? change.after : change.before);
+        break;
+
+      case "insert":
+        if (forward) {
+          lines.insertLines (change.index, change.content);
+        } else {
+          lines.deleteLines (change.index, change.content.length);
+        }
+        break;
+
+      case "delete":
+        if (forward) {
+          lines.deleteLines (change.index, change.content.length);
+        } else {
+          lines.insertLines (change.index, change.content);
+        }
+        break;
+
+      case "replace":
+        lines.setLines (forward ? change.after : change.before);
+        break;
+
+      default:
+        throw new Error ("Unknown history change type '" + change.type + "'");
+    }
+  }
+
+  /**
+   * Test whether two cursor states (from {@link EditorCursorCollection#saveState}) are the same.
+   *
+   * @param {EditorCursorState[]} a The first cursor state
+   * @param {EditorCursorState[]} b The second cursor state
+   * @returns {boolean} Whether the two states describe the same cursors
+   */
+  static sameCursorState (a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+
+    for (var i = 0; i < a.length; i++) {
+      if (!a[i].position.equals (b[i].position) || (a[i].selection === null) !== (b[i].selection === null)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Called when the undo or redo stacks have changed.
+   * @emits Changed
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+}
+
+/**
+ * A single undoable step in the {@link EditorHistory}.
+ *
+ * @typedef {Object} EditorHistoryStep
+ * @property {string?}               kind    The kind of step (such as `"typing"`)
+ * @property {string}                text    The text that was typed (for `"typing"` steps)
+ * @property {EditorHistoryChange[]} changes The changes made in this step (in order)
+ * @property {EditorCursorState[]}   before  The state of the cursors before the step
+ * @property {EditorCursorState[]}   after   The state of the cursors after the step
+ */
+
+/**
+ * A change to the lines of an {@link EditorStore}, as recorded in the {@link EditorHistory}.
+ *
+ * The `type` of the change is one of:
+ *
+ * 1. `"content"`: the content of the line at index `line` was changed from `before` to `after`,
+ * 2. `"insert"`: the lines with the given `content` were inserted at `index`,
+ * 3. `"delete"`: the lines with the given `content` were deleted from `index`,
+ * 4. `"replace"`: all the lines in the store were replaced, from `before` to `after`.
+ *
+ * @typedef {Object} EditorHistoryChange
+ * @property {string}          type      The type of change
+ * @property {number}          [line]    The index of the changed line (`"content"`)
+ * @property {number}          [index]   The index of the inserted or deleted lines (`"insert"` and `"delete"`)
+ * @property {string[]}        [content] The content of the inserted or deleted lines (`"insert"` and `"delete"`)
+ * @property {string|string[]} [before]  The content before the change (`"content"` and `"replace"`)
+ * @property {string|string[]} [after]   The content after the change (`"content"` and `"replace"`)
+ */
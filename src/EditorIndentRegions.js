@@ -1,8 +1,12 @@
 import { EditorEvent } from './EditorEvent.js';
 import { EditorLineCollection } from './EditorLineCollection.js';
+import { EditorLine } from './EditorLine.js';
 
 /**
  * Tracks indentation regions within the {@link EditorLineCollection} contents.
+ *
+ * So that large documents can be handled efficiently, the regions are only computed for the
+ * lines around the window of lines that is visible in the editor (see {@link EditorIndentRegions#setWindow}).
  */
 export class EditorIndentRegions {
   /**
@@ -26,6 +30,30 @@ export class EditorIndentRegions {
      */
     this.regions = [];
 
+    /**
+     * The index of the first line for which the regions have been computed
+     * @type {number}
+     */
+    this.start = 0;
+
+    /**
+     * The index of the last line for which the regions have been computed
+     * @type {number}
+     */
+    this.end = 0;
+
+    /**
+     * The index of the first visible line
+     * @type {number}
+     */
+    this.windowFirst = 0;
+
+    /**
+     * The index of the last visible line
+     * @type {number}
+     */
+    this.windowLast = 0;
+
    /**
      * The regions in this collection have changed
      * @type {EditorEvent}
@@ -35,6 +63,12 @@ export class EditorIndentRegions {
     this.update ();
   }
 
+  /**
+   * The number of lines either side of the visible window for which the regions are computed
+   * @type {number}
+   */
+  static MARGIN = 100;
+
   /**
    * Map a function over the {@link IndentColumn} array in `regions` member.
    *
@@ -45,43 +79,70 @@ export class EditorIndentRegions {
     return this.regions.map (action);
   }
 
+  /**
+   * Set the window of lines that are visible in the editor.
+   *
+   * If the window is not within the lines for which the regions have been computed, the
+   * regions are updated (see {@link EditorIndentRegions#update}).
+   *
+   * @param {number} first The index of the first visible line
+   * @param {number} last  The index of the last visible line
+   */
+  setWindow (first, last) {
+    this.windowFirst = first;
+    this.windowLast  = isFinite (last) ? Math.max (first, last) : first;
+
+    if (this.windowFirst < this.start || this.windowLast > this.end) {
+      this.update ();
+    }
+  }
+
   /**
    * Update the regions in this `EditorIndentRegions` by scanning the contents of
    * the {@link EditorLineCollection} to which we are attached.
    *
+   * Only the lines within {@link EditorIndentRegions.MARGIN} lines of the visible window are scanned.
+   *
    * @emits EditorIndentRegions#Changed
    */
   update () {
     const collection = this.collection;
+    const tab_size   = collection.store.config.tabSize;
     var   regions    = [];
 
-    collection.forEach (line => {
-      if (line.indent > 0) {
-        var index = line.indent / collection.store.config.tabSize;
+    this.start = Math.max (0, this.windowFirst - EditorIndentRegions.MARGIN);
+    this.end   = Math.min (collection.length - 1, this.windowLast + EditorIndentRegions.MARGIN);
+
+    collection.tree.iterate (this.start, this.end + 1, (content, line_index) => {
+      /* Indentation is measured in visual columns, so that tabs line up with the guides */
+      const indent = EditorLine.visualColumnOf (content, EditorLine.indentOf (content), tab_size);
+
+      if (indent > 0) {
+        var index = indent / tab_size;
 
         for (var column = 0; column < index; column++) {
           if (column > regions.length - 1) {
-            regions.push ([{ start: line.index, end: line.index }]);
+            regions.push ([{ start: line_index, end: line_index }]);
           } else {
             var blocks = regions[column];
             var block  = blocks[blocks.length - 1];
 
-            if (block.end === line.index - 1) {
+            if (block.end === line_index - 1) {
               /* Previous line was indented at this column; extend the block */
-              block.end = line.index;
+              block.end = line_index;
             } else {
               /* Previous line was not indented at this column; create a new block */
-              blocks.push ({ start: line.index, end: line.index });
+              blocks.push ({ start: line_index, end: line_index });
             }
           }
         }
-      } else if (line.content.length === 0 || line.contains (/^\s*$/)) {
+      } else if (content.length === 0 || /^\s*$/.test (content)) {
         /* Line is empty or just full of whitespace; extend all blocks from previous line
          * down through this blank line */
         regions.forEach (blocks => {
           var last_block = blocks[blocks.length - 1];
-          if (last_block.end === line.index - 1) {
-            last_block.end = line.index;
+          if (last_block.end === line_index - 1) {
+            last_block.end = line_index;
           }
         });
       }
@@ -90,6 +151,112 @@ export class EditorIndentRegions {
     this.regions = regions;
     this.Changed.fire ();
   }
+
+  /**
+   * Get the visual indentation of the line with the given index (or `null` if the line is blank).
+   *
+   * @param {number} index The index of the line
+   * @returns {number?} The indentation of the line in visual columns (or `null`)
+   */
+  getLineIndent (index) {
+    const content = this.collection.getContent (index);
+
+    if (/^\s*$/.test (content)) {
+      return null;
+    }
+
+    return EditorLine.visualColumnOf (content, EditorLine.indentOf (content), this.collection.store.config.tabSize);
+  }
+
+  /**
+   * Test whether the line with the given index starts an indentation block that can be folded.
+   *
+   * A line can be folded when the next line that is not blank is indented further than it.
+   *
+   * @param {number} index The index of the line
+   * @returns {boolean} Whether the line starts a foldable block
+   */
+  isFoldable (index) {
+    const indent = this.getLineIndent (index);
+
+    if (indent === null) {
+      return false;
+    }
+
+    for (var next = index + 1; next < this.collection.length; next++) {
+      const next_indent = this.getLineIndent (next);
+
+      if (next_indent !== null) {
+        return next_indent > indent;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the lines of the indentation block that follows the line with the given index.
+   *
+   * The block is made up of the lines after the given line that are indented further than it,
+   * along with any blank lines between them (but not the blank lines after the last of them),
+   * in the same way as the blocks of the `regions`.
+   *
+   * @param {number} index The index of the line that starts the block
+   * @returns {IndentBlock?} The lines of the block (or `null` if the line cannot be folded)
+   */
+  getFoldBlock (index) {
+    const indent = this.getLineIndent (index);
+    var   end    = index;
+
+    if (indent === null) {
+      return null;
+    }
+
+    for (var next = index + 1; next < this.collection.length; next++) {
+      const next_indent = this.getLineIndent (next);
+
+      if (next_indent !== null) {
+        if (next_indent <= indent) {
+          break;
+        }
+
+        end = next;
+      }
+    }
+
+    return end > index ? { start: index + 1, end: end } : null;
+  }
+
+  /**
+   * Find the line that starts the innermost foldable block containing the line with the given index.
+   *
+   * If the line itself starts a foldable block then it is returned.
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The index of the line that starts the block (or `-1` if there is none)
+   */
+  findFoldStart (index) {
+    if (this.isFoldable (index)) {
+      return index;
+    }
+
+    /* A blank line belongs to the block of the next line that is not blank */
+    var indent = null;
+    for (var next = index; next < this.collection.length && indent === null; next++) {
+      indent = this.getLineIndent (next);
+    }
+
+    for (var prev = index - 1; prev >= 0 && indent !== null; prev--) {
+      const prev_indent = this.getLineIndent (prev);
+
+      if (prev_indent !== null && prev_indent < indent) {
+        const block = this.getFoldBlock (prev);
+        return block && block.end >= index ? prev : -1;
+      }
+    }
+
+    return -1;
+  }
 }
 
 /**
@@ -186,6 +186,9 @@ export class EditorKeymap {
   /**
    * Process a key event.
    *
+   * The command of the matching mapping is run within a transaction (see {@link EditorStore#transact}),
+   * so that all the changes it makes (such as across multiple cursors) are undone as a single step.
+   *
    * @param {string} mode The event mode (`up`, `down` or `press`)
    * @param {Event} event The event object
    */
@@ -199,7 +202,8 @@ export class EditorKeymap {
 
     for (var i = 0; i < mappings.length; i++) {
       if (mappings[i].matchesEvent (mode, event)) {
-        mappings[i].command (store, event);
+        const mapping = mappings[i];
+        store.transact (() => mapping.command (store, event));
         return true;
       }
     }
@@ -300,20 +304,55 @@ export class EditorKeymap {
     new EditorKeyMapping ("down", "Escape", false, false, false, false, (store, event) => {
       store.cursors.removeSecondary ();
       store.cursors.primary.removeSelection ();
+
+      if (store.search.visible) {
+        store.search.close ();
+      }
     }),
 
     /*
-     * Character Input
+     * Box Selection (Alt+Shift and the arrow keys)
+     */
+
+    new EditorKeyMapping ("down", "ArrowLeft", true, false, true, false, (store, event) => {
+      store.cursors.moveBox (0, -1);
+    }),
+
+    new EditorKeyMapping ("down", "ArrowRight", true, false, true, false, (store, event) => {
+      store.cursors.moveBox (0, 1);
+    }),
+
+    new EditorKeyMapping ("down", "ArrowUp", true, false, true, false, (store, event) => {
+      store.cursors.moveBox (-1, 0);
+    }),
+
+    new EditorKeyMapping ("down", "ArrowDown", true, false, true, false, (store, event) => {
+      store.cursors.moveBox (1, 0);
+    }),
+
+    /*
+     * Occurrences (select the next, skip it with Ctrl+Alt, or select all with Ctrl+Shift+L)
      */
 
-    new EditorKeyMapping ("down", (event) => {
-      if (event.key.length === 1) {
-        return event.key.match (/(\w|\s|[-\|\[\]{}_=+;:'@#~,<.>\/\\?\!"£$%^&*()])/g);
-      } else return false;
-    }, null, false, false, false, (store, event) => {
-      store.cursors.forEach (cursor => cursor.insertText (event.key));
+    new EditorKeyMapping ("down", "d", false, true, false, false, (store, event) => {
+      store.cursors.selectNextOccurrence ();
     }),
 
+    new EditorKeyMapping ("down", "d", false, true, true, false, (store, event) => {
+      store.cursors.skipOccurrence ();
+    }),
+
+    new EditorKeyMapping ("down", /^[lL]$/, true, true, false, false, (store, event) => {
+      store.cursors.selectAllOccurrences ();
+    }),
+
+    /*
+     * Character Input
+     *
+     * The characters themselves are typed into the hidden text area and inserted by the
+     * composition (see EditorComposition#input), whichever key they come from.
+     */
+
     new EditorKeyMapping ("down", "Backspace", null, false, false, false, (store, event) => {
       store.cursors.forEach (cursor => cursor.deleteBackwards (1));
     }),
@@ -332,18 +371,92 @@ export class EditorKeymap {
 
     /*
      * Clipboard Interaction
+     *
+     * Ctrl+C, Ctrl+X and Ctrl+V are left to the browser, so that the editor gets the copy, cut
+     * and paste events (and their clipboard data).
      */
 
-    new EditorKeyMapping ("down", "c", false, true, false, false, (store, event) => {
-      store.cursors.forEach (cursor => cursor.copySelected ());
+    new EditorKeyMapping ("down", "v", false, true, true, false, (store, event) => {
+      store.pasteHistory.open ();
     }),
 
-    new EditorKeyMapping ("down", "x", false, true, false, false, (store, event) => {
-      store.cursors.forEach (cursor => cursor.copySelected (true));
+    new EditorKeyMapping ("down", /^[yY]$/, null, false, true, false, (store, event) => {
+      /* Alt+Y replaces the text that was just pasted with the previous entry of the history (Alt+Shift+Y with the next) */
+      store.pasteHistory.yankPop (event.shiftKey);
     }),
 
-    new EditorKeyMapping ("down", "v", false, true, false, false, (store, event) => {
-      store.cursors.forEach (cursor => cursor.paste ());
+    /*
+     * Diagnostics
+     */
+
+    new EditorKeyMapping ("down", "F8", null, false, false, false, (store, event) => {
+      const cursor     = store.cursors.primary;
+      const diagnostic = event.shiftKey ? store.diagnostics.findPrevious (cursor.position)
+                                        : store.diagnostics.findNext (cursor.position);
+
+      if (diagnostic) {
+        store.cursors.removeSecondary ();
+        cursor.removeSelection ();
+        cursor.setPosition (diagnostic.decoration.region.start);
+      }
+    }),
+
+    /*
+     * Find and Replace
+     */
+
+    new EditorKeyMapping ("down", "f", false, true, false, false, (store, event) => {
+      store.search.open (false);
+    }),
+
+    new EditorKeyMapping ("down", "h", false, true, false, false, (store, event) => {
+      store.search.open (true);
+    }),
+
+    new EditorKeyMapping ("down", "F3", null, false, false, false, (store, event) => {
+      if (!store.search.visible) {
+        store.search.open (false);
+      }
+
+      if (event.shiftKey) {
+        store.search.findPrevious ();
+      } else store.search.findNext ();
+    }),
+
+    /*
+     * Folding (at the cursor, or every block with Ctrl+Alt)
+     */
+
+    new EditorKeyMapping ("down", /^[\[{]$/, true, true, false, false, (store, event) => {
+      store.folds.foldAt (store.cursors.primary.position.line);
+    }),
+
+    new EditorKeyMapping ("down", /^[\]}]$/, true, true, false, false, (store, event) => {
+      store.folds.unfoldAt (store.cursors.primary.position.line);
+    }),
+
+    new EditorKeyMapping ("down", "[", false, true, true, false, (store, event) => {
+      store.folds.foldAll ();
+    }),
+
+    new EditorKeyMapping ("down", "]", false, true, true, false, (store, event) => {
+      store.folds.unfoldAll ();
+    }),
+
+    /*
+     * Undo and Redo (not available when the store is read-only)
+     */
+
+    new EditorKeyMapping ("down", /^[zZ]$/, false, true, false, false, (store, event) => {
+      if (!store.config.readOnly) {
+        store.history.undo ();
+      }
+    }),
+
+    new EditorKeyMapping ("down", /^[zZ]$/, true, true, false, false, (store, event) => {
+      if (!store.config.readOnly) {
+        store.history.redo ();
+      }
     })
   ];
 }
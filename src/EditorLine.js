@@ -1,6 +1,8 @@
 import { EditorEvent } from './EditorEvent.js';
 import { EditorRegion } from './EditorRegion.js';
 import { EditorPosition } from './EditorPosition.js';
+import { EditorChange } from './EditorChange.js';
+import { EditorUnicode } from './EditorUnicode.js';
 import { EditorLineCollection } from './EditorLineCollection.js';
 import * as Syntax from './EditorSyntax.js';
 
@@ -31,15 +33,20 @@ export class EditorLineMarker {
 
 /**
  * A line of text in the editor.
+ *
+ * Lines are created by the {@link EditorLineCollection} when they are first needed, and are stored
+ * in the leaves of its {@link EditorLineTree}. The index of a line is not stored, but is computed
+ * from the position of the line in the tree. The rendering of a line is computed lazily when either
+ * the `render` or `elements` properties are accessed.
  */
 export class EditorLine {
   /**
    * Construct a new `EditorLine`.
    *
    * @param {EditorLineCollection} collection  The collection to which this line belongs
-   * @param {number}               index       The index of the line (i.e. zero-based line number)
+   * @param {number}               index       The index of the line (used until the line is inserted into the collection)
    * @param {string}               content     The content of the line
-   * @param {boolean}              [no_update] If true, the constructor will not create the initial render state.
+   * @param {boolean}              [no_update] If true, the constructor will not compute the indentation of the line.
    */
   constructor (collection, index, content, no_update) {
     /**
@@ -55,10 +62,17 @@ export class EditorLine {
     this.collection = collection;
 
     /**
-     * The index of the line (i.e. zero-based line number)
+     * The leaf of the {@link EditorLineTree} that contains this line (or `null` if the line is not in the collection)
+     * @type {EditorLineLeaf?}
+     */
+    this.leaf = null;
+
+    /**
+     * The index that was given when the line was created
      * @type {number}
+     * @see {@link EditorLine#index}
      */
-    this.index = index;
+    this.initialIndex = index;
 
     /**
      * The content of the line
@@ -67,7 +81,7 @@ export class EditorLine {
     this.content = content;
 
     /**
-     * The identation of the line
+     * The identation of the line, in visual columns
      * @see {@link EditorLine#updateIndent}
      * @type {number}
      */
@@ -95,11 +109,11 @@ export class EditorLine {
     this.syntaxOut = 0;
 
     /**
-     * The rendered content of this line (in HTML)
+     * The rendered content of this line (in HTML) as of the last call to {@link EditorLine#computeRender}
      * @type {string}
-     * @see {@link EditorLine#computeRender}
+     * @see {@link EditorLine#render}
      */
-    this.render = "";
+    this.renderCache = "";
 
     /**
      * Whether this line's content has changed and needs to be re-rendered
@@ -108,11 +122,11 @@ export class EditorLine {
     this.dirty = true;
 
     /**
-     * The rendered elements of this line
+     * The rendered elements of this line as of the last call to {@link EditorLine#computeRender}
      * @type {SyntaxRegion[]}
-     * @see {@link EditorLine#computeRender}
+     * @see {@link EditorLine#elements}
      */
-    this.elements = [];
+    this.elementsCache = [];
 
     /**
      * The content of this line has changed.
@@ -128,10 +142,40 @@ export class EditorLine {
 
     if (!no_update) {
       this.updateIndent ();
-      this.computeRender ();
     }
   }
 
+  /**
+   * The index of the line (i.e. zero-based line number).
+   *
+   * If the line is not in the collection, this is the index that was given to the constructor.
+   *
+   * @type {number}
+   */
+  get index () {
+    return this.leaf ? this.collection.tree.indexOf (this) : this.initialIndex;
+  }
+
+  /**
+   * The rendered content of this line (in HTML).
+   * @type {string}
+   * @see {@link EditorLine#computeRender}
+   */
+  get render () {
+    this.computeRender ();
+    return this.renderCache;
+  }
+
+  /**
+   * The rendered elements of this line.
+   * @type {SyntaxRegion[]}
+   * @see {@link EditorLine#computeRender}
+   */
+  get elements () {
+    this.computeRender ();
+    return this.elementsCache;
+  }
+
   /**
    * Set the content of the line to a new value.
    *
@@ -139,15 +183,26 @@ export class EditorLine {
    * and also the render information (via {@link EditorLine#computeRender}), which may result in
    * subsequent lines being updated (see {@link EditorLine#computeRender} for more information).
    *
-   * @param {string} content The new content for the line
+   * The change is recorded in the {@link EditorHistory} of the store.
+   *
+   * @param {string}       content  The new content for the line
+   * @param {EditorChange} [change] The change that describes the edit (default: computed by {@link EditorChange.fromLineContent})
    */
-  setContent (content) {
+  setContent (content, change) {
     if (this.content !== content) {
+      change = change || EditorChange.fromLineContent (this.index, this.content, content);
+
+      this.collection.store.history.record ({ type: "content", line: this.index, before: this.content, after: content });
+
+      if (this.leaf) {
+        this.collection.tree.adjustChars (this, content.length - this.content.length);
+      }
+
       this.content = content;
       this.dirty   = true;
       this.updateIndent ();
       this.computeRender ();
-      this.onContentChanged ();
+      this.onContentChanged (change);
     }
   }
 
@@ -165,7 +220,7 @@ export class EditorLine {
    * @param {string} text The text to append to this line
    */
   appendText (text) {
-    this.setContent (this.content + text);
+    this.insertText (this.content.length, text);
   }
 
   /**
@@ -174,11 +229,11 @@ export class EditorLine {
    * @param {string} text  The text to insert at the given index
    */
   insertText (index, text) {
-    if (index >= this.content.length) {
-      this.setContent (this.content + text);
-    } else {
-      this.setContent (this.content.slice (0, index) + text + this.content.slice (index));
-    }
+    const line = this.index;
+
+    index = Math.min (index, this.content.length);
+    this.setContent (this.content.slice (0, index) + text + this.content.slice (index),
+                     new EditorChange (new EditorRegion (line, index, line, index), text, ""));
   }
 
   /**
@@ -187,7 +242,13 @@ export class EditorLine {
    * @param {number} count The number of characters to delete
    */
   deleteText (index, count) {
-    this.setContent (this.content.slice (0, index) + this.content.slice (index + count));
+    const line = this.index;
+    const end  = Math.min (index + count, this.content.length);
+
+    index = Math.min (index, end);
+
+    this.setContent (this.content.slice (0, index) + this.content.slice (end),
+                     new EditorChange (new EditorRegion (line, index, line, end), "", this.content.slice (index, end)));
   }
 
   /**
@@ -195,7 +256,7 @@ export class EditorLine {
    * @param {number} index The index to start deleting from
    */
   deleteTextFrom (index) {
-    this.setContent (this.content.slice (0, index));
+    this.deleteText (index, this.content.length - index);
   }
 
   /**
@@ -204,11 +265,7 @@ export class EditorLine {
    * @returns {boolean} Whether the line contains the given value
    */
   contains (value) {
-    if (typeof value === "string") {
-      return this.content.indexOf (value) !== -1;
-    } else if (value instanceof RegExp) {
-      return value.test (this.content);
-    } else return false;
+    return EditorLine.contentContains (this.content, value);
   }
 
   /**
@@ -236,6 +293,64 @@ export class EditorLine {
     return this.content.length;
   }
 
+  /**
+   * Get the column that is a number of characters after the given column.
+   *
+   * A character is a grapheme cluster (see {@link EditorUnicode}), so that the cursor steps over
+   * a surrogate pair or a character with combining marks as a single unit.
+   *
+   * @param {number} column  The column to start from
+   * @param {number} [count] The number of characters to move over (default: `1`)
+   * @returns {number} The new column (clamped to the length of the line)
+   */
+  nextColumn (column, count) {
+    return EditorUnicode.nextBoundary (this.content, column, count);
+  }
+
+  /**
+   * Get the column that is a number of characters before the given column.
+   *
+   * @param {number} column  The column to start from
+   * @param {number} [count] The number of characters to move over (default: `1`)
+   * @returns {number} The new column (clamped to the start of the line)
+   * @see {@link EditorLine#nextColumn}
+   */
+  previousColumn (column, count) {
+    return EditorUnicode.previousBoundary (this.content, column, count);
+  }
+
+  /**
+   * Clamp a column to this line, moving it to the start of the character that contains it.
+   *
+   * @param {number} column The column to snap
+   * @returns {number} The column of a character boundary
+   */
+  snapColumn (column) {
+    return EditorUnicode.snap (this.content, column);
+  }
+
+  /**
+   * Convert a column in this line to a visual column (the column on the screen).
+   *
+   * @param {number} column The column to convert
+   * @returns {number} The visual column
+   * @see {@link EditorLine.visualColumnOf}
+   */
+  visualColumn (column) {
+    return EditorLine.visualColumnOf (this.content, column, this.collection.store.config.tabSize);
+  }
+
+  /**
+   * Convert a visual column (the column on the screen) to the nearest column in this line.
+   *
+   * @param {number} visual The visual column (which may be fractional)
+   * @returns {number} The column in this line
+   * @see {@link EditorLine.columnAtVisualOf}
+   */
+  columnAtVisual (visual) {
+    return EditorLine.columnAtVisualOf (this.content, visual, this.collection.store.config.tabSize);
+  }
+
   /**
    * Returns a region that encloses this line.
    * @type {EditorRegion} A region that encloses this line
@@ -249,7 +364,7 @@ export class EditorLine {
    * @type {EditorLine} The previous line
    */
   get previous () {
-    return this.collection.lines[this.index - 1] || null;
+    return this.collection.get (this.index - 1);
   }
 
   /**
@@ -257,7 +372,7 @@ export class EditorLine {
    * @type {EditorLine} The next line
    */
   get next () {
-    return this.collection.lines[this.index + 1] || null;
+    return this.collection.get (this.index + 1);
   }
 
   /**
@@ -271,59 +386,69 @@ export class EditorLine {
   }
 
   /**
-   * Update the indentation information for this line by examining the space characters
+   * Update the indentation information for this line by examining the whitespace characters
    * at the start of the line content.
+   *
+   * The indentation is the visual width of the whitespace, so a tab character counts up to the
+   * next tab stop (see {@link EditorLine.visualColumnOf}).
    */
   updateIndent () {
-    var res = /^\s*/.exec (this.content);
-    this.indent = res ? res[0].length : 0;
+    this.indent = EditorLine.visualColumnOf (this.content, EditorLine.indentOf (this.content), this.collection.store.config.tabSize);
+  }
+
+  /**
+   * The column at which the indentation of this line ends (the number of whitespace characters
+   * at the start of the line).
+   * @type {number}
+   */
+  get indentEnd () {
+    return EditorLine.indentOf (this.content);
   }
 
   /**
    * Perform syntax rendering using the syntax engine assigned to our parent {@link EditorStore}.
    *
-   * This will update the `elements` and `render` properties of the line.
+   * This will update the cached `elements` and `render` properties of the line. The line is only
+   * rendered if its content has changed, or if the state of the syntax engine at the start of the
+   * line has changed (see {@link EditorLineCollection#getSyntaxStateBefore}).
    *
-   * Note that if this is not the last line in the editor, and the state of the syntax highlight
-   * engine ({@link EditorSyntaxEngine}) is not the same as the start state of the next line, then
-   * the `computeRender` method is called on the next line automatically. This will also result
-   * in the firing of the changed events for the next line (via {@link EditorLine#onContentChanged}).
-   * The purpose of this is to make sure that if the syntax highlighter finishes this line in a
-   * different state to when it started processing the previous line, the previous line is also
-   * rendered. This ensures that changes to the state of the syntax engine cascade through the lines.
-   * This is important when, for example, dealing with block-comments: when we have changed the content
-   * of this line such that a block comment starts we need to cascade this style onto the subsequent
-   * lines.
+   * Once the line has been rendered, the state of the syntax engine at the end of the line is
+   * passed to {@link EditorLineCollection#updateSyntaxState}. If this is not the same as the state
+   * that was previously recorded for this line, the {@link EditorLineCollection#SyntaxChanged} event
+   * is fired so that the subsequent lines are rendered again. This is important when, for example,
+   * dealing with block-comments: when we have changed the content of this line such that a block
+   * comment starts we need to cascade this style onto the subsequent lines.
    */
   computeRender () {
-    if (!this.dirty) {
+    if (!this.leaf) {
       return;
     }
 
-    const tab_size = this.collection.store.config.tabSize;
-    const syntax   = this.collection.store.syntax;
+    const index     = this.index;
+    const tab_size  = this.collection.store.config.tabSize;
+    const syntax    = this.collection.store.syntax;
+    const syntax_in = syntax ? this.collection.getSyntaxStateBefore (index) : 0;
+
+    if (!this.dirty && this.syntaxIn === syntax_in) {
+      return;
+    }
 
     if (syntax) {
-      const prev_line = this.previous;
-      if (prev_line) {
-        /* Our initial state is the state of our previous line's syntax engine at the end of rendering */
-        this.syntaxIn = syntax.state = prev_line.syntaxOut;
-      } else {
-        /* We don't have a previous line */
-        this.syntaxIn = syntax.state = 0;
-      }
+      /* Our initial state is the state of the syntax engine at the end of the previous line */
+      this.syntaxIn = syntax.state = syntax_in;
 
       const regions = syntax.highlightLine (this.content, null, tab_size);
-      this.elements = regions.regions;
+      this.elementsCache = regions.regions;
     } else {
       var region = new Syntax.SyntaxRegion (0);
       region.style = "plain";
-      region.appendString (this.content);
-      this.elements = [region];
+      /* Expand tabs in the same way as EditorSyntaxEngine#highlightLine, so that the visual columns agree */
+      region.appendString (EditorLine.expandTabs (this.content, tab_size));
+      this.elementsCache = [region];
     }
 
     var builder = [];
-    this.elements.forEach (element => {
+    this.elementsCache.forEach (element => {
       builder.push ("<span");
       if (element.style) {
         builder.push (" class=\"");
@@ -336,18 +461,12 @@ export class EditorLine {
       builder.push ("</span>");
     });
 
-    this.render = builder.join ('');
-    this.dirty  = false;
+    this.renderCache = builder.join ('');
+    this.dirty       = false;
 
     if (syntax) {
       this.syntaxOut = syntax.state;
-
-      const next_line = this.next;
-      if (next_line && next_line.syntaxIn !== syntax.state) {
-        next_line.dirty = true;
-        next_line.computeRender ();
-        next_line.onContentChanged ();
-      }
+      this.collection.updateSyntaxState (index, this.syntaxOut);
     }
   }
 
@@ -487,13 +606,15 @@ export class EditorLine {
    * requirement to re-render the display, this method is called to fire the {@link EditorLine#ContentChanged}
    * event.
    *
-   * In addition, this method will call {@link EditorLineCollection#onLineContentChanged}.
+   * Before the event is fired, this method will call {@link EditorLineCollection#onLineContentChanged}
+   * (which may suspend the event whilst the collection is being updated).
    *
+   * @param {EditorChange} [change] The change that was made to the content (if any)
    * @emits ContentChanged
    */
-  onContentChanged () {
+  onContentChanged (change) {
+    this.collection.onLineContentChanged (this, change);
     this.ContentChanged.fire ();
-    this.collection.onLineContentChanged (this);
   }
 
   /**
@@ -504,4 +625,158 @@ export class EditorLine {
   onMarkerChanged () {
     this.MarkerChanged.fire ();
   }
+
+  /**
+   * Get the indentation of the given line content (the number of space characters at the start).
+   *
+   * @param {string} content The content of a line
+   * @returns {number} The indentation of the content
+   */
+  static indentOf (content) {
+    var res = /^\s*/.exec (content);
+    return res ? res[0].length : 0;
+  }
+
+  /**
+   * Convert a column in the given line content to a visual column (the column on the screen).
+   *
+   * This accounts for the way that a line is rendered: a tab character extends to the next
+   * multiple of `tab_size` columns (see {@link EditorSyntaxEngine#highlightLine}), a wide
+   * character (such as a CJK ideograph or an emoji) takes up two columns and every other
+   * character (grapheme cluster) takes up a single column.
+   *
+   * @example
+   * EditorLine.visualColumnOf ("a\tb", 3, 4);
+   * // result: 5
+   *
+   * @param {string} content  The content of a line
+   * @param {number} column   The column to convert (clamped to the content)
+   * @param {number} tab_size The width of a tab character
+   * @returns {number} The visual column
+   */
+  static visualColumnOf (content, column, tab_size) {
+    column = Math.min (content.length, Math.max (0, column));
+
+    var visual = 0;
+
+    if (EditorUnicode.isSimple (content)) {
+      for (var i = 0; i < column; i++) {
+        visual += content.charCodeAt (i) === 0x09 ? tab_size - visual % tab_size : 1;
+      }
+    } else {
+      const boundaries = EditorUnicode.boundaries (content);
+
+      for (var j = 0; j < boundaries.length - 1 && boundaries[j] < column; j++) {
+        visual += EditorLine.visualWidthAt (content, boundaries[j], boundaries[j + 1], tab_size, visual);
+      }
+    }
+
+    return visual;
+  }
+
+  /**
+   * Convert a visual column (the column on the screen) to the nearest column in the given line content.
+   *
+   * This is the inverse of {@link EditorLine.visualColumnOf}. A visual column within a wide
+   * character or a tab is rounded to the nearest side of that character.
+   *
+   * @param {string} content  The content of a line
+   * @param {number} visual   The visual column (which may be fractional)
+   * @param {number} tab_size The width of a tab character
+   * @returns {number} The column in the content
+   */
+  static columnAtVisualOf (content, visual, tab_size) {
+    const boundaries = EditorUnicode.boundaries (content);
+    var   position   = 0;
+
+    for (var i = 0; i < boundaries.length - 1; i++) {
+      const width = EditorLine.visualWidthAt (content, boundaries[i], boundaries[i + 1], tab_size, position);
+
+      if (visual < position + width / 2) {
+        return boundaries[i];
+      }
+
+      position += width;
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Get the visual width of the character (grapheme cluster) in the given range of a line's content.
+   *
+   * @param {string} content  The content of a line
+   * @param {number} start    The start of the character
+   * @param {number} end      The end of the character
+   * @param {number} tab_size The width of a tab character
+   * @param {number} visual   The visual column at which the character starts
+   * @returns {number} The number of columns taken up by the character
+   */
+  static visualWidthAt (content, start, end, tab_size, visual) {
+    return content.charCodeAt (start) === 0x09 ? tab_size - visual % tab_size : EditorUnicode.clusterWidth (content, start, end);
+  }
+
+  /**
+   * Replace the tab characters in the given line content with spaces, up to the next tab stop.
+   *
+   * @example
+   * EditorLine.expandTabs ("a\tb", 4);
+   * // result: "a   b"
+   *
+   * @param {string} content  The content of a line
+   * @param {number} tab_size The width of a tab character
+   * @returns {string} The content with the tabs expanded
+   */
+  static expandTabs (content, tab_size) {
+    if (content.indexOf ('\t') === -1) {
+      return content;
+    }
+
+    return content.split ('\t').reduce ((result, part, index) => {
+      if (index === 0) {
+        return part;
+      }
+
+      const visual = EditorUnicode.width (result);
+      return result + new Array (1 + tab_size - visual % tab_size).join (' ') + part;
+    }, "");
+  }
+
+  /**
+   * Create the whitespace that indents a line to the given visual width.
+   *
+   * With soft tabs the indentation is made up of spaces. Otherwise, as much of the indentation
+   * as possible is made up of tab characters, followed by spaces for the remainder.
+   *
+   * @example
+   * EditorLine.makeIndent (6, 4, false);
+   * // result: "\t  "
+   *
+   * @param {number}  width     The visual width of the indentation
+   * @param {number}  tab_size  The width of a tab character
+   * @param {boolean} soft_tabs Whether to indent with spaces only
+   * @returns {string} The indentation
+   */
+  static makeIndent (width, tab_size, soft_tabs) {
+    if (soft_tabs) {
+      return new Array (width + 1).join (' ');
+    }
+
+    return new Array (Math.floor (width / tab_size) + 1).join ('\t') + new Array ((width % tab_size) + 1).join (' ');
+  }
+
+  /**
+   * Test whether the given line content contains the given string or regular expression.
+   *
+   * @param {string}        content The content of a line
+   * @param {string|RegExp} value   The value to search for
+   * @returns {boolean} Whether the content contains the given value
+   */
+  static contentContains (content, value) {
+    if (typeof value === "string") {
+      return content.indexOf (value) !== -1;
+    } else if (value instanceof RegExp) {
+      return value.test (content);
+    } else return false;
+  }
 }
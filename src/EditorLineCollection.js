@@ -1,13 +1,21 @@
 import { EditorEvent } from './EditorEvent.js';
 import { EditorStore } from './EditorStore.js';
 import { EditorLine } from './EditorLine.js';
+import { EditorLineTree } from './EditorLineTree.js';
 import { EditorIndentRegions } from './EditorIndentRegions.js';
 import { EditorIdGenerator } from './EditorTools.js';
 import { EditorRegion } from './EditorRegion.js';
+import { EditorChange } from './EditorChange.js';
+import { EditorPosition } from './EditorPosition.js';
 
 /**
  * A collection of {@link EditorLine} that make up a document.
  *
+ * The lines are stored in an {@link EditorLineTree}, and an {@link EditorLine} is only created for
+ * a line when it is first retrieved (such as via {@link EditorLineCollection#get}). Methods such as
+ * {@link EditorLineCollection#getContent} and {@link EditorLineCollection#getLines} should be preferred
+ * over methods that visit every line (such as {@link EditorLineCollection#forEach}), as the latter
+ * will create an {@link EditorLine} for every line in the document.
  */
 export class EditorLineCollection {
   /**
@@ -23,10 +31,10 @@ export class EditorLineCollection {
     this.store = store;
 
     /**
-     * The lines that we have attached to this store
-     * @type {EditorLine[]}
+     * The tree that stores the lines of this collection
+     * @type {EditorLineTree}
      */
-    this.lines = [];
+    this.tree = new EditorLineTree (this, [""]);
 
     /**
      * The indentation regions
@@ -43,20 +51,99 @@ export class EditorLineCollection {
     /**
      * The lines in the collection have changed
      * @type {EditorEvent}
+     * @param {EditorChange[]} changes The changes that were made (in the order they were made)
      */
     this.LinesChanged = new EditorEvent ("EditorLineCollection.LinesChanged");
 
     /**
      * The content of a line has changed
      * @type {EditorEvent}
-     * @param {EditorLine} line The line that has changed
+     * @param {EditorLine}    line   The line that has changed
+     * @param {EditorChange?} change The change that was made (or `null` if only the rendering of the line changed)
      */
     this.LineContentChanged = new EditorEvent ("EditorLineCollection.LineContentChanged");
 
-    /* Make sure that we have at least one line in the editor */
-    this.lines.push (new EditorLine (this, 0, ""));
+    /**
+     * The syntax highlighting of the lines from the given index onwards may have changed
+     * @type {EditorEvent}
+     * @param {number} index The index of the first line whose highlighting may have changed
+     */
+    this.SyntaxChanged = new EditorEvent ("EditorLineCollection.SyntaxChanged");
+
+    /**
+     * The line ending style of the collection has changed
+     * @type {EditorEvent}
+     * @param {string} line_ending The new line ending style (see {@link EditorLineCollection#lineEnding})
+     */
+    this.LineEndingChanged = new EditorEvent ("EditorLineCollection.LineEndingChanged");
+
+    /**
+     * The nesting depth of calls to {@link EditorLineCollection#beginUpdate}
+     * @type {number}
+     */
+    this.updateDepth = 0;
+
+    /**
+     * The lines whose content has changed during the current update
+     * @type {EditorLine[]}
+     */
+    this.changedLines = [];
+
+    /**
+     * Whether lines have been inserted or deleted during the current update
+     * @type {boolean}
+     */
+    this.linesChangedPending = false;
+
+    /**
+     * The changes that have been made during the current update
+     * @type {EditorChange[]}
+     */
+    this.pendingChanges = [];
+
+    /**
+     * The index of the first line whose syntax highlighting has changed during the current update (or -1)
+     * @type {number}
+     */
+    this.syntaxChangedPending = -1;
+
+    /**
+     * The index of the first line whose syntax state (see {@link EditorLineTree#getState}) is not known
+     * @type {number}
+     * @see {@link EditorLineCollection#getSyntaxStateBefore}
+     */
+    this.syntaxFrontier = 0;
+
+    /**
+     * The line ending style used by {@link EditorLineCollection#getText}: one of `"lf"`, `"crlf"` or `"cr"`
+     * @type {string}
+     * @see {@link EditorLineCollection#setLineEnding}
+     */
+    this.lineEnding = store.config.lineEnding === "auto" ? "lf" : EditorLineCollection.checkLineEnding (store.config.lineEnding);
+
+    /**
+     * Whether the text last given to {@link EditorLineCollection#setText} contained more than one style of line ending
+     * @type {boolean}
+     */
+    this.mixedLineEndings = false;
   }
 
+  /**
+   * The line break for each line ending style
+   * @type {Object<string,string>}
+   */
+  static LINE_ENDINGS = {
+    lf:   "\n",
+    crlf: "\r\n",
+    cr:   "\r"
+  };
+
+  /**
+   * The number of lines that are examined by {@link EditorLineCollection.detectIndentation}
+   * @type {number}
+   */
+  static INDENT_SAMPLE = 1000;
+
   /**
    * Get the next line ID from the ID generator.
    * @returns {number} The next line ID
@@ -71,7 +158,38 @@ export class EditorLineCollection {
    * @returns {EditorLine} The line at the given index (or `null`)
    */
   get (index) {
-    return this.lines[index] || null;
+    return this.isValidLineIndex (index) ? this.tree.getLine (index) : null;
+  }
+
+  /**
+   * Get the content of the line at the given index (or `null`), without creating an {@link EditorLine}.
+   * @param {number} index The line index
+   * @returns {string?} The content of the line at the given index (or `null`)
+   */
+  getContent (index) {
+    return this.isValidLineIndex (index) ? this.tree.getContent (index) : null;
+  }
+
+  /**
+   * Get the lines between two indices (inclusive).
+   *
+   * The indices are clamped to the lines in the collection.
+   *
+   * @param {number} first The index of the first line
+   * @param {number} last  The index of the last line
+   * @returns {EditorLine[]} The lines from `first` to `last`
+   */
+  getLines (first, last) {
+    var result = [];
+
+    first = Math.max (0, first);
+    last  = Math.min (this.length - 1, last);
+
+    for (var i = first; i <= last; i++) {
+      result.push (this.tree.getLine (i));
+    }
+
+    return result;
   }
 
   /**
@@ -79,87 +197,136 @@ export class EditorLineCollection {
    * @type {number} The number of lines in the collection
    */
   get length () {
-    return this.lines.length;
+    return this.tree.length;
   }
 
   /**
    * Map a function over each line and return the results.
    *
+   * Note that this creates an {@link EditorLine} for every line in the collection.
+   *
    * @param {Function} action The action to map over each line
    * @returns {*[]} The collected results of calling the action on each line
    */
   map (action) {
-    return this.lines.map (action);
+    return this.getLines (0, this.length - 1).map (action);
   }
 
   /**
    * Run function over each line and return the results.
    *
+   * Note that this creates an {@link EditorLine} for every line in the collection.
+   *
    * @param {Function} action The action to run for each line
    */
   forEach (action) {
-    return this.lines.forEach (action);
+    return this.getLines (0, this.length - 1).forEach (action);
   }
 
   /**
    * Filter the lines in the collection.
    *
+   * Note that this creates an {@link EditorLine} for every line in the collection.
+   *
    * @param {Function} action Function to filter the lines
    * @returns {EditorLine[]} The lines that passed the filter function
    */
   filter (action) {
-    return this.lines.filter (action);
+    return this.getLines (0, this.length - 1).filter (action);
   }
 
   /**
    * Retrieves the contents of all the lines in this collection as a single string.
+   *
+   * The lines are separated by the line break of the current line ending style (see
+   * {@link EditorLineCollection#lineEnding}).
+   *
    * @returns {string} The contents of this collection
    */
   getText () {
-    return this.lines.map (line => line.content).join ('\n');
+    return this.tree.getContents ().join (EditorLineCollection.LINE_ENDINGS[this.lineEnding]);
   }
 
   /**
    * Break the given text into lines and set those as the lines contained in this collection.
    *
+   * Any of `\n`, `\r\n` and `\r` are accepted as a line break. Unless a line ending style was given
+   * to the store (in the `lineEnding` configuration option, or with
+   * {@link EditorLineCollection#setLineEnding}), the line ending style of the collection is set to
+   * the most common style in the text (see {@link EditorLineCollection.detectLineEnding}).
+   *
+   * If the `detectIndentation` configuration option is set, the indentation of the text is
+   * detected before the lines are set (see {@link EditorStore#detectIndentation}).
+   *
    * @param {string} text The text to set in this collection
    */
   setText (text) {
-    this.setLines (text.split (/[\r\n]/));
+    const detected = EditorLineCollection.detectLineEnding (text);
+    const explicit = this.store.explicitConfig.lineEnding;
+    const ending   = !explicit || explicit === "auto" ? (detected.lineEnding || this.lineEnding) : this.lineEnding;
+    const lines    = text.split (/\r\n|\r|\n/);
+
+    if (this.store.config.detectIndentation) {
+      this.store.detectIndentation (lines);
+    }
+
+    this.setLines (lines);
+    this.updateLineEnding (ending, detected.mixed);
   }
 
   /**
-   * Replace the contents of this collection with the given lines of text.
+   * Change the line ending style that is used by {@link EditorLineCollection#getText}.
    *
-   * @param {string[]} lines The lines to set in this collection
+   * This also clears the `mixedLineEndings` flag, as the text will be given with the same line
+   * ending throughout. The style is kept when text is loaded later, rather than being detected
+   * (see {@link EditorLineCollection#setText}).
+   *
+   * @param {string} line_ending The line ending style: one of `"lf"`, `"crlf"` or `"cr"`
    */
-  setLines (lines) {
-    this.lines = lines.map ((line, index) => {
-      return new EditorLine (this, index, line, true);
-    });
+  setLineEnding (line_ending) {
+    const checked = EditorLineCollection.checkLineEnding (line_ending);
 
-    /* Make sure that we have atleast one line */
-    if (this.lines.length === 0) {
-      this.lines.push (new EditorLine (this, 0, ""));
-    } else {
-      /* Update the indentation and render each line */
-      this.lines.forEach (line => {
-        line.updateIndent ();
-        line.computeRender ();
-      });
-    }
+    this.store.explicitConfig.lineEnding = checked;
+    this.updateLineEnding (checked, false);
+  }
 
-    this.indentRegions.update ();
+  /**
+   * Set the line ending style and the mixed flag, firing {@link EditorLineCollection#LineEndingChanged} if either changed.
+   *
+   * The `lineEnding` configuration option of the store is kept in line with the style.
+   *
+   * @param {string}  line_ending The line ending style
+   * @param {boolean} mixed       Whether the text contained mixed line endings
+   */
+  updateLineEnding (line_ending, mixed) {
+    this.store.config.lineEnding = line_ending;
 
-    /* Notify the UI that the lines have changed */
-    this.onLinesChanged ();
+    if (this.lineEnding !== line_ending || this.mixedLineEndings !== mixed) {
+      this.lineEnding       = line_ending;
+      this.mixedLineEndings = mixed;
+      this.onLineEndingChanged ();
+    }
   }
 
   /**
-   * Make sure that all the lines have the correct index.
+   * Replace the contents of this collection with the given lines of text.
+   *
+   * @param {string[]} lines The lines to set in this collection
    */
-  renumerateLines () {
-    this.lines.forEach ((line, index) => line.index = index);
+  setLines (lines) {
+    const before = this.tree.getContents ();
+    const last   = before.length - 1;
+    const change = new EditorChange (new EditorRegion (0, 0, last, before[last].length), lines.join ('\n'), before.join ('\n'));
+
+    this.store.history.record ({ type: "replace", before: before, after: lines.slice (0) });
+
+    /* Make sure that we have atleast one line */
+    this.tree.detachAll ();
+    this.tree = new EditorLineTree (this, lines.length > 0 ? lines.slice (0) : [""]);
+    this.syntaxFrontier = 0;
+
+    /* Notify the UI that the lines have changed */
+    this.onLinesChanged (change);
   }
 
   /**
@@ -168,20 +335,84 @@ export class EditorLineCollection {
    * @param {EditorLine} line The line to insert into this collection
    */
   insertLine (index, line) {
-    this.lines.splice (index, 0, line);
-    this.renumerateLines ();
-    this.onLinesChanged ();
+    this.insertEntries (index, [line]);
+  }
+
+  /**
+   * Insert new lines with the given content into this collection.
+   *
+   * @param {number}   index   The index at which to insert the lines
+   * @param {string[]} content The content of each new line
+   */
+  insertLines (index, content) {
+    if (content.length > 0) {
+      this.insertEntries (index, content.slice (0));
+    }
+  }
+
+  /**
+   * Insert lines into the tree (see {@link EditorLineCollection#insertLine} and {@link EditorLineCollection#insertLines}).
+   *
+   * @param {number}                   index   The index at which to insert the lines
+   * @param {Array<string|EditorLine>} entries The lines to insert
+   */
+  insertEntries (index, entries) {
+    const content = entries.map (entry => entry instanceof EditorLine ? entry.content : entry);
+    const text    = content.join ('\n');
+
+    var change;
+    if (index > 0) {
+      /* Inserting after a line is the same as inserting a line break and the new content at the end of that line */
+      const prev_length = this.tree.getContent (index - 1).length;
+      change = new EditorChange (new EditorRegion (index - 1, prev_length, index - 1, prev_length), '\n' + text, "");
+    } else {
+      change = new EditorChange (new EditorRegion (0, 0, 0, 0), text + '\n', "");
+    }
+
+    this.store.history.record ({ type: "insert", index: index, content: content });
+    this.tree.insert (index, entries);
+    this.syntaxFrontier = Math.min (this.syntaxFrontier, index);
+    this.onLinesChanged (change);
   }
 
   /**
    * Delete a number of lines from this collection.
+   *
+   * The collection always contains at least one line: if all the lines are deleted then the
+   * first line is kept and its content is cleared.
+   *
    * @param {number} index The index to start deleting from
    * @param {number} [count] The number of lines to delete (default: 1)
    */
   deleteLines (index, count) {
-    this.lines.splice (index, typeof count === "number" ? count : 1);
-    this.renumerateLines ();
-    this.onLinesChanged ();
+    count = Math.min (typeof count === "number" ? count : 1, this.length - index);
+    if (count <= 0) {
+      return;
+    }
+
+    if (index === 0 && count === this.length) {
+      this.beginUpdate ();
+      this.deleteLines (1, count - 1);
+      this.get (0).setContent ("");
+      this.endUpdate ();
+      return;
+    }
+
+    const removed = this.tree.remove (index, count);
+
+    var change;
+    if (index < this.length) {
+      /* The deleted lines are followed by a line: remove the lines and their line breaks */
+      change = new EditorChange (new EditorRegion (index, 0, index + count, 0), "", removed.join ('\n') + '\n');
+    } else {
+      /* The deleted lines were at the end: remove the line break at the end of the previous line */
+      const prev_length = this.tree.getContent (index - 1).length;
+      change = new EditorChange (new EditorRegion (index - 1, prev_length, index + count - 1, removed[count - 1].length), "", '\n' + removed.join ('\n'));
+    }
+
+    this.store.history.record ({ type: "delete", index: index, content: removed });
+    this.syntaxFrontier = Math.min (this.syntaxFrontier, index);
+    this.onLinesChanged (change);
   }
 
   /**
@@ -198,7 +429,62 @@ export class EditorLineCollection {
    * @returns {boolean} Whether the given index is a valid line index
    */
   isValidLineIndex (index) {
-    return index >= 0 && index < this.lines.length;
+    return index >= 0 && index < this.length;
+  }
+
+  /**
+   * Test if the given position is a valid position within the collection.
+   * @param {EditorPosition} position The position to test
+   * @returns {boolean} Whether the position refers to a line and column in the collection
+   */
+  isValidPosition (position) {
+    return this.isValidLineIndex (position.line) && position.column >= 0 && position.column <= this.tree.getContent (position.line).length;
+  }
+
+  /**
+   * Test if the given region is a valid region within the collection.
+   *
+   * A region is valid if both the start and end positions are valid, and the start of the
+   * region is not after the end of the region.
+   *
+   * @param {EditorRegion} region The region to test
+   * @returns {boolean} Whether the region is valid
+   */
+  isValidRegion (region) {
+    return this.isValidPosition (region.start) && this.isValidPosition (region.end) && region.start.isBeforeOrEqual (region.end);
+  }
+
+  /**
+   * Get the offset of the start of the line with the given index (counting one character for each line break).
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The offset of the start of the line
+   */
+  getLineOffset (index) {
+    return this.tree.offsetOf (index);
+  }
+
+  /**
+   * Convert a position to an absolute character offset (see {@link EditorStore#offsetAt}).
+   *
+   * @param {EditorPosition} position The position to convert
+   * @returns {number} The offset of the position
+   */
+  offsetAt (position) {
+    const line_index = Math.min (this.length - 1, Math.max (0, position.line));
+    const column     = Math.min (this.tree.getContent (line_index).length, Math.max (0, position.column));
+    return this.getLineOffset (line_index) + column;
+  }
+
+  /**
+   * Convert an absolute character offset to a position (see {@link EditorStore#positionAt}).
+   *
+   * @param {number} offset The offset to convert
+   * @returns {EditorPosition} The position at the given offset
+   */
+  positionAt (offset) {
+    const index = this.tree.indexAtOffset (Math.max (0, offset));
+    return new EditorPosition (index, Math.min (this.tree.getContent (index).length, Math.max (0, offset) - this.tree.offsetOf (index)));
   }
 
   /**
@@ -210,13 +496,16 @@ export class EditorLineCollection {
    * @returns {number} The index of the first line that contains the given search (or -1)
    */
   findLineContains (value, start) {
-    for (var i = start || 0; i < this.lines.length; i++) {
-      if (this.lines[i].contains (value)) {
-        return i;
+    var found = -1;
+
+    this.tree.iterate (start || 0, this.length, (content, index) => {
+      if (EditorLine.contentContains (content, value)) {
+        found = index;
+        return true;
       }
-    }
+    });
 
-    return -1;
+    return found;
   }
 
   /**
@@ -229,61 +518,383 @@ export class EditorLineCollection {
     var content = [];
 
     for (var i = region.startLine; i <= region.endLine; i++) {
-      const line  = this.lines[i];
+      const line  = this.tree.getContent (i);
       const start = i === region.startLine ? region.startColumn : 0;
       const end   = i === region.endLine ? region.endColumn : line.length;
 
-      content.push (line.content.substring (start, end));
+      content.push (line.substring (start, end));
     }
 
     return content;
   }
 
+  /**
+   * Replace the text in a region of the collection with new text.
+   *
+   * The replacement is performed as a single transaction (see {@link EditorStore#transact}). The
+   * anchored positions of the store are updated with a single change that describes the whole
+   * replacement (see {@link EditorAnchorCollection#ignore}). Nothing is changed (or recorded in
+   * the {@link EditorHistory}) when the region already contains the text.
+   *
+   * @param {EditorRegion} region The region to replace
+   * @param {string}       text   The text to insert in place of the region
+   * @returns {EditorPosition} The position of the end of the inserted text
+   */
+  replaceRegion (region, text) {
+    const start_line = this.get (region.startLine);
+    const prefix     = start_line.content.substring (0, region.startColumn);
+    const suffix     = this.tree.getContent (region.endLine).substring (region.endColumn);
+    const inserted   = text.split (/\r\n|\r|\n/);
+    const last       = inserted.length - 1;
+    const change     = new EditorChange (region.clone (), inserted.join ('\n'), this.acquireRegionContent (region).join ('\n'));
+
+    if (change.text === change.removed) {
+      return region.end;
+    }
+
+    this.store.transact (() => {
+      this.store.anchors.update (change);
+      this.store.anchors.ignore (() => {
+        if (region.endLine > region.startLine) {
+          this.deleteLines (region.startLine + 1, region.endLine - region.startLine);
+        }
+
+        start_line.setContent (prefix + inserted[0] + (last === 0 ? suffix : ""));
+
+        if (last > 0) {
+          this.insertLines (region.startLine + 1, inserted.slice (1).map ((content, index) => {
+            return index === last - 1 ? content + suffix : content;
+          }));
+        }
+      });
+    });
+
+    return new EditorPosition (region.startLine + last, (last === 0 ? prefix.length : 0) + inserted[last].length);
+  }
+
   /**
    * Remove a region of text from the collection.
    *
+   * The removal is performed as a single transaction (see {@link EditorLineCollection#replaceRegion}).
+   *
    * @param {EditorRegion} region The region to remove
    */
   removeRegion (region) {
-    if (region.startLine === region.endLine) {
-      this.lines[region.startLine].deleteText (region.startColumn, region.endColumn - region.startColumn);
-    } else {
-      if (region.endColumn === 0) {
-        region.endLine--;
-        region.endColumn = this.lines[region.endLine].length;
-      }
+    this.replaceRegion (region, "");
+  }
 
-      const start_line = this.lines[region.startLine];
-      const end_line   = this.lines[region.endLine];
-      const merged     = start_line.content.substring (0, region.startColumn) + end_line.content.substring (region.endColumn);
+  /**
+   * Start an update of the collection.
+   *
+   * Until the matching call to {@link EditorLineCollection#endUpdate}, the change events of the
+   * collection and its lines are not fired. Calls to `beginUpdate` can be nested.
+   *
+   * @see {@link EditorStore#transact}
+   */
+  beginUpdate () {
+    this.updateDepth++;
+  }
 
-      this.deleteLines (region.startLine, region.endLine - region.startLine + 1);
-      if (merged.length > 0) {
-        const merge_line = new EditorLine (this, null, "", true);
-        this.insertLine (region.startLine, merge_line);
-        merge_line.setContent (merged);
-      }
+  /**
+   * Finish an update of the collection that was started with {@link EditorLineCollection#beginUpdate}.
+   *
+   * When the outermost update is finished, the {@link EditorLine#ContentChanged} event is fired
+   * once for each line that was changed. If lines were inserted or deleted, or more than one line
+   * was changed, the {@link EditorLineCollection#LinesChanged} event is fired once. Otherwise if a
+   * single line was changed, the {@link EditorLineCollection#LineContentChanged} event is fired.
+   */
+  endUpdate () {
+    if (--this.updateDepth > 0) {
+      return;
+    }
+
+    const changed    = this.changedLines;
+    const changes    = this.pendingChanges;
+    const structural = this.linesChangedPending;
+    const syntax     = this.syntaxChangedPending;
+
+    this.changedLines         = [];
+    this.pendingChanges       = [];
+    this.linesChangedPending  = false;
+    this.syntaxChangedPending = -1;
+
+    changed.forEach (line => line.ContentChanged.resume ());
+
+    if (structural || changed.length > 1 || changes.length > 1) {
+      this.indentRegions.update ();
+      this.LinesChanged.fire (changes);
+    } else if (changed.length === 1) {
+      this.LineContentChanged.fire (changed[0], changes[0] || null);
+    }
+
+    if (syntax !== -1) {
+      this.SyntaxChanged.fire (syntax);
+    }
+  }
+
+  /**
+   * Get the state of the syntax engine at the start of the line with the given index.
+   *
+   * The syntax state at the end of each line is stored in the {@link EditorLineTree}. The states are
+   * known for all the lines before the `syntaxFrontier`; when the state of a line after the frontier
+   * is needed, the lines from the frontier are highlighted (without creating an {@link EditorLine}
+   * for them) and the frontier is advanced.
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The state of the syntax engine at the start of the line
+   */
+  getSyntaxStateBefore (index) {
+    const syntax = this.store.syntax;
+    if (!syntax || index <= 0) {
+      return 0;
+    }
+
+    if (index <= this.syntaxFrontier) {
+      return this.tree.getState (index - 1);
+    }
+
+    const tab_size = this.store.config.tabSize;
+    var   state    = this.syntaxFrontier > 0 ? this.tree.getState (this.syntaxFrontier - 1) : 0;
+
+    this.tree.iterate (this.syntaxFrontier, index, (content, line_index) => {
+      syntax.state = state;
+      syntax.highlightLine (content, null, tab_size);
+      state = syntax.state;
+      this.tree.setState (line_index, state);
+    });
+
+    this.syntaxFrontier = index;
+    return state;
+  }
+
+  /**
+   * Update the state of the syntax engine at the end of a line after it has been rendered
+   * (see {@link EditorLine#computeRender}).
+   *
+   * If the state of the line was known and has changed, the states of the subsequent lines are
+   * no longer valid and the {@link EditorLineCollection#SyntaxChanged} event is fired. This ensures
+   * that changes to the state of the syntax engine (such as the start of a block comment) cascade
+   * through the subsequent lines.
+   *
+   * @param {number} index The index of the line
+   * @param {number} state The state of the syntax engine at the end of the line
+   */
+  updateSyntaxState (index, state) {
+    if (index > this.syntaxFrontier) {
+      return;
+    }
+
+    const prev = this.tree.getState (index);
+    this.tree.setState (index, state);
+
+    if (index === this.syntaxFrontier) {
+      this.syntaxFrontier++;
+    } else if (prev !== state) {
+      this.syntaxFrontier = index + 1;
+      this.onSyntaxChanged (index + 1);
     }
   }
 
   /**
    * The collection of lines has changed.
    *
+   * The anchored positions of the store (see {@link EditorAnchorCollection}) are updated
+   * immediately. If the collection is being updated (see {@link EditorLineCollection#beginUpdate})
+   * then the event is deferred until the update is finished.
+   *
+   * @param {EditorChange} change The change that was made to the collection
    * @emits LinesChanged
    */
-  onLinesChanged () {
+  onLinesChanged (change) {
+    this.store.anchors.update (change);
+
+    if (this.updateDepth > 0) {
+      this.linesChangedPending = true;
+      this.pendingChanges.push (change);
+      return;
+    }
+
     this.indentRegions.update ();
-    this.LinesChanged.fire ();
+    this.LinesChanged.fire ([change]);
   }
 
   /**
-   * This method is called by {@link EditorLine#onChanged} to notify any listeners
+   * This method is called by {@link EditorLine#onContentChanged} to notify any listeners
    * of this collection that a line has had its contents changed.
    *
-   * @param {EditorLine} line The line whose content has changed
+   * If the collection is being updated (see {@link EditorLineCollection#beginUpdate}) then
+   * the {@link EditorLine#ContentChanged} event of the line is suspended until the update
+   * is finished.
+   *
+   * @param {EditorLine}    line     The line whose content has changed
+   * @param {EditorChange?} [change] The change that was made (or `null` if only the rendering changed)
    * @emits LineContentChanged
    */
-  onLineContentChanged (line) {
-    this.LineContentChanged.fire (line);
+  onLineContentChanged (line, change) {
+    if (change) {
+      this.store.anchors.update (change);
+    }
+
+    if (this.updateDepth > 0) {
+      if (line.ContentChanged.suspended === 0) {
+        line.ContentChanged.suspend ();
+        this.changedLines.push (line);
+      }
+
+      if (change) {
+        this.pendingChanges.push (change);
+      }
+
+      return;
+    }
+
+    this.LineContentChanged.fire (line, change || null);
+  }
+
+  /**
+   * The syntax highlighting of the lines from the given index may have changed.
+   *
+   * If the collection is being updated (see {@link EditorLineCollection#beginUpdate}) then
+   * the event is deferred until the update is finished.
+   *
+   * @param {number} index The index of the first line whose highlighting may have changed
+   * @emits SyntaxChanged
+   */
+  onSyntaxChanged (index) {
+    if (this.updateDepth > 0) {
+      if (this.syntaxChangedPending === -1 || index < this.syntaxChangedPending) {
+        this.syntaxChangedPending = index;
+      }
+
+      return;
+    }
+
+    this.SyntaxChanged.fire (index);
+  }
+
+  /**
+   * The line ending style of the collection has changed.
+   * @emits LineEndingChanged
+   */
+  onLineEndingChanged () {
+    this.LineEndingChanged.fire (this.lineEnding);
+  }
+
+  /**
+   * Detect the line ending style of some text.
+   *
+   * The style is the most common line break in the text. If there are no line breaks in the text then
+   * the `lineEnding` of the result is `null`.
+   *
+   * @example
+   * EditorLineCollection.detectLineEnding ("foo\r\nbar\r\nbaz\n");
+   * // result: { lineEnding: "crlf", mixed: true }
+   *
+   * @param {string} text The text to examine
+   * @returns {{lineEnding: string?, mixed: boolean}} The detected line ending style and whether more than one style was found
+   */
+  static detectLineEnding (text) {
+    var counts = { lf: 0, crlf: 0, cr: 0 };
+
+    (text.match (/\r\n|\r|\n/g) || []).forEach (brk => {
+      counts[brk === "\r\n" ? "crlf" : (brk === "\r" ? "cr" : "lf")]++;
+    });
+
+    const found = Object.keys (counts).filter (ending => counts[ending] > 0);
+    var   best  = null;
+
+    found.forEach (ending => {
+      if (best === null || counts[ending] > counts[best]) {
+        best = ending;
+      }
+    });
+
+    return { lineEnding: best, mixed: found.length > 1 };
+  }
+
+  /**
+   * Detect the indentation style of some lines of text.
+   *
+   * Up to {@link EditorLineCollection.INDENT_SAMPLE} lines are examined. The lines are indented
+   * with tabs (`softTabs` is `false`) if more lines start with a tab than with spaces. The indent
+   * size is the most common change in the indentation between successive lines that are indented
+   * with spaces (changes of a single space are ignored, as these are often the alignment of a
+   * block comment). Either property of the result is `null` if it could not be decided.
+   *
+   * @example
+   * EditorLineCollection.detectIndentation (["if (x) {", "    foo ();", "}"]);
+   * // result: { softTabs: true, tabSize: 4 }
+   *
+   * @param {string[]} lines The lines to examine
+   * @returns {EditorIndentation} The detected indentation
+   */
+  static detectIndentation (lines) {
+    const count    = Math.min (lines.length, EditorLineCollection.INDENT_SAMPLE);
+    var   tabs     = 0;
+    var   spaces   = 0;
+    var   deltas   = {};
+    var   previous = 0;
+
+    for (var i = 0; i < count; i++) {
+      const indent = /^[ \t]*/.exec (lines[i])[0];
+
+      if (indent.length === lines[i].length) {
+        /* Blank lines do not tell us anything about the indentation */
+        continue;
+      }
+
+      if (indent.indexOf ('\t') !== -1) {
+        tabs += indent[0] === '\t' ? 1 : 0;
+        previous = -1;
+        continue;
+      }
+
+      if (indent.length > 0) {
+        spaces++;
+      }
+
+      if (previous !== -1) {
+        const delta = Math.abs (indent.length - previous);
+        if (delta > 1 && delta <= 8) {
+          deltas[delta] = (deltas[delta] || 0) + 1;
+        }
+      }
+
+      previous = indent.length;
+    }
+
+    var tab_size = null;
+    Object.keys (deltas).forEach (delta => {
+      if (tab_size === null || deltas[delta] > deltas[tab_size]) {
+        tab_size = delta;
+      }
+    });
+
+    return {
+      softTabs: tabs + spaces === 0 ? null : spaces >= tabs,
+      tabSize:  tab_size === null || tabs > spaces ? null : parseInt (tab_size, 10)
+    };
+  }
+
+  /**
+   * Make sure that the given line ending style is valid.
+   *
+   * @param {string} line_ending The line ending style to check
+   * @returns {string} The line ending style
+   */
+  static checkLineEnding (line_ending) {
+    if (!EditorLineCollection.LINE_ENDINGS.hasOwnProperty (line_ending)) {
+      throw new Error ("Invalid line ending '" + line_ending + "' (expected 'lf', 'crlf' or 'cr')");
+    }
+
+    return line_ending;
   }
 }
+
+/**
+ * The indentation style of some text, as detected by {@link EditorLineCollection.detectIndentation}.
+ *
+ * @typedef {Object} EditorIndentation
+ * @property {boolean?} softTabs Whether the text is indented with spaces (or `null` if the text is not indented)
+ * @property {number?}  tabSize  The size of each level of indentation (or `null` if it could not be decided)
+ */
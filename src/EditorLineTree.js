@@ -0,0 +1,654 @@
+import { EditorLine } from './EditorLine.js';
+
+/**
+ * A leaf of an {@link EditorLineTree}, containing a run of consecutive lines.
+ *
+ * Each entry of a leaf is either the content of a line (as a string), or an {@link EditorLine}
+ * if the line has been materialized (see {@link EditorLineTree#getLine}).
+ */
+export class EditorLineLeaf {
+  /**
+   * Construct a new `EditorLineLeaf`.
+   *
+   * @param {Array<string|EditorLine>} entries The lines in this leaf
+   * @param {number[]}                 [states] The syntax states of the lines (see {@link EditorLineTree#getState})
+   */
+  constructor (entries, states) {
+    /**
+     * The branch that contains this leaf (or `null` if this leaf is the root)
+     * @type {EditorLineBranch?}
+     */
+    this.parent = null;
+
+    /**
+     * The lines in this leaf
+     * @type {Array<string|EditorLine>}
+     */
+    this.entries = entries;
+
+    /**
+     * The syntax state at the end of each line in this leaf (or `-1` if not known)
+     * @type {number[]}
+     */
+    this.states = states || entries.map (() => -1);
+
+    /**
+     * The number of characters in this leaf (counting one character for each line break)
+     * @type {number}
+     */
+    this.chars = 0;
+
+    entries.forEach (entry => {
+      this.chars += entry.length + 1;
+      if (entry instanceof EditorLine) {
+        entry.leaf = this;
+      }
+    });
+  }
+
+  /**
+   * The number of lines in this leaf
+   * @type {number}
+   */
+  get size () {
+    return this.entries.length;
+  }
+}
+
+/**
+ * A branch of an {@link EditorLineTree}, containing a number of leaves or other branches.
+ */
+export class EditorLineBranch {
+  /**
+   * Construct a new `EditorLineBranch`.
+   *
+   * @param {Array<EditorLineLeaf|EditorLineBranch>} children The children of this branch
+   */
+  constructor (children) {
+    /**
+     * The branch that contains this branch (or `null` if this branch is the root)
+     * @type {EditorLineBranch?}
+     */
+    this.parent = null;
+
+    /**
+     * The children of this branch
+     * @type {Array<EditorLineLeaf|EditorLineBranch>}
+     */
+    this.children = children;
+
+    /**
+     * The number of lines in this branch
+     * @type {number}
+     */
+    this.size = 0;
+
+    /**
+     * The number of characters in this branch (counting one character for each line break)
+     * @type {number}
+     */
+    this.chars = 0;
+
+    children.forEach (child => {
+      child.parent = this;
+      this.size   += child.size;
+      this.chars  += child.chars;
+    });
+  }
+}
+
+/**
+ * A balanced tree that stores the lines of an {@link EditorLineCollection}.
+ *
+ * The lines are stored as strings in the leaves of the tree, and are only turned into
+ * {@link EditorLine} instances when they are needed (see {@link EditorLineTree#getLine}).
+ * Each node of the tree records the number of lines and characters that it contains, so
+ * that finding a line by its index or by a character offset, and inserting or deleting
+ * lines, takes time that is logarithmic in the size of the document.
+ *
+ * The index of a materialized line is not stored, but is computed from the position of
+ * the line in the tree (see {@link EditorLineTree#indexOf}). This means that inserting or
+ * deleting lines does not need to renumber the lines that follow.
+ *
+ * The tree also stores the state of the syntax engine at the end of each line, which is
+ * maintained by the {@link EditorLineCollection}.
+ */
+export class EditorLineTree {
+  /**
+   * Construct a new `EditorLineTree`.
+   *
+   * @param {EditorLineCollection} collection The collection that owns this tree
+   * @param {string[]}             content    The content of the lines in the tree
+   */
+  constructor (collection, content) {
+    /**
+     * The collection that owns this tree
+     * @type {EditorLineCollection}
+     */
+    this.collection = collection;
+
+    /**
+     * The root of the tree
+     * @type {EditorLineLeaf|EditorLineBranch}
+     */
+    this.root = EditorLineTree.build (EditorLineTree.split (content, EditorLineTree.LEAF_SIZE).map (entries => {
+      return new EditorLineLeaf (entries);
+    }));
+  }
+
+  /**
+   * The number of lines in a leaf when a tree is built or a leaf is split
+   * @type {number}
+   */
+  static LEAF_SIZE = 64;
+
+  /**
+   * The maximum number of children of a branch
+   * @type {number}
+   */
+  static BRANCH_SIZE = 16;
+
+  /**
+   * The number of lines in the tree
+   * @type {number}
+   */
+  get length () {
+    return this.root.size;
+  }
+
+  /**
+   * The number of characters in the tree (counting one character for each line break)
+   * @type {number}
+   */
+  get chars () {
+    return this.root.chars;
+  }
+
+  /**
+   * Find the leaf that contains the line with the given index.
+   *
+   * @param {number} index The index of the line
+   * @returns {{leaf: EditorLineLeaf, offset: number}} The leaf and the offset of the line within it
+   */
+  locate (index) {
+    var node = this.root;
+
+    while (node instanceof EditorLineBranch) {
+      for (var i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        if (index < child.size || i === node.children.length - 1) {
+          node = child;
+          break;
+        }
+
+        index -= child.size;
+      }
+    }
+
+    return { leaf: node, offset: index };
+  }
+
+  /**
+   * Get the content of the line with the given index, without materializing the line.
+   *
+   * @param {number} index The index of the line
+   * @returns {string} The content of the line
+   */
+  getContent (index) {
+    const { leaf, offset } = this.locate (index);
+    const entry = leaf.entries[offset];
+    return entry instanceof EditorLine ? entry.content : entry;
+  }
+
+  /**
+   * Get the {@link EditorLine} at the given index, creating it if the line has not already been
+   * materialized.
+   *
+   * @param {number} index The index of the line
+   * @returns {EditorLine} The line at the given index
+   */
+  getLine (index) {
+    const { leaf, offset } = this.locate (index);
+    var   entry = leaf.entries[offset];
+
+    if (!(entry instanceof EditorLine)) {
+      entry      = new EditorLine (this.collection, index, entry);
+      entry.leaf = leaf;
+      leaf.entries[offset] = entry;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the index of a materialized line in the tree.
+   *
+   * @param {EditorLine} line The line to find
+   * @returns {number} The index of the line
+   */
+  indexOf (line) {
+    var index = line.leaf.entries.indexOf (line);
+
+    for (var node = line.leaf; node.parent; node = node.parent) {
+      const siblings = node.parent.children;
+      for (var i = 0; siblings[i] !== node; i++) {
+        index += siblings[i].size;
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Get the syntax state at the end of the line with the given index.
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The syntax state (or `-1` if it is not known)
+   */
+  getState (index) {
+    const { leaf, offset } = this.locate (index);
+    return leaf.states[offset];
+  }
+
+  /**
+   * Set the syntax state at the end of the line with the given index.
+   *
+   * @param {number} index The index of the line
+   * @param {number} state The syntax state
+   */
+  setState (index, state) {
+    const { leaf, offset } = this.locate (index);
+    leaf.states[offset] = state;
+  }
+
+  /**
+   * Get the offset of the start of the line with the given index (counting one character for
+   * each line break).
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The offset of the start of the line
+   */
+  offsetOf (index) {
+    var node   = this.root;
+    var offset = 0;
+
+    while (node instanceof EditorLineBranch) {
+      for (var i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        if (index < child.size || i === node.children.length - 1) {
+          node = child;
+          break;
+        }
+
+        index  -= child.size;
+        offset += child.chars;
+      }
+    }
+
+    for (var j = 0; j < index; j++) {
+      offset += node.entries[j].length + 1;
+    }
+
+    return offset;
+  }
+
+  /**
+   * Find the index of the line that contains the given offset (see {@link EditorLineTree#offsetOf}).
+   *
+   * @param {number} offset The offset to find
+   * @returns {number} The index of the line that contains the offset
+   */
+  indexAtOffset (offset) {
+    var node  = this.root;
+    var index = 0;
+
+    while (node instanceof EditorLineBranch) {
+      for (var i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        if (offset < child.chars || i === node.children.length - 1) {
+          node = child;
+          break;
+        }
+
+        offset -= child.chars;
+        index  += child.size;
+      }
+    }
+
+    for (var j = 0; j < node.entries.length - 1; j++) {
+      const length = node.entries[j].length + 1;
+      if (offset < length) {
+        break;
+      }
+
+      offset -= length;
+    }
+
+    return index + j;
+  }
+
+  /**
+   * Call a function for the lines in the given range, without materializing the lines.
+   *
+   * The function is passed the content of each line and its index. If the function returns
+   * `true` then the iteration is stopped.
+   *
+   * @param {number}   start  The index of the first line
+   * @param {number}   end    The index after the last line
+   * @param {function} action The function to call for each line
+   */
+  iterate (start, end, action) {
+    var index = start;
+    var { leaf, offset } = this.locate (start);
+
+    while (leaf && index < end) {
+      for (; offset < leaf.entries.length && index < end; offset++, index++) {
+        const entry = leaf.entries[offset];
+        if (action (entry instanceof EditorLine ? entry.content : entry, index) === true) {
+          return;
+        }
+      }
+
+      leaf   = EditorLineTree.nextLeaf (leaf);
+      offset = 0;
+    }
+  }
+
+  /**
+   * Get the content of the lines in the given range, without materializing the lines.
+   *
+   * @param {number} [start] The index of the first line (default: 0)
+   * @param {number} [end]   The index after the last line (default: the number of lines)
+   * @returns {string[]} The content of the lines
+   */
+  getContents (start, end) {
+    var result = [];
+    this.iterate (start || 0, typeof end === "number" ? end : this.length, content => {
+      result.push (content);
+    });
+
+    return result;
+  }
+
+  /**
+   * Update the character counts of the tree when the length of a materialized line has changed.
+   *
+   * @param {EditorLine} line  The line that has changed
+   * @param {number}     delta The change in the length of the line
+   */
+  adjustChars (line, delta) {
+    for (var node = line.leaf; node; node = node.parent) {
+      node.chars += delta;
+    }
+  }
+
+  /**
+   * Insert lines into the tree.
+   *
+   * The lines can be given as strings or as {@link EditorLine} instances.
+   *
+   * @param {number}                   index   The index at which to insert the lines
+   * @param {Array<string|EditorLine>} entries The lines to insert
+   */
+  insert (index, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const at_end = index >= this.length;
+    var   { leaf, offset } = this.locate (at_end ? this.length - 1 : index);
+    var   chars = 0;
+
+    if (at_end) {
+      offset = leaf.entries.length;
+    }
+
+    entries.forEach (entry => {
+      chars += entry.length + 1;
+      if (entry instanceof EditorLine) {
+        entry.leaf = leaf;
+      }
+    });
+
+    leaf.entries.splice (offset, 0, ...entries);
+    leaf.states.splice (offset, 0, ...entries.map (() => -1));
+    leaf.chars += chars;
+
+    for (var node = leaf.parent; node; node = node.parent) {
+      node.size  += entries.length;
+      node.chars += chars;
+    }
+
+    if (leaf.entries.length > 2 * EditorLineTree.LEAF_SIZE) {
+      this.splitLeaf (leaf);
+    }
+  }
+
+  /**
+   * Remove lines from the tree.
+   *
+   * Any materialized lines that are removed are detached from the tree.
+   *
+   * @param {number} index The index of the first line to remove
+   * @param {number} count The number of lines to remove
+   * @returns {string[]} The content of the removed lines
+   */
+  remove (index, count) {
+    var removed = [];
+    this.removeFrom (this.root, index, count, removed);
+
+    /* Remove any branches at the root that only have a single child */
+    while (this.root instanceof EditorLineBranch && this.root.children.length === 1) {
+      this.root        = this.root.children[0];
+      this.root.parent = null;
+    }
+
+    if (this.root instanceof EditorLineBranch && this.root.children.length === 0) {
+      this.root = new EditorLineLeaf ([]);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove lines from a node of the tree (see {@link EditorLineTree#remove}).
+   *
+   * @param {EditorLineLeaf|EditorLineBranch} node    The node to remove lines from
+   * @param {number}                          index   The index of the first line within the node
+   * @param {number}                          count   The number of lines to remove
+   * @param {string[]}                        removed The array that collects the removed content
+   */
+  removeFrom (node, index, count, removed) {
+    if (node instanceof EditorLineLeaf) {
+      node.entries.splice (index, count).forEach (entry => {
+        if (entry instanceof EditorLine) {
+          entry.leaf = null;
+          removed.push (entry.content);
+        } else {
+          removed.push (entry);
+        }
+
+        node.chars -= entry.length + 1;
+      });
+
+      node.states.splice (index, count);
+      return;
+    }
+
+    for (var i = 0; i < node.children.length && count > 0; i++) {
+      const child = node.children[i];
+
+      if (index < child.size) {
+        const taken = Math.min (count, child.size - index);
+        this.removeFrom (child, index, taken, removed);
+
+        count -= taken;
+        index  = 0;
+
+        if (child.size === 0) {
+          node.children.splice (i--, 1);
+        }
+      } else {
+        index -= child.size;
+      }
+    }
+
+    node.size  = 0;
+    node.chars = 0;
+    node.children.forEach (child => {
+      node.size  += child.size;
+      node.chars += child.chars;
+    });
+
+    /* When a branch has become small, collapse its children into a single leaf */
+    if (node.size <= EditorLineTree.LEAF_SIZE && (node.children.length > 1 || node.children[0] instanceof EditorLineBranch)) {
+      const leaf = new EditorLineLeaf ([], []);
+      EditorLineTree.collect (node, leaf);
+
+      leaf.parent   = node;
+      node.children = [leaf];
+    }
+  }
+
+  /**
+   * Split a leaf that has become too large into a number of smaller leaves.
+   *
+   * @param {EditorLineLeaf} leaf The leaf to split
+   */
+  splitLeaf (leaf) {
+    const entries = EditorLineTree.split (leaf.entries, EditorLineTree.LEAF_SIZE);
+    const states  = EditorLineTree.split (leaf.states, EditorLineTree.LEAF_SIZE);
+    const leaves  = entries.map ((run, index) => new EditorLineLeaf (run, states[index]));
+
+    this.replaceNode (leaf, leaves);
+  }
+
+  /**
+   * Replace a node of the tree with a number of new nodes, splitting its parent if the parent
+   * has too many children.
+   *
+   * @param {EditorLineLeaf|EditorLineBranch}        node  The node to replace
+   * @param {Array<EditorLineLeaf|EditorLineBranch>} nodes The new nodes
+   */
+  replaceNode (node, nodes) {
+    const parent = node.parent;
+
+    if (!parent) {
+      this.root        = EditorLineTree.build (nodes);
+      this.root.parent = null;
+      return;
+    }
+
+    parent.children.splice (parent.children.indexOf (node), 1, ...nodes);
+    nodes.forEach (child => child.parent = parent);
+
+    if (parent.children.length > EditorLineTree.BRANCH_SIZE) {
+      const groups = EditorLineTree.split (parent.children, EditorLineTree.BRANCH_SIZE / 2);
+      this.replaceNode (parent, groups.map (group => new EditorLineBranch (group)));
+    }
+  }
+
+  /**
+   * Detach all the materialized lines from the tree.
+   *
+   * This is called when the tree is replaced by a new tree (see {@link EditorLineCollection#setLines}).
+   */
+  detachAll () {
+    for (var leaf = EditorLineTree.firstLeaf (this.root); leaf; leaf = EditorLineTree.nextLeaf (leaf)) {
+      leaf.entries.forEach (entry => {
+        if (entry instanceof EditorLine) {
+          entry.leaf = null;
+        }
+      });
+    }
+  }
+
+  /**
+   * Split an array into runs of the given size.
+   *
+   * @param {Array}  array The array to split
+   * @param {number} size  The size of each run
+   * @returns {Array[]} The runs (at least one)
+   */
+  static split (array, size) {
+    var runs = [];
+    for (var i = 0; i < array.length; i += size) {
+      runs.push (array.slice (i, i + size));
+    }
+
+    return runs.length > 0 ? runs : [[]];
+  }
+
+  /**
+   * Build a balanced tree over the given nodes.
+   *
+   * @param {Array<EditorLineLeaf|EditorLineBranch>} nodes The nodes to build the tree over
+   * @returns {EditorLineLeaf|EditorLineBranch} The root of the tree
+   */
+  static build (nodes) {
+    while (nodes.length > 1) {
+      nodes = EditorLineTree.split (nodes, EditorLineTree.BRANCH_SIZE).map (group => new EditorLineBranch (group));
+    }
+
+    return nodes[0];
+  }
+
+  /**
+   * Collect the lines and syntax states under a node into the given leaf.
+   *
+   * @param {EditorLineLeaf|EditorLineBranch} node The node to collect from
+   * @param {EditorLineLeaf}                  leaf The leaf to collect into
+   */
+  static collect (node, leaf) {
+    if (node instanceof EditorLineLeaf) {
+      node.entries.forEach ((entry, index) => {
+        if (entry instanceof EditorLine) {
+          entry.leaf = leaf;
+        }
+
+        leaf.entries.push (entry);
+        leaf.states.push (node.states[index]);
+        leaf.chars += entry.length + 1;
+      });
+    } else {
+      node.children.forEach (child => EditorLineTree.collect (child, leaf));
+    }
+  }
+
+  /**
+   * Get the first leaf under the given node.
+   *
+   * @param {EditorLineLeaf|EditorLineBranch} node The node to search
+   * @returns {EditorLineLeaf} The first leaf
+   */
+  static firstLeaf (node) {
+    while (node instanceof EditorLineBranch) {
+      node = node.children[0];
+    }
+
+    return node;
+  }
+
+  /**
+   * Get the leaf that follows the given leaf (or `null` if it is the last leaf).
+   *
+   * @param {EditorLineLeaf} leaf The leaf
+   * @returns {EditorLineLeaf?} The next leaf
+   */
+  static nextLeaf (leaf) {
+    var node = leaf;
+
+    while (node.parent) {
+      const siblings = node.parent.children;
+      const index    = siblings.indexOf (node);
+
+      if (index < siblings.length - 1) {
+        return EditorLineTree.firstLeaf (siblings[index + 1]);
+      }
+
+      node = node.parent;
+    }
+
+    return null;
+  }
+}
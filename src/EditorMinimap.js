@@ -1,4 +1,5 @@
 import { EditorEvent } from './EditorEvent.js';
+import { EditorUnicode } from './EditorUnicode.js';
 
 /**
  * The minimap renderer.
@@ -96,7 +97,9 @@ export class EditorMinimap {
 
     this.store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
     this.store.lines.LineContentChanged.bindTo (this, this.onLineContentChanged);
+    this.store.lines.SyntaxChanged.bindTo (this, this.onSyntaxChanged);
     this.store.viewMetrics.Scroll.bindTo (this, this.onScroll);
+    this.store.folds.Changed.bindTo (this, this.onFoldsChanged);
   }
 
   /**
@@ -243,33 +246,40 @@ export class EditorMinimap {
 
   /**
    * Update the layout information for the minimap elements.
+   *
+   * The layout is computed in rows, so that the lines that are hidden by folds (see
+   * {@link EditorFoldCollection}) are not shown in the minimap.
    */
   updateLayout () {
     const store       = this.store;
+    const folds       = store.folds;
     const metrics     = store.viewMetrics;
     const max_lines   = Math.floor (this.canvas.clientHeight / EditorMinimap.CHAR_HEIGHT);
     const line_height = metrics.lineHeight;
-    const start_line  = metrics.scrollTopLine;
-    const end_line    = metrics.scrollBottomLine;
-    const line_count  = end_line - start_line + 1;
+    const row_count   = folds.rowCount;
+    const start_row   = folds.lineToRow (metrics.scrollTopLine);
+    const end_row     = folds.lineToRow (metrics.scrollBottomLine);
+    const line_count  = end_row - start_row + 1;
 
     this.width  = this.canvas.clientWidth;
     this.height = this.canvas.clientHeight;
 
     this.sliderHeight = Math.floor (line_count * EditorMinimap.CHAR_HEIGHT);
-    this.sliderMaxTop = Math.max (0, store.lines.length * EditorMinimap.CHAR_HEIGHT - this.sliderHeight);
+    this.sliderMaxTop = Math.max (0, row_count * EditorMinimap.CHAR_HEIGHT - this.sliderHeight);
     this.sliderMaxTop = Math.min (this.height - this.sliderHeight, this.sliderMaxTop);
     this.SliderChanged.fire ();
 
-    this.sliderRatio = this.sliderMaxTop / (line_height * store.lines.length - metrics.viewHeight);
+    this.sliderRatio = this.sliderMaxTop / (line_height * row_count - metrics.viewHeight);
     this.sliderTop   = metrics.scrollTop * this.sliderRatio;
 
-    if (max_lines >= store.lines.length) {
+    if (max_lines >= row_count) {
       this.lineStart = 0;
       this.lineEnd   = store.lines.length - 1;
     } else {
-      this.lineStart = Math.max (0, Math.floor (start_line - this.sliderTop / EditorMinimap.CHAR_HEIGHT));
-      this.lineEnd   = Math.min (store.lines.length - 1, this.lineStart + max_lines - 1);
+      const first_row = Math.max (0, Math.floor (start_row - this.sliderTop / EditorMinimap.CHAR_HEIGHT));
+
+      this.lineStart = folds.rowToLine (first_row);
+      this.lineEnd   = Math.min (store.lines.length - 1, folds.rowToLine (first_row + max_lines - 1));
     }
   }
 
@@ -406,19 +416,31 @@ export class EditorMinimap {
 
     this.clearBuffer ();
 
-    for (var y = 0, i = this.lineStart; i <= this.lineEnd; i++, y += 4) {
+    for (var y = 0, i = this.lineStart; i <= this.lineEnd; i++) {
       var x = 0, line = store.lines.get (i);
 
+      /* Lines that are hidden by folds do not take up a row */
+      if (store.folds.isHidden (i)) {
+        continue;
+      }
+
       line.elements.forEach (function (element) {
         if (x < width && element.style !== null && element.style !== "whitespace") {
-          const color = theme[element.style];
-          for (var j = 0; j < element.text.length && x < width; j++, x += 2) {
-            EditorMinimap.renderChar (charData, buffer, x, y, element.text.charCodeAt (j), theme.background, color);
+          const color      = theme[element.style];
+          const boundaries = EditorUnicode.boundaries (element.text);
+
+          /* Render one character per grapheme cluster (and skip the second column of wide characters),
+           * so the minimap agrees with the visual columns of the elements */
+          for (var j = 0; j < boundaries.length - 1 && x < width; j++) {
+            EditorMinimap.renderChar (charData, buffer, x, y, element.text.codePointAt (boundaries[j]), theme.background, color);
+            x += 2 * EditorUnicode.clusterWidth (element.text, boundaries[j], boundaries[j + 1]);
           }
         } else {
           x += 2 * element.length;
         }
       });
+
+      y += 4;
     }
 
     this.context.putImageData (this.buffer, 0, 0);
@@ -427,10 +449,21 @@ export class EditorMinimap {
   /**
    * Listens to the {@link EditorLineCollection#LinesChanged} event and updates the layout
    * information and then renders the minimap.
+   *
+   * The minimap is only updated if one of the changes altered the number of lines, or changed
+   * a line between `lineStart` and `lineEnd`.
+   *
+   * @param {EditorChange[]} changes The changes that were made to the lines
    */
-  onLinesChanged () {
-    this.updateLayout ();
-    this.render ();
+  onLinesChanged (changes) {
+    const visible = changes.some (change => {
+      return change.lineDelta !== 0 || (change.region.endLine >= this.lineStart && change.region.startLine <= this.lineEnd);
+    });
+
+    if (visible) {
+      this.updateLayout ();
+      this.render ();
+    }
   }
 
   /**
@@ -447,6 +480,30 @@ export class EditorMinimap {
     }
   }
 
+  /**
+   * A method that is bound to the {@link EditorLineCollection#SyntaxChanged} event.
+   *
+   * This method will re-render the minimap when the highlighting of any of the lines between
+   * `lineStart` and `lineEnd` may have changed.
+   *
+   * @param {number} index The index of the first line whose highlighting may have changed
+   */
+  onSyntaxChanged (index) {
+    if (index <= this.lineEnd) {
+      this.render ();
+    }
+  }
+
+  /**
+   * A method that is bound to the {@link EditorFoldCollection#Changed} event.
+   *
+   * This method will update the layout of the minimap and render it, as the rows of the lines have changed.
+   */
+  onFoldsChanged () {
+    this.updateLayout ();
+    this.render ();
+  }
+
   /**
    * A method that is bound to the {@link EditorViewMetrics#Scroll} event.
    *
@@ -0,0 +1,290 @@
+import { EditorEvent } from './EditorEvent.js';
+
+/**
+ * Pasting from the clipboard history of an {@link EditorStore}.
+ *
+ * The clipboard history (see {@link EditorClipboardHistory}) collects the text that the cursors
+ * copy, and the text that is pasted. This class lets the user get at the older entries in two
+ * ways:
+ *
+ * - A popup that lists the entries with a preview of each (see {@link EditorPasteHistory#open}),
+ *   from which an entry is chosen with the keyboard or the mouse and pasted at the cursors.
+ * - "Yank-pop" (see {@link EditorPasteHistory#yankPop}), as found in Emacs: straight after a
+ *   paste, the text that was just pasted is replaced with the entry before it in the history, and
+ *   then the one before that, and so on.
+ *
+ * The store tells this class about every paste (see {@link EditorPasteHistory#onPasted}), so that
+ * yank-pop knows where the pasted text is. Yank-pop only works whilst each cursor is still at the
+ * end of the text that it pasted and the text is unchanged, so moving a cursor or editing the text
+ * before it ends the cycle.
+ *
+ * The clipboard history may be shared with other stores, so a store that is no longer needed
+ * should be disposed of (see {@link EditorStore#dispose}), which unbinds it from the history.
+ *
+ * @example
+ * store.pasteHistory.open ();
+ * store.pasteHistory.moveSelection (1);
+ * store.pasteHistory.accept ();
+ * store.pasteHistory.yankPop ();
+ */
+export class EditorPasteHistory {
+  /**
+   * Construct a new `EditorPasteHistory`.
+   *
+   * @param {EditorStore} store The store into which we paste
+   */
+  constructor (store) {
+    /**
+     * The store into which we paste
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * Whether the popup that lists the entries of the history is shown by the editor
+     * @type {boolean}
+     */
+    this.visible = false;
+
+    /**
+     * The index of the entry that is selected in the popup
+     * @type {number}
+     */
+    this.selected = 0;
+
+    /**
+     * The last paste, which yank-pop replaces (or `null`)
+     * @type {EditorPasteRecord?}
+     */
+    this.last = null;
+
+    /**
+     * Event that is fired when the popup is opened or closed, or its selection changes
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorPasteHistory.Changed");
+
+    this.history.Changed.bindTo (this, this.onHistoryChanged);
+  }
+
+  /**
+   * The clipboard history of the store
+   * @type {EditorClipboardHistory}
+   */
+  get history () {
+    return this.store.clipboardHistory;
+  }
+
+  /**
+   * Unbind from the clipboard history, and forget the last paste.
+   */
+  dispose () {
+    this.history.Changed.unbindFrom (this);
+    this.last = null;
+  }
+
+  /**
+   * Show the popup, with the newest entry selected.
+   *
+   * The popup is not shown when the history is empty.
+   *
+   * @returns {boolean} Whether the popup was shown
+   * @emits Changed
+   */
+  open () {
+    if (this.history.length === 0) {
+      return false;
+    }
+
+    this.visible  = true;
+    this.selected = 0;
+    this.onChanged ();
+    return true;
+  }
+
+  /**
+   * Hide the popup.
+   *
+   * @emits Changed
+   */
+  close () {
+    if (this.visible) {
+      this.visible = false;
+      this.onChanged ();
+    }
+  }
+
+  /**
+   * Select an entry in the popup.
+   *
+   * @param {number} index The index of the entry (which is clamped to the entries of the history)
+   * @emits Changed
+   */
+  select (index) {
+    this.selected = Math.max (0, Math.min (this.history.length - 1, index));
+    this.onChanged ();
+  }
+
+  /**
+   * Move the selection in the popup up or down, wrapping around at either end.
+   *
+   * @param {number} delta The number of entries to move by (negative to move towards newer entries)
+   * @emits Changed
+   */
+  moveSelection (delta) {
+    const count = this.history.length;
+
+    if (count > 0) {
+      this.select (((this.selected + delta) % count + count) % count);
+    }
+  }
+
+  /**
+   * Close the popup and paste an entry at the cursors.
+   *
+   * The entry is distributed between the cursors in the same way as any other paste (see
+   * {@link EditorStore#paste}), and yank-pop then continues from that entry.
+   *
+   * @param {number} [index] The index of the entry (default: the selected entry)
+   * @returns {boolean} Whether an entry was pasted
+   * @emits Changed
+   */
+  accept (index) {
+    const text = this.history.get (typeof index === "number" ? index : this.selected);
+
+    this.close ();
+    if (text === null) {
+      return false;
+    }
+
+    this.store.paste (text);
+    return true;
+  }
+
+  /**
+   * Replace the text that was just pasted with an older entry of the history.
+   *
+   * Each call moves one entry further back, wrapping around to the newest entry after the oldest.
+   * The entries are counted from the text that was last pasted, wherever it now is in the history
+   * (other stores may have added entries since); if it is no longer in the history then the
+   * cycle starts again from the newest entry.
+   * The text of the entry is distributed between the cursors when it has a line for each of them,
+   * and each cursor is left at the end of its text. The replacement is a single undoable step.
+   *
+   * @param {boolean} [reverse] Whether to move towards newer entries instead
+   * @returns {boolean} Whether the pasted text was replaced (`false` if the last paste can no longer be replaced)
+   */
+  yankPop (reverse) {
+    const store = this.store;
+    const last  = this.last;
+    const count = this.history.length;
+
+    if (!this.canYankPop () || count < 2) {
+      return false;
+    }
+
+    const from   = this.history.indexOf (last.text);
+    const index  = from === -1 ? (reverse ? count - 1 : 0) : ((from + (reverse ? -1 : 1)) % count + count) % count;
+    const entry  = this.history.get (index);
+    const text   = entry.replace (/\r\n|\r/g, '\n');
+    const pieces = store.splitPaste (text, last.edits.length);
+
+    const edits = last.edits.map ((edit, i) => {
+      return { cursor: edit.cursor, region: edit.region, padding: edit.padding, text: edit.padding + (pieces ? pieces[i] : text) };
+    });
+
+    if (!edits.every (edit => store.checkEdit (edit.region))) {
+      return false;
+    }
+
+    const regions = store.transact (() => store.applyPaste (edits));
+    this.last = {
+      text:  entry,
+      edits: edits.map ((edit, i) => Object.assign ({}, edit, { region: regions[i] }))
+    };
+
+    return true;
+  }
+
+  /**
+   * Test whether the last paste can be replaced by {@link EditorPasteHistory#yankPop}.
+   *
+   * Each cursor that pasted must still be in the store, without a selection and at the end of the
+   * text that it pasted, and that text must not have changed.
+   *
+   * @returns {boolean} Whether the last paste can be replaced
+   */
+  canYankPop () {
+    const store = this.store;
+
+    if (!this.last) {
+      return false;
+    }
+
+    const cursors = store.cursors.getAll ();
+    return this.last.edits.every (edit => {
+      return cursors.indexOf (edit.cursor) !== -1 && !edit.cursor.selection &&
+        edit.cursor.position.equals (edit.region.end) && store.getTextInRange (edit.region) === edit.text;
+    });
+  }
+
+  /**
+   * Called by the store when text has been pasted.
+   *
+   * A text that is not yet in the history is added to it, so that text that was pasted from
+   * another application takes its place in the cycle of yank-pop. Nothing is recorded when the
+   * paste did not change the text.
+   *
+   * @param {string}            text  The text that was pasted
+   * @param {EditorPasteEdit[]} edits The edits of the paste, each with the region of the text that it pasted
+   */
+  onPasted (text, edits) {
+    var index = -1;
+
+    if (edits.length > 0) {
+      index = this.history.indexOf (text);
+      if (index === -1) {
+        index = this.history.push (text);
+      }
+    }
+
+    this.last = index !== -1 ? { text: text, edits: edits } : null;
+  }
+
+  /**
+   * A method that is bound to the {@link EditorClipboardHistory#Changed} event, which keeps the
+   * selection of the popup within the entries (and closes the popup if there are none).
+   */
+  onHistoryChanged () {
+    if (this.visible) {
+      if (this.history.length === 0) {
+        this.close ();
+      } else this.select (this.selected);
+    }
+  }
+
+  /**
+   * Fire the {@link EditorPasteHistory#Changed} event.
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+}
+
+/**
+ * An edit made by a paste, as given to {@link EditorStore#applyPaste}.
+ *
+ * @typedef {Object} EditorPasteEdit
+ * @property {EditorCursor} cursor  The cursor that pastes the text
+ * @property {EditorRegion} region  The region that is replaced (or, once applied, the region of the pasted text)
+ * @property {string}       padding The spaces that fill the virtual space of the cursor, at the start of the text
+ * @property {string}       text    The text that is pasted (including the padding)
+ */
+
+/**
+ * The last paste into an {@link EditorPasteHistory}.
+ *
+ * @typedef {Object} EditorPasteRecord
+ * @property {string}            text  The entry of the clipboard history that was pasted
+ * @property {EditorPasteEdit[]} edits The edits of the paste, with the regions of the pasted text
+ */
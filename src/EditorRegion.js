@@ -147,4 +147,22 @@ export class EditorRegion {
 
     return true;
   }
+
+  /**
+   * Test whether an edit of the given region would change the text within this region.
+   *
+   * Two non-empty regions intersect when they share some text: regions that only touch at their
+   * ends do not intersect. An empty region (an insertion point) intersects this region when it
+   * lies strictly between the start and end of this region.
+   *
+   * @param {EditorRegion} other The region to test
+   * @returns {boolean} Whether the regions intersect
+   */
+  intersects (other) {
+    if (other.empty) {
+      return this.start.isBefore (other.start) && other.start.isBefore (this.end);
+    }
+
+    return other.start.isBefore (this.end) && this.start.isBefore (other.end);
+  }
 }
@@ -0,0 +1,574 @@
+import { EditorEvent } from './EditorEvent.js';
+import { EditorRegion } from './EditorRegion.js';
+
+/**
+ * Find and replace for an {@link EditorStore}.
+ *
+ * The search is described by a `query` and a number of options: whether the query is a regular
+ * expression, whether the case of letters must match, whether matches must be whole words, and
+ * whether the search is limited to the selection of the primary cursor (the `scope`). Whilst the
+ * search is open (see {@link EditorSearch#open}), the matches are kept up to date as the document
+ * is edited, and each match is highlighted with a decoration (see {@link EditorDecorationCollection})
+ * in the `"search"` layer.
+ *
+ * {@link EditorSearch#findNext} and {@link EditorSearch#findPrevious} select a match with the
+ * primary cursor, {@link EditorSearch#replace} replaces the selected match, and
+ * {@link EditorSearch#replaceAll} replaces every match as a single undoable step. When the query
+ * is a regular expression, the replacement can refer to the groups that were captured by the
+ * match (`$1`, `$<name>` and `$&` for the whole match, with `$$` for a dollar sign).
+ *
+ * @example
+ * store.search.open ();
+ * store.search.setQuery ("(\\w+)\\.length", { regex: true });
+ * store.search.replaceAll ("size ($1)");
+ */
+export class EditorSearch {
+  /**
+   * Construct a new `EditorSearch`.
+   *
+   * @param {EditorStore} store The store that we search
+   */
+  constructor (store) {
+    /**
+     * The store that we search
+     * @type {EditorStore}
+     */
+    this.store = store;
+
+    /**
+     * Whether the search bar is shown by the editor
+     * @type {boolean}
+     */
+    this.visible = false;
+
+    /**
+     * Whether the search bar shows the replacement field
+     * @type {boolean}
+     */
+    this.replacing = false;
+
+    /**
+     * The text (or regular expression) to search for
+     * @type {string}
+     */
+    this.query = "";
+
+    /**
+     * The text with which matches are replaced
+     * @type {string}
+     */
+    this.replacement = "";
+
+    /**
+     * Whether the query is a regular expression
+     * @type {boolean}
+     */
+    this.regex = false;
+
+    /**
+     * Whether the case of letters must match the query
+     * @type {boolean}
+     */
+    this.caseSensitive = false;
+
+    /**
+     * Whether a match must start and end at the boundary of a word
+     * @type {boolean}
+     */
+    this.wholeWord = false;
+
+    /**
+     * The anchored region to which the search is limited (or `null` to search the whole document)
+     * @type {EditorRegion?}
+     */
+    this.scope = null;
+
+    /**
+     * The matches of the query, in order
+     * @type {EditorSearchMatch[]}
+     */
+    this.matches = [];
+
+    /**
+     * The index of the match that was last selected (or `-1`)
+     * @type {number}
+     */
+    this.current = -1;
+
+    /**
+     * The reason that the query could not be used (such as an invalid regular expression), or `null`
+     * @type {string?}
+     */
+    this.error = null;
+
+    /**
+     * Event that is fired when the query, the options, the matches or the visibility of the search bar change
+     * @type {EditorEvent}
+     */
+    this.Changed = new EditorEvent ("EditorSearch.Changed");
+
+    store.lines.LinesChanged.bindTo (this, this.onLinesChanged);
+    store.lines.LineContentChanged.bindTo (this, this.onLinesChanged);
+  }
+
+  /**
+   * The maximum number of matches that are found
+   * @type {number}
+   */
+  static MAX_MATCHES = 10000;
+
+  /**
+   * The name of the decoration layer in which the matches are highlighted
+   * @type {string}
+   */
+  static LAYER = "search";
+
+  /**
+   * Show the search bar.
+   *
+   * If the primary cursor has selected some text on a single line then that text becomes the
+   * query. If the selection spans several lines then the search is limited to the selection.
+   *
+   * @param {boolean} [replacing] Whether to show the replacement field (default: `false`)
+   * @emits Changed
+   */
+  open (replacing) {
+    const selection = this.store.cursors.primary.selection;
+    const region    = selection && !selection.region.empty ? selection.region : null;
+
+    this.visible   = true;
+    this.replacing = !!replacing;
+
+    if (region && region.startLine === region.endLine) {
+      this.query = this.store.lines.getContent (region.startLine).substring (region.startColumn, region.endColumn);
+      this.setScope (null);
+    } else {
+      this.setScope (region);
+    }
+  }
+
+  /**
+   * Hide the search bar and remove the highlighting of the matches.
+   *
+   * The query and options are kept, so that they are restored when the search bar is shown again.
+   *
+   * @emits Changed
+   */
+  close () {
+    this.visible = false;
+    this.setScope (null);
+  }
+
+  /**
+   * Set the query, and optionally any of the options of the search.
+   *
+   * @param {string}               query     The text (or regular expression) to search for
+   * @param {EditorSearchOptions} [options] The options to change
+   * @emits Changed
+   */
+  setQuery (query, options) {
+    this.query = query;
+    this.setOptions (options || {});
+  }
+
+  /**
+   * Change some of the options of the search.
+   *
+   * @param {EditorSearchOptions} options The options to change (any that are not given are left unchanged)
+   * @emits Changed
+   */
+  setOptions (options) {
+    ["regex", "caseSensitive", "wholeWord"].forEach (name => {
+      if (typeof options[name] === "boolean") {
+        this[name] = options[name];
+      }
+    });
+
+    this.update ();
+  }
+
+  /**
+   * Limit the search to a region of the document (such as the selection).
+   *
+   * @param {EditorRegion?} region The region to search (or `null` to search the whole document)
+   * @throws {Error} If the region is invalid
+   * @emits Changed
+   */
+  setScope (region) {
+    if (region && !this.store.lines.isValidRegion (region)) {
+      throw new Error ("Invalid search scope " + region.toString ());
+    }
+
+    if (this.scope) {
+      this.store.anchors.release (this.scope);
+    }
+
+    this.scope = region ? this.store.anchors.createRegion (region, "left", "right") : null;
+    this.update ();
+  }
+
+  /**
+   * Set the text with which matches are replaced.
+   *
+   * @param {string} replacement The replacement text
+   * @emits Changed
+   */
+  setReplacement (replacement) {
+    this.replacement = replacement;
+    this.onChanged ();
+  }
+
+  /**
+   * Build the regular expression for the current query and options.
+   *
+   * @returns {RegExp?} The regular expression (or `null` if there is no query)
+   * @throws {SyntaxError} If the query is not a valid regular expression
+   */
+  compile () {
+    if (this.query.length === 0) {
+      return null;
+    }
+
+    var pattern = this.regex ? this.query : EditorSearch.escapeRegExp (this.query);
+    if (this.wholeWord) {
+      pattern = "\\b(?:" + pattern + ")\\b";
+    }
+
+    return new RegExp (pattern, "gm" + (this.caseSensitive ? "" : "i"));
+  }
+
+  /**
+   * Find the matches of the query again, and highlight them.
+   *
+   * No matches are found (or highlighted) while the search bar is hidden.
+   *
+   * @emits Changed
+   */
+  update () {
+    const store       = this.store;
+    const decorations = store.decorations;
+    var   regexp      = null;
+
+    this.matches = [];
+    this.error   = null;
+
+    try {
+      regexp = this.visible ? this.compile () : null;
+    } catch (error) {
+      this.error = error.message;
+    }
+
+    decorations.Changed.suspend ();
+    try {
+      decorations.clear (EditorSearch.LAYER);
+
+      if (regexp) {
+        /* A regular expression only matches across lines when it contains a line break */
+        const multiline = this.regex && /\\[nr]|[\n\r]/.test (this.query);
+
+        EditorSearch.findMatches (store.lines, regexp, this.scope, EditorSearch.MAX_MATCHES, multiline).forEach (found => {
+          const match = found.match;
+
+          this.matches.push ({ region: found.region, captures: match.slice (), groups: Object.assign ({}, match.groups) });
+          decorations.add (EditorSearch.LAYER, found.region, "search-match");
+        });
+      }
+    } finally {
+      decorations.Changed.resume ();
+    }
+
+    this.current = this.findSelected ();
+    this.onChanged ();
+  }
+
+  /**
+   * Find the index of the match that is selected by the primary cursor.
+   *
+   * @returns {number} The index of the match (or `-1` if the selection is not a match)
+   */
+  findSelected () {
+    const cursor = this.store.cursors.primary;
+    const region = cursor.selection ? cursor.selection.region : EditorRegion.fromPosition (cursor.position);
+
+    return this.matches.findIndex (match => {
+      return match.region.start.equals (region.start) && match.region.end.equals (region.end);
+    });
+  }
+
+  /**
+   * Select the next match after the primary cursor, wrapping around to the first match.
+   *
+   * @returns {EditorSearchMatch?} The match that was selected (or `null` if there are no matches)
+   */
+  findNext () {
+    const position = this.store.cursors.primary.position;
+    const selected = this.findSelected ();
+    var   index    = selected;
+
+    if (selected !== -1) {
+      index = (selected + 1) % this.matches.length;
+    } else {
+      index = this.matches.findIndex (match => position.isBeforeOrEqual (match.region.start));
+      if (index === -1) {
+        index = 0;
+      }
+    }
+
+    return this.select (index);
+  }
+
+  /**
+   * Select the previous match before the primary cursor, wrapping around to the last match.
+   *
+   * @returns {EditorSearchMatch?} The match that was selected (or `null` if there are no matches)
+   */
+  findPrevious () {
+    const cursor   = this.store.cursors.primary;
+    const position = cursor.selection ? cursor.selection.region.start : cursor.position;
+    const selected = this.findSelected ();
+    var   index    = selected;
+
+    if (selected !== -1) {
+      index = (selected + this.matches.length - 1) % this.matches.length;
+    } else {
+      index = -1;
+      for (var i = this.matches.length - 1; i >= 0 && index === -1; i--) {
+        if (this.matches[i].region.end.isBeforeOrEqual (position)) {
+          index = i;
+        }
+      }
+
+      if (index === -1) {
+        index = this.matches.length - 1;
+      }
+    }
+
+    return this.select (index);
+  }
+
+  /**
+   * Select a match with the primary cursor, removing any secondary cursors.
+   *
+   * @param {number} index The index of the match
+   * @returns {EditorSearchMatch?} The match that was selected (or `null` if there is no such match)
+   * @emits Changed
+   */
+  select (index) {
+    const match   = this.matches[index];
+    const cursors = this.store.cursors;
+
+    if (!match) {
+      return null;
+    }
+
+    cursors.removeSecondary ();
+    cursors.primary.setPosition (match.region.start);
+    cursors.primary.setPosition (match.region.end, true);
+
+    this.current = index;
+    this.onChanged ();
+    return match;
+  }
+
+  /**
+   * Replace the match that is selected by the primary cursor, and then select the next match.
+   *
+   * If the selection is not a match then the next match is selected without replacing anything.
+   *
+   * @param {string} [replacement] The replacement text (default: the `replacement` of the search)
+   * @returns {boolean} Whether a match was replaced
+   */
+  replace (replacement) {
+    const selected = this.findSelected ();
+    const text     = typeof replacement === "string" ? replacement : this.replacement;
+
+    if (selected === -1) {
+      this.findNext ();
+      return false;
+    }
+
+    const lines = this.store.lines;
+    const match = this.matches[selected];
+    if (!this.store.checkEdit (match.region)) {
+      return false;
+    }
+
+    /* Continue the search from the end of the replaced text */
+    const expanded = this.expandReplacement (match, text);
+    const offset   = lines.offsetAt (match.region.start) + expanded.length;
+
+    this.store.applyEdits ([{ region: match.region, text: expanded }]);
+    this.store.cursors.primary.setPosition (lines.positionAt (offset));
+    this.findNext ();
+    return true;
+  }
+
+  /**
+   * Replace every match, as a single step in the undo history.
+   *
+   * Matches that cannot be edited by the user (see {@link EditorStore#canEdit}) are left unchanged.
+   *
+   * @param {string} [replacement] The replacement text (default: the `replacement` of the search)
+   * @returns {number} The number of matches that were replaced
+   */
+  replaceAll (replacement) {
+    const text  = typeof replacement === "string" ? replacement : this.replacement;
+    const edits = this.matches.filter (match => this.store.canEdit (match.region)).map (match => {
+      return { region: match.region, text: this.expandReplacement (match, text) };
+    });
+
+    /* Let the user know that some of the matches could not be replaced */
+    if (edits.length < this.matches.length) {
+      this.store.checkEdit (this.matches.find (match => !this.store.canEdit (match.region)).region);
+    }
+
+    if (edits.length > 0) {
+      this.store.applyEdits (edits);
+    }
+
+    return edits.length;
+  }
+
+  /**
+   * Expand the references to captured groups in a replacement.
+   *
+   * When the query is not a regular expression the replacement is used as it is.
+   *
+   * @param {EditorSearchMatch} match       The match that is being replaced
+   * @param {string}            replacement The replacement text
+   * @returns {string} The text that replaces the match
+   */
+  expandReplacement (match, replacement) {
+    if (!this.regex) {
+      return replacement;
+    }
+
+    return replacement.replace (/\$(\$|&|\d\d?|<([^>]*)>)/g, (reference, name, group) => {
+      if (name === "$") {
+        return "$";
+      } else if (name === "&") {
+        return match.captures[0];
+      } else if (typeof group === "string") {
+        return match.groups.hasOwnProperty (group) ? match.groups[group] || "" : reference;
+      }
+
+      /* Prefer a two digit group if there is one, as String.prototype.replace does */
+      const index = parseInt (name, 10);
+      const first = parseInt (name[0], 10);
+
+      if (index > 0 && index < match.captures.length) {
+        return match.captures[index] || "";
+      } else if (name.length === 2 && first > 0 && first < match.captures.length) {
+        return (match.captures[first] || "") + name[1];
+      } else return reference;
+    });
+  }
+
+  /**
+   * A method that is bound to the {@link EditorLineCollection#LinesChanged} and
+   * {@link EditorLineCollection#LineContentChanged} events, which finds the matches again.
+   */
+  onLinesChanged () {
+    if (this.visible && this.query.length > 0) {
+      this.update ();
+    }
+  }
+
+  /**
+   * Fire the {@link EditorSearch#Changed} event.
+   */
+  onChanged () {
+    this.Changed.fire ();
+  }
+
+  /**
+   * Escape the characters of a string that have a special meaning in a regular expression.
+   *
+   * @param {string} text The text to escape
+   * @returns {string} The escaped text
+   */
+  static escapeRegExp (text) {
+    return text.replace (/[\\^$.*+?()[\]{}|\/-]/g, "\\$&");
+  }
+
+  /**
+   * Find the matches of a regular expression in the lines of a store.
+   *
+   * Unless the matches can span lines, the lines are searched one at a time as they are stored
+   * (see {@link EditorLineTree#iterate}), so that the document is not joined into a single string.
+   * When they can, only the lines of the scope are joined (with `\n` as the line break).
+   *
+   * @param {EditorLineCollection} lines       The lines to search
+   * @param {RegExp}               regexp      The regular expression (with the global flag)
+   * @param {EditorRegion?}        scope       The region to which the search is limited (or `null` for the whole document)
+   * @param {number}               limit       The maximum number of matches to find
+   * @param {boolean}              [multiline] Whether a match can span lines
+   * @returns {EditorSearchResult[]} The matches, in order
+   */
+  static findMatches (lines, regexp, scope, limit, multiline) {
+    const first  = scope ? scope.startLine : 0;
+    const last   = scope ? scope.endLine : lines.length - 1;
+    const result = [];
+
+    /* Find the matches in some text, from the start offset up to the end offset */
+    const search = (text, start, end, to_region) => {
+      var match;
+
+      regexp.lastIndex = start;
+      while (result.length < limit && (match = regexp.exec (text)) !== null) {
+        if (match.index + match[0].length > end) {
+          break;
+        }
+
+        /* Move past an empty match, so that we don't find it again */
+        if (match[0].length === 0) {
+          regexp.lastIndex++;
+        }
+
+        result.push ({ region: to_region (match.index, match.index + match[0].length), match: match });
+      }
+    };
+
+    if (multiline) {
+      const text = lines.tree.getContents (first, last + 1).join ('\n');
+      const base = lines.getLineOffset (first);
+
+      search (text, scope ? scope.startColumn : 0, scope ? text.length - lines.getContent (last).length + scope.endColumn : text.length,
+              (start, end) => EditorRegion.fromPositions (lines.positionAt (base + start), lines.positionAt (base + end)));
+    } else {
+      lines.tree.iterate (first, last + 1, (content, index) => {
+        search (content, index === first && scope ? scope.startColumn : 0, index === last && scope ? scope.endColumn : content.length,
+                (start, end) => new EditorRegion (index, start, index, end));
+        return result.length >= limit;
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * The options of an {@link EditorSearch}.
+ *
+ * @typedef {Object} EditorSearchOptions
+ * @property {boolean} [regex]         Whether the query is a regular expression
+ * @property {boolean} [caseSensitive] Whether the case of letters must match the query
+ * @property {boolean} [wholeWord]     Whether a match must start and end at the boundary of a word
+ */
+
+/**
+ * A match that was found by {@link EditorSearch.findMatches}.
+ *
+ * @typedef {Object} EditorSearchResult
+ * @property {EditorRegion} region The region of the document that was matched
+ * @property {Array}        match  The result of `RegExp#exec` for the match
+ */
+
+/**
+ * A match of the query of an {@link EditorSearch}.
+ *
+ * @typedef {Object} EditorSearchMatch
+ * @property {EditorRegion}         region   The region of the document that was matched
+ * @property {string[]}             captures The text of the match, followed by the text of each captured group
+ * @property {Object<string,string>} groups   The text of the named groups that were captured
+ */
@@ -22,6 +22,16 @@ export class EditorSelection {
     this.region = EditorRegion.fromPosition (this.pivot);
   }
 
+  /**
+   * Create a new selection with the same pivot and region as this one.
+   * @returns {EditorSelection} A copy of this selection
+   */
+  clone () {
+    var selection = new EditorSelection (this.pivot.clone ());
+    selection.region = this.region.clone ();
+    return selection;
+  }
+
   /**
    * Adjust this selection for the given location. Essentially expanding the
    * selection forwards or backwards of the pivot point towards the given
@@ -5,6 +5,18 @@ import { EditorViewMetrics } from './EditorViewMetrics.js';
 import { EditorSyntaxEngine } from './EditorSyntax.js';
 import { EditorKeymap } from './EditorKeymap.js';
 import { EditorTheme } from './EditorTheme.js';
+import { EditorHistory } from './EditorHistory.js';
+import { EditorAnchorCollection } from './EditorAnchorCollection.js';
+import { EditorDecorationCollection } from './EditorDecorationCollection.js';
+import { EditorDiagnosticCollection } from './EditorDiagnosticCollection.js';
+import { EditorFoldCollection } from './EditorFoldCollection.js';
+import { EditorSearch } from './EditorSearch.js';
+import { EditorClipboardHistory } from './EditorClipboardHistory.js';
+import { EditorPasteHistory } from './EditorPasteHistory.js';
+import { EditorComposition } from './EditorComposition.js';
+import { EditorLine } from './EditorLine.js';
+import { EditorRegion } from './EditorRegion.js';
+import { EditorSelection } from './EditorSelection.js';
 
 /**
  * The main storage and controller for an editor instance.
@@ -23,6 +35,25 @@ export class EditorStore {
      */
     this.config = Object.assign ({}, EditorStore.DefaultConfig, config);
 
+    /**
+     * The configuration options that were given to the constructor (which are not overridden by detection)
+     * @type {EditorConfig}
+     */
+    this.explicitConfig = Object.assign ({}, config);
+
+    /**
+     * The indentation that was detected in the text most recently loaded (see {@link EditorStore#detectIndentation})
+     * @type {EditorIndentation?}
+     */
+    this.indentation = null;
+
+    /**
+     * Event that is fired when the indentation of loaded text has been detected
+     * @type {EditorEvent}
+     * @param {EditorIndentation} indentation The detected indentation
+     */
+    this.IndentationDetected = new EditorEvent ("EditorStore.IndentationDetected");
+
     /**
      * The keymap for this editor
      * @type {EditorKeymap}
@@ -41,6 +72,57 @@ export class EditorStore {
      */
     this.theme = new EditorTheme ();
 
+    /**
+     * The undo and redo history for this store
+     * @type {EditorHistory}
+     */
+    this.history = new EditorHistory (this);
+
+    /**
+     * Whether the document has been changed since it was last saved (see {@link EditorStore#markSaved})
+     * @type {boolean}
+     */
+    this.isModified = false;
+
+    /**
+     * Event that is fired when the document becomes modified, or returns to its saved state
+     * @type {EditorEvent}
+     * @param {boolean} modified Whether the document is now modified
+     */
+    this.ModifiedChanged = new EditorEvent ("EditorStore.ModifiedChanged");
+
+    /**
+     * The positions and regions that are kept up to date as the lines are edited
+     * @type {EditorAnchorCollection}
+     */
+    this.anchors = new EditorAnchorCollection (this);
+
+    /**
+     * The decorations that are drawn over the text
+     * @type {EditorDecorationCollection}
+     */
+    this.decorations = new EditorDecorationCollection (this);
+
+    /**
+     * The diagnostics (such as linter errors) for the text
+     * @type {EditorDiagnosticCollection}
+     */
+    this.diagnostics = new EditorDiagnosticCollection (this);
+
+    /**
+     * The regions of the text that cannot be edited by the user (see {@link EditorStore#addReadOnlyRegion})
+     * @type {EditorRegion[]}
+     */
+    this.readOnlyRegions = [];
+
+    /**
+     * Event that is fired when an edit by the user is rejected (see {@link EditorStore#checkEdit})
+     * @type {EditorEvent}
+     * @param {EditorRegion}  region The region that the edit would have changed
+     * @param {EditorRegion?} target The read-only region that the edit intersected (or `null` if the store is read-only)
+     */
+    this.EditRejected = new EditorEvent ("EditorStore.EditRejected");
+
     /**
      * The collection of lines for this store.
      * @type {EditorLineCollection}
@@ -67,6 +149,36 @@ export class EditorStore {
      */
     this.cursors = new EditorCursorCollection (this);
 
+    /**
+     * The folded blocks of lines
+     * @type {EditorFoldCollection}
+     */
+    this.folds = new EditorFoldCollection (this);
+
+    /**
+     * Find and replace for the text
+     * @type {EditorSearch}
+     */
+    this.search = new EditorSearch (this);
+
+    /**
+     * The history of copied and pasted text (shared with the other stores on the page unless the configuration gives one)
+     * @type {EditorClipboardHistory}
+     */
+    this.clipboardHistory = this.config.clipboardHistory || EditorClipboardHistory.shared;
+
+    /**
+     * Pasting from the clipboard history, with the popup and yank-pop
+     * @type {EditorPasteHistory}
+     */
+    this.pasteHistory = new EditorPasteHistory (this);
+
+    /**
+     * The input of text through the hidden text area of the editor, including the compositions of input methods
+     * @type {EditorComposition}
+     */
+    this.composition = new EditorComposition (this);
+
     /**
      * Information about the editor view
      * @type {EditorViewMetrics}
@@ -86,11 +198,27 @@ export class EditorStore {
           this.onActiveLineChanged (prev_active, this.activeLine);
         }
 
-        if (cursor.position.line <= this.viewMetrics.scrollTopLine) {
-          this.viewMetrics.scrollTo (cursor.position.line * this.viewMetrics.lineHeight);
-        } else if (cursor.position.line >= this.viewMetrics.scrollBottomLine) {
-          this.viewMetrics.scrollTo ((cursor.position.line + 1) * this.viewMetrics.lineHeight - this.viewMetrics.viewHeight);
-        }
+        this.scrollToCursor (cursor);
+      }
+    });
+
+    /* Keep the window of the indentation regions in line with the lines that are visible in the view */
+    const update_indent_window = () => {
+      this.lines.indentRegions.setWindow (this.viewMetrics.scrollTopLine, this.viewMetrics.scrollBottomLine);
+    };
+
+    this.viewMetrics.Scroll.bindTo (this, update_indent_window);
+    this.viewMetrics.LineHeightChanged.bindTo (this, update_indent_window);
+    this.viewMetrics.ViewHeightChanged.bindTo (this, update_indent_window);
+    this.folds.Changed.bindTo (this, update_indent_window);
+
+    /* The modified state follows the position in the undo history relative to the save point */
+    this.history.Changed.bindTo (this, () => {
+      const modified = !this.history.isAtSavePoint;
+
+      if (this.isModified !== modified) {
+        this.isModified = modified;
+        this.onModifiedChanged (modified);
       }
     });
 
@@ -100,9 +228,573 @@ export class EditorStore {
       } else if (initial instanceof Array) {
         this.lines.setLines (initial);
       }
+
+      /* The initial content is not something that can be undone, and is the saved state of the document */
+      this.history.clear ();
+      this.history.markSaved ();
+    }
+  }
+
+  /**
+   * Release what the store holds outside of itself, once it is no longer needed.
+   *
+   * The store is unbound from the clipboard history (which may be shared with other stores, see
+   * {@link EditorPasteHistory#dispose}) and the blinking of the cursors is stopped, so that
+   * nothing on the page keeps the store alive.
+   */
+  dispose () {
+    this.pasteHistory.dispose ();
+    this.cursors.stopBlink ();
+  }
+
+  /**
+   * Perform a number of edits as a single transaction.
+   *
+   * Whilst the action is performed, the change events of the {@link EditorLineCollection} and
+   * its lines are suspended. When the action has finished, a single change notification is fired
+   * (see {@link EditorLineCollection#endUpdate}). All the edits are also recorded as a single step
+   * in the {@link EditorHistory}. The {@link EditorAnchorCollection#Changed} event is also fired at
+   * most once, although the anchored positions are updated as each edit is made.
+   *
+   * @example
+   * store.transact (() => {
+   *   for (var i = 0; i < store.lines.length; i++) {
+   *     store.lines.get (i).setContent (store.lines.get (i).content.trim ());
+   *   }
+   * });
+   *
+   * @param {function} action The action that performs the edits
+   * @returns {*} The result of the action
+   */
+  transact (action) {
+    this.history.begin ();
+    this.anchors.Changed.suspend ();
+    this.lines.beginUpdate ();
+
+    try {
+      return action ();
+    } finally {
+      this.lines.endUpdate ();
+      this.anchors.Changed.resume ();
+      this.history.end ();
+    }
+  }
+
+  /**
+   * Apply a number of edits to the store.
+   *
+   * Each edit replaces the text in a region with new text. The regions of all the edits are
+   * given in the coordinates of the document before any of the edits are applied: the edits
+   * are applied from the end of the document towards the start, so that applying one edit does
+   * not shift the regions of those that remain. Edits that insert text at the same position are
+   * inserted in the order in which they are given. An edit may insert text at the start (or the
+   * end) of the region of another edit: the inserted text goes before (or after) the text of the
+   * other edit, whichever order the edits are given in.
+   *
+   * The edits are applied as a single transaction (see {@link EditorStore#transact}). If any of
+   * the regions is invalid, or two regions overlap, then an error is thrown and no edits are applied.
+   *
+   * @example
+   * // Wrap the first word of the first line in quotes
+   * store.applyEdits ([
+   *   { region: new EditorRegion (0, 0, 0, 0), text: '"' },
+   *   { region: new EditorRegion (0, 5, 0, 5), text: '"' }
+   * ]);
+   *
+   * @param {EditorEdit[]} edits The edits to apply
+   * @throws {Error} If a region is invalid or two regions overlap
+   */
+  applyEdits (edits) {
+    const sorted = edits.map ((edit, index) => {
+      if (!this.lines.isValidRegion (edit.region)) {
+        throw new Error ("Invalid region " + edit.region.toString () + " in edit " + index);
+      }
+
+      return { region: edit.region, text: edit.text, index: index };
+    }).sort ((a, b) => {
+      if (a.region.start.equals (b.region.start)) {
+        /* Apply the insertions last, so that they go in front of a region that starts at the same position */
+        if (a.region.empty !== b.region.empty) {
+          return a.region.empty ? 1 : -1;
+        } else return b.index - a.index;
+      } else return a.region.start.isBefore (b.region.start) ? 1 : -1;
+    });
+
+    for (var i = 1; i < sorted.length; i++) {
+      if (sorted[i - 1].region.start.isBefore (sorted[i].region.end)) {
+        throw new Error ("Region " + sorted[i].region.toString () + " overlaps region " + sorted[i - 1].region.toString ());
+      }
+    }
+
+    this.transact (() => {
+      sorted.forEach (edit => this.lines.replaceRegion (edit.region, edit.text));
+
+      /* Make sure that no cursor has been left outside of the document */
+      this.cursors.forEach (cursor => {
+        if (!this.lines.isValidPosition (cursor.position)) {
+          cursor.setPosition (cursor.position);
+        }
+      });
+    });
+  }
+
+  /**
+   * Replace the diagnostics of an owner (such as a linter).
+   *
+   * The diagnostics are shown with an icon in the gutter and an underline in the text, and the
+   * message is shown when the mouse is over the underlined text. The diagnostics of other owners
+   * are not affected. See {@link EditorDiagnosticCollection#set}.
+   *
+   * @example
+   * store.setDiagnostics ("eslint", messages.map (message => {
+   *   return {
+   *     region:   new EditorRegion (message.line - 1, message.column - 1, message.endLine - 1, message.endColumn - 1),
+   *     severity: message.severity === 2 ? "error" : "warning",
+   *     message:  message.message
+   *   };
+   * }));
+   *
+   * @param {string}                 owner       The owner of the diagnostics
+   * @param {EditorDiagnosticSpec[]} diagnostics The diagnostics (an empty array clears the diagnostics of the owner)
+   */
+  setDiagnostics (owner, diagnostics) {
+    this.diagnostics.set (owner, diagnostics);
+  }
+
+  /**
+   * Record the current state of the document as the saved state.
+   *
+   * This should be called when the text of the document has been saved. The document is then no
+   * longer modified (see {@link EditorStore#isModified}), until it is edited again. Undoing or
+   * redoing back to this point makes the document unmodified again.
+   *
+   * @example
+   * save (store.lines.getText ());
+   * store.markSaved ();
+   */
+  markSaved () {
+    this.history.markSaved ();
+  }
+
+  /**
+   * Mark a region of the text as read-only.
+   *
+   * Edits made by the user (through the methods of {@link EditorCursor}) that would change the text
+   * within the region are rejected (see {@link EditorStore#checkEdit}). Text can still be inserted
+   * at either end of the region, and that text is not made read-only. The region is anchored, so that
+   * it follows the text as the document is edited. Edits made directly to the {@link EditorLineCollection},
+   * or through {@link EditorStore#applyEdits}, are not restricted.
+   *
+   * @example
+   * // Protect the first two lines of the document
+   * const header = store.addReadOnlyRegion (new EditorRegion (0, 0, 2, 0));
+   * // ... and later allow them to be edited again
+   * store.removeReadOnlyRegion (header);
+   *
+   * @param {EditorRegion} region The region of text to protect
+   * @returns {EditorRegion} The anchored region (which can be passed to {@link EditorStore#removeReadOnlyRegion})
+   */
+  addReadOnlyRegion (region) {
+    if (!this.lines.isValidRegion (region)) {
+      throw new Error ("Invalid read-only region " + region.toString ());
+    }
+
+    const anchored = this.anchors.createRegion (region, "right", "left");
+    this.readOnlyRegions.push (anchored);
+    return anchored;
+  }
+
+  /**
+   * Remove a read-only region that was added with {@link EditorStore#addReadOnlyRegion}.
+   *
+   * @param {EditorRegion} region The anchored region returned by {@link EditorStore#addReadOnlyRegion}
+   * @returns {boolean} Whether the region was found and removed
+   */
+  removeReadOnlyRegion (region) {
+    const index = this.readOnlyRegions.indexOf (region);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.readOnlyRegions.splice (index, 1);
+    this.anchors.release (region);
+    return true;
+  }
+
+  /**
+   * Get the read-only region that an edit of the given region would change.
+   *
+   * @param {EditorRegion} region The region that would be replaced (empty for an insertion)
+   * @returns {EditorRegion?} The read-only region that intersects the given region (or `null`)
+   */
+  findReadOnlyRegion (region) {
+    for (var i = 0; i < this.readOnlyRegions.length; i++) {
+      if (this.readOnlyRegions[i].intersects (region)) {
+        return this.readOnlyRegions[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Test whether the user may edit the given region.
+   *
+   * An edit is not allowed when the `readOnly` configuration option is set, or when the region
+   * intersects one of the `readOnlyRegions` (see {@link EditorRegion#intersects}).
+   *
+   * @param {EditorRegion} region The region that would be replaced (empty for an insertion)
+   * @returns {boolean} Whether the region can be edited
+   */
+  canEdit (region) {
+    return !this.config.readOnly && this.findReadOnlyRegion (region) === null;
+  }
+
+  /**
+   * Check whether the user may edit the given region, firing the {@link EditorStore#EditRejected} event if not.
+   *
+   * This is called by the editing methods of {@link EditorCursor} before they change the text.
+   *
+   * @param {EditorRegion} region The region that would be replaced (empty for an insertion)
+   * @returns {boolean} Whether the region can be edited
+   * @emits EditRejected
+   */
+  checkEdit (region) {
+    if (this.config.readOnly) {
+      this.onEditRejected (region, null);
+      return false;
+    }
+
+    const target = this.findReadOnlyRegion (region);
+    if (target) {
+      this.onEditRejected (region, target);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Detect the indentation of some lines of text and apply it to the configuration.
+   *
+   * This is called by {@link EditorLineCollection#setText} when the `detectIndentation` configuration
+   * option is set. The detected `tabSize` and `softTabs` (see {@link EditorLineCollection.detectIndentation})
+   * replace the values in the `config`, unless they were given explicitly to the constructor or
+   * they could not be detected.
+   *
+   * @param {string[]} lines The lines of text to examine
+   * @returns {EditorIndentation} The detected indentation
+   * @emits IndentationDetected
+   */
+  detectIndentation (lines) {
+    const detected = EditorLineCollection.detectIndentation (lines);
+
+    if (detected.softTabs !== null && !this.explicitConfig.hasOwnProperty ("softTabs")) {
+      this.config.softTabs = detected.softTabs;
+    }
+
+    if (detected.tabSize !== null && !this.explicitConfig.hasOwnProperty ("tabSize")) {
+      this.config.tabSize = detected.tabSize;
+    }
+
+    this.indentation = detected;
+    this.onIndentationDetected (detected);
+    return detected;
+  }
+
+  /**
+   * Convert the indentation of lines to use either spaces or tab characters.
+   *
+   * The visual width of the indentation of each line is preserved (see {@link EditorLine#indent}).
+   * When converting to tabs, indentation that is not a multiple of the `tabSize` is completed with
+   * spaces. The cursors and their selections are kept in place, and the conversion is performed
+   * as a single transaction (see {@link EditorStore#transact}).
+   *
+   * @example
+   * // Convert the indentation of the whole document to tabs
+   * store.convertIndentation (false);
+   *
+   * @param {boolean}        soft_tabs Whether to indent with spaces (`true`) or tabs (`false`)
+   * @param {EditorRegion[]} [regions] The regions whose lines are converted (default: the whole document)
+   */
+  convertIndentation (soft_tabs, regions) {
+    const tab_size = this.config.tabSize;
+    var   indices  = [];
+
+    if (regions) {
+      regions.forEach (region => {
+        for (var index = region.startLine; index <= region.endLine; index++) {
+          if (indices.indexOf (index) === -1) {
+            indices.push (index);
+          }
+        }
+      });
+    } else {
+      for (var index = 0; index < this.lines.length; index++) {
+        indices.push (index);
+      }
+    }
+
+    this.transact (() => {
+      /* Anchor the cursors and selections, so that they move with the changed indentation */
+      const anchored = this.cursors.map (cursor => {
+        return {
+          cursor:    cursor,
+          position:  this.anchors.createPosition (cursor.position, "right"),
+          selection: cursor.selection ? this.anchors.createRegion (cursor.selection.region, "left", "right") : null
+        };
+      });
+
+      indices.forEach (index => {
+        const content = this.lines.getContent (index);
+        const length  = EditorLine.indentOf (content);
+        const indent  = EditorLine.makeIndent (EditorLine.visualColumnOf (content, length, tab_size), tab_size, soft_tabs);
+
+        if (indent !== content.substring (0, length)) {
+          this.lines.replaceRegion (new EditorRegion (index, 0, index, length), indent);
+        }
+      });
+
+      anchored.forEach (anchor => {
+        var selection = null;
+
+        if (anchor.selection) {
+          const pivot_at_start = anchor.cursor.selection.pivot.equals (anchor.cursor.selection.region.start);
+
+          selection = EditorSelection.fromRegion (anchor.selection);
+          selection.pivot = (pivot_at_start ? anchor.selection.start : anchor.selection.end).clone ();
+          this.anchors.release (anchor.selection);
+        }
+
+        anchor.cursor.restoreState ({ position: anchor.position, selection: selection });
+        this.anchors.release (anchor.position);
+      });
+    });
+  }
+
+  /**
+   * Apply the `trimTrailingWhitespace` and `insertFinalNewline` configuration options to the text.
+   *
+   * This is intended to be called before the text is saved. Trailing whitespace is removed from
+   * every line when `trimTrailingWhitespace` is set. When `insertFinalNewline` is `true` the text
+   * is made to end with a line break, and when it is `false` any line breaks at the end of the
+   * text are removed. The edits are applied as a single transaction (see {@link EditorStore#applyEdits}).
+   *
+   * @example
+   * const store = new EditorStore (EditorConfigFile.toConfig (properties), text);
+   * // ... later, when saving
+   * save (store.applySaveRules ());
+   *
+   * @returns {string} The text of the document after the edits have been applied
+   */
+  applySaveRules () {
+    var edits = [];
+
+    if (this.config.trimTrailingWhitespace) {
+      this.lines.tree.iterate (0, this.lines.length, (content, index) => {
+        const trimmed = content.replace (/\s+$/, "");
+
+        if (trimmed.length !== content.length) {
+          edits.push ({ region: new EditorRegion (index, trimmed.length, index, content.length), text: "" });
+        }
+      });
+    }
+
+    if (this.config.insertFinalNewline === true) {
+      const last = this.lines.length - 1;
+      const end  = this.lines.getContent (last).length;
+
+      if (end > 0) {
+        edits.push ({ region: new EditorRegion (last, end, last, end), text: "\n" });
+      }
+    } else if (this.config.insertFinalNewline === false) {
+      /* Lines that only contain whitespace are empty once they have been trimmed */
+      const empty = this.config.trimTrailingWhitespace ? /^\s*$/ : /^$/;
+      var   last  = this.lines.length - 1;
+
+      while (last > 0 && empty.test (this.lines.getContent (last))) {
+        last--;
+      }
+
+      if (last < this.lines.length - 1) {
+        /* Merge with the trimming of the lines from the last line onwards, as the regions would overlap */
+        const trim = edits.find (edit => edit.region.startLine === last);
+        const end  = trim ? trim.region.startColumn : this.lines.getContent (last).length;
+
+        const final = this.lines.length - 1;
+
+        edits = edits.filter (edit => edit.region.startLine < last);
+
+        /* Remove the whole of the final line, which may only contain whitespace */
+        edits.push ({ region: new EditorRegion (last, end, final, this.lines.getContent (final).length), text: "" });
+      }
+    }
+
+    if (edits.length > 0) {
+      this.applyEdits (edits);
+    }
+
+    return this.lines.getText ();
+  }
+
+  /**
+   * Paste text at every cursor.
+   *
+   * When there are several cursors, the text is distributed between them where it can be:
+   *
+   * - If the text is what the cursors last copied (see {@link EditorCursorCollection#copy}), each
+   *   cursor pastes the text that it copied itself.
+   * - If the text has as many lines as there are cursors, each cursor pastes one line (in the
+   *   order of the cursors in the document).
+   *
+   * Otherwise, or when `distribute` is `false`, the whole text is pasted at every cursor. Each
+   * cursor replaces its selection (if any) and is moved to the end of the text that it pasted.
+   * All the edits are made in a single transaction (see {@link EditorStore#applyEdits}), and the
+   * paste is recorded in the clipboard history (see {@link EditorPasteHistory#onPasted}).
+   *
+   * @param {string?} [text]       The text to paste (default: the content of the clipboard of each cursor)
+   * @param {boolean} [distribute] Whether to distribute the text between the cursors (default: `true`)
+   */
+  paste (text, distribute) {
+    const cursors = this.cursors.getSorted ();
+    const copied  = cursors.map (cursor => cursor.clipboard.read () || "");
+    var   pieces  = null;
+
+    if (typeof text !== "string") {
+      text = copied.join ('\n');
+    }
+
+    /* Use the line breaks that the document ends up with, so that yank-pop can find the pasted text again */
+    text = text.replace (/\r\n|\r/g, '\n');
+
+    if (distribute !== false && cursors.length > 1) {
+      pieces = copied.join ('\n') === text ? copied : this.splitPaste (text, cursors.length);
+    }
+
+    /* Each cursor replaces its selection (after filling any virtual space before it with spaces) */
+    const edits = [];
+    cursors.forEach ((cursor, index) => {
+      const region = cursor.selection ? cursor.selection.region : EditorRegion.fromPosition (cursor.position);
+      const piece  = pieces ? pieces[index] : text;
+
+      if (piece && this.checkEdit (region)) {
+        const padding = cursor.selection ? "" : new Array (1 + cursor.virtualSpace).join (' ');
+        edits.push ({ cursor: cursor, region: region, padding: padding, text: padding + piece });
+      }
+    });
+
+    const regions = this.transact (() => this.applyPaste (edits));
+    this.pasteHistory.onPasted (text, edits.map ((edit, index) => Object.assign ({}, edit, { region: regions[index] })));
+  }
+
+  /**
+   * Split the text of a paste into a line for each cursor.
+   *
+   * @param {string} text  The text that is pasted
+   * @param {number} count The number of cursors
+   * @returns {string[]?} The line for each cursor (or `null` if the text does not have a line for each of several cursors)
+   */
+  splitPaste (text, count) {
+    const lines = text.split (/\r\n|\r|\n/);
+    return count > 1 && lines.length === count ? lines : null;
+  }
+
+  /**
+   * Apply the edits of a paste, and move each cursor to the end of the text that it pasted.
+   *
+   * The cursors that do not have an edit stay with the text around them. This should be called
+   * within a transaction (see {@link EditorStore#transact}).
+   *
+   * @param {EditorPasteEdit[]} edits The edits to apply (with regions in the coordinates of the document before the paste)
+   * @returns {EditorRegion[]} The region of the text that each edit pasted
+   */
+  applyPaste (edits) {
+    const cursors = this.cursors.getAll ();
+
+    /* Anchor the cursors, so that each one ends up after the text that it pasted */
+    const anchored = cursors.map (cursor => {
+      const edit = edits.find (edit => edit.cursor === cursor);
+      return this.anchors.createPosition (edit ? edit.region.end : cursor.position, "right");
+    });
+
+    const pasted = edits.map (edit => this.anchors.createRegion (edit.region, "left", "right"));
+    this.applyEdits (edits.map (edit => ({ region: edit.region, text: edit.text })));
+
+    cursors.forEach ((cursor, index) => {
+      cursor.setPosition (anchored[index]);
+      this.anchors.release (anchored[index]);
+    });
+
+    return pasted.map (region => {
+      this.anchors.release (region);
+      return region.clone ();
+    });
+  }
+
+  /**
+   * Scroll the view sufficiently that the line of a cursor is visible.
+   *
+   * @param {EditorCursor} cursor The cursor to bring into view
+   */
+  scrollToCursor (cursor) {
+    const top = this.viewMetrics.lineTop (cursor.position.line);
+
+    if (cursor.position.line <= this.viewMetrics.scrollTopLine) {
+      this.viewMetrics.scrollTo (top);
+    } else if (cursor.position.line >= this.viewMetrics.scrollBottomLine) {
+      this.viewMetrics.scrollTo (top + this.viewMetrics.lineHeight - this.viewMetrics.viewHeight);
     }
   }
 
+  /**
+   * Get the text within the given region.
+   *
+   * Line breaks within the region are given as `\n`.
+   *
+   * @param {EditorRegion} region The region of text to retrieve
+   * @returns {string} The text within the region
+   */
+  getTextInRange (region) {
+    return this.lines.acquireRegionContent (region).join ('\n');
+  }
+
+  /**
+   * Convert a position into an absolute character offset from the start of the document.
+   *
+   * Each line break counts as a single character. Positions outside of the document are
+   * clamped to the nearest valid position.
+   *
+   * @example
+   * var store = new EditorStore ({}, "hello\nworld");
+   * store.offsetAt (new EditorPosition (1, 2));
+   * // result: 8
+   *
+   * @param {EditorPosition} position The position to convert
+   * @returns {number} The offset of the position
+   */
+  offsetAt (position) {
+    return this.lines.offsetAt (position);
+  }
+
+  /**
+   * Convert an absolute character offset from the start of the document into a position.
+   *
+   * This is the inverse of {@link EditorStore#offsetAt}. Offsets outside of the document are
+   * clamped to the start or end of the document.
+   *
+   * @example
+   * var store = new EditorStore ({}, "hello\nworld");
+   * store.positionAt (8).toString ();
+   * // result: "(1:2)"
+   *
+   * @param {number} offset The offset to convert
+   * @returns {EditorPosition} The position of the offset
+   */
+  positionAt (offset) {
+    return this.lines.positionAt (offset);
+  }
+
   /**
    * Fire the {@link EditorStore#ActiveLineChanged} event.
    * @param {number} prev_active The previous active line
@@ -112,33 +804,73 @@ export class EditorStore {
     this.ActiveLineChanged.fire (prev_active, next_active);
   }
 
+  /**
+   * Fire the {@link EditorStore#IndentationDetected} event.
+   * @param {EditorIndentation} indentation The detected indentation
+   */
+  onIndentationDetected (indentation) {
+    this.IndentationDetected.fire (indentation);
+  }
+
+  /**
+   * Fire the {@link EditorStore#ModifiedChanged} event.
+   *
+   * @param {boolean} modified Whether the document is now modified
+   */
+  onModifiedChanged (modified) {
+    this.ModifiedChanged.fire (modified);
+  }
+
+  /**
+   * Fire the {@link EditorStore#EditRejected} event.
+   *
+   * @param {EditorRegion}  region The region that the edit would have changed
+   * @param {EditorRegion?} target The read-only region that the edit intersected (or `null`)
+   */
+  onEditRejected (region, target) {
+    this.EditRejected.fire (region, target);
+  }
+
   /**
    * Default configuration for an {@link EditorStore}.
    *
-   * | Setting                        | Option Name          | Default Option                     |
-   * |--------------------------------|----------------------|-----------------------------------:|
-   * | Display Line Numbers           | `lineNumbers`        | yes                                |
-   * | Minimum Line Number Characters | `minLineNumberChars` | 2                                  |
-   * | Display Line Gutter            | `lineGutter`         | yes                                |
-   * | Display Minimap                | `minimap`            | yes                                |
-   * | Syntax Highlight Minimap       | `minimapColor`       | yes                                |
-   * | Keymap Configuration           | `keymap`             | {@link EditorKeymap.DefaultKeymap} |
-   * | Tab Size                       | `tabSize`            | 2                                  |
-   * | Soft Tabs                      | `softTabs`           | yes                                |
-   * | Syntax                         | `syntax`             | none                               |
+   * | Setting                        | Option Name              | Default Option                     |
+   * |--------------------------------|--------------------------|-----------------------------------:|
+   * | Display Line Numbers           | `lineNumbers`            | yes                                |
+   * | Minimum Line Number Characters | `minLineNumberChars`     | 2                                  |
+   * | Display Line Gutter            | `lineGutter`             | yes                                |
+   * | Display Minimap                | `minimap`                | yes                                |
+   * | Syntax Highlight Minimap       | `minimapColor`           | yes                                |
+   * | Keymap Configuration           | `keymap`                 | {@link EditorKeymap.DefaultKeymap} |
+   * | Tab Size                       | `tabSize`                | 2                                  |
+   * | Soft Tabs                      | `softTabs`               | yes                                |
+   * | Detect Indentation             | `detectIndentation`      | yes                                |
+   * | Read Only                      | `readOnly`               | no                                 |
+   * | Undo History Limit             | `undoLimit`              | 1000                               |
+   * | Line Ending Style              | `lineEnding`             | `"auto"`                           |
+   * | Trim Trailing Whitespace       | `trimTrailingWhitespace` | no                                 |
+   * | Insert Final Newline           | `insertFinalNewline`     | leave as is                        |
+   * | Syntax                         | `syntax`                 | none                               |
    *
    * @type {EditorConfig}
    */
   static DefaultConfig = {
-    lineNumbers:        true,
-    minLineNumberChars: 2,
-    lineGutter:         true,
-    minimap:            true,
-    minimapColor:       true,
-    keymap:             EditorKeymap.DefaultKeymap,
-    tabSize:            2,
-    softTabs:           true,
-    syntax:             null
+    lineNumbers:            true,
+    minLineNumberChars:     2,
+    lineGutter:             true,
+    minimap:                true,
+    minimapColor:           true,
+    keymap:                 EditorKeymap.DefaultKeymap,
+    tabSize:                2,
+    softTabs:               true,
+    detectIndentation:      true,
+    readOnly:               false,
+    undoLimit:              1000,
+    lineEnding:             "auto",
+    trimTrailingWhitespace: false,
+    insertFinalNewline:     null,
+    syntax:                 null,
+    clipboardHistory:       null
   };
 }
 
@@ -148,13 +880,28 @@ export class EditorStore {
  * See {@link EditorStore.DefaultConfig} for the default configuration (or the defaults given below).
  *
  * @typedef {Object} EditorConfig
- * @property {boolean}            lineNumbers        Whether to enable line number display (defaults to `true`)
- * @property {number}             minLineNumberChars The minimum number of characters in the line number display (defaults to `2`)
- * @property {boolean}            lineGutter         Whether to display the line gutter (defaults to `true`)
- * @property {boolean}            minimap            Whether to display the minimap (defaults to `true`)
- * @property {boolean}            minimapColor       Whether to display syntax highlighting in the minimap (defaults to `true`)
- * @property {EditorKeymapConfig} keymap             The keymap configuration for the editor (defaults to {@link EditorKeymap.DefaultKeymap})
- * @property {number}             tabSize            The render size (in characters) of a tab character (defaults to `2`)
- * @property {boolean}            softTabs           Whether to use soft-tabs (replace tabs with spaces, defaults to `true`)
- * @property {SyntaxConfig}       syntax             The syntax highlighting configuration (defaults to `null`)
+ * @property {boolean}            lineNumbers            Whether to enable line number display (defaults to `true`)
+ * @property {number}             minLineNumberChars     The minimum number of characters in the line number display (defaults to `2`)
+ * @property {boolean}            lineGutter             Whether to display the line gutter (defaults to `true`)
+ * @property {boolean}            minimap                Whether to display the minimap (defaults to `true`)
+ * @property {boolean}            minimapColor           Whether to display syntax highlighting in the minimap (defaults to `true`)
+ * @property {EditorKeymapConfig} keymap                 The keymap configuration for the editor (defaults to {@link EditorKeymap.DefaultKeymap})
+ * @property {number}             tabSize                The render size (in characters) of a tab character (defaults to `2`)
+ * @property {boolean}            softTabs               Whether to use soft-tabs (replace tabs with spaces, defaults to `true`)
+ * @property {boolean}            detectIndentation      Whether to detect `tabSize` and `softTabs` from the text, unless they are given (defaults to `true`)
+ * @property {boolean}            readOnly               Whether the user is prevented from editing the text, whilst still being able to move the cursors and select and copy text (defaults to `false`)
+ * @property {number}             undoLimit              The maximum number of steps kept in the undo history (defaults to `1000`)
+ * @property {string}             lineEnding             The line ending style: `"lf"`, `"crlf"`, `"cr"` or `"auto"` to detect the style of the initial text, after which it holds the style in use (defaults to `"auto"`)
+ * @property {boolean}            trimTrailingWhitespace Whether {@link EditorStore#applySaveRules} removes trailing whitespace (defaults to `false`)
+ * @property {boolean?}           insertFinalNewline     Whether {@link EditorStore#applySaveRules} makes the text end with a line break (`true`), removes line breaks from the end (`false`) or leaves them as they are (`null`, the default)
+ * @property {SyntaxConfig}       syntax                 The syntax highlighting configuration (defaults to `null`)
+ * @property {EditorClipboardHistory?} clipboardHistory The history of copied and pasted text, or `null` to share {@link EditorClipboardHistory.shared} with the other stores on the page (defaults to `null`)
+ */
+
+/**
+ * An edit that can be applied with {@link EditorStore#applyEdits}.
+ *
+ * @typedef {Object} EditorEdit
+ * @property {EditorRegion} region The region of text to replace
+ * @property {string}       text   The text to insert in place of the region
  */
@@ -1,3 +1,5 @@
+import { EditorUnicode } from './EditorUnicode.js';
+
 /**
  * Represents a parsed syntax region with a given style and content.
  */
@@ -13,19 +15,20 @@ export class SyntaxRegion {
     this.style = null;
 
     /**
-     * The start column of this region.
+     * The start column of this region (in visual columns, see {@link EditorLine.visualColumnOf}).
      * @type {number}
      */
     this.start = start;
 
     /**
-     * The end column of this region
+     * The end column of this region (in visual columns)
      * @type {number}
      */
     this.end = start;
 
     /**
-     * The length of this region (in original characters)
+     * The length of this region in visual columns, where each grapheme cluster takes up a single
+     * column other than wide characters, which take up two (see {@link EditorUnicode.width})
      * @type {number}
      */
     this.length = 0;
@@ -66,7 +69,27 @@ export class SyntaxRegion {
    */
   static escapeString (str) {
     const ESCAPED = { ' ': "&nbsp;", '&': "&amp;", '<': "&lt;", '>': "&gt;" };
-    return str.replace (/[\s&<>]/g, c => ESCAPED[c]);
+    const escape  = text => text.replace (/[ &<>]/g, c => ESCAPED[c]);
+
+    if (EditorUnicode.isSimple (str)) {
+      return escape (str);
+    }
+
+    /* Wide characters are given a fixed width of two columns, so that they line up with the visual columns */
+    const boundaries = EditorUnicode.segment (str);
+    var   result     = "";
+
+    for (var i = 0; i < boundaries.length - 1; i++) {
+      const escaped = escape (str.substring (boundaries[i], boundaries[i + 1]));
+
+      if (EditorUnicode.clusterWidth (str, boundaries[i], boundaries[i + 1]) === 2) {
+        result += "<span class=\"wide\">" + escaped + "</span>";
+      } else {
+        result += escaped;
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -77,15 +100,23 @@ export class SyntaxRegion {
    *
    * This method will append the original code point as a character string
    * to the `text` property. The escaped code point will be appended to the
-   * `html` property. The `length` and `end` properties will be incremented.
+   * `html` property. The `length` and `end` properties will be incremented
+   * by the width of the character (two columns for a wide character, see
+   * {@link EditorUnicode.isWide}), so the code point should be a character of
+   * its own (not a combining mark, for example); use
+   * {@link SyntaxRegion#appendString} to append a grapheme cluster.
    *
    * @param {number} code The code point to append to this region.
    */
   appendCodePoint (code) {
-    this.html += SyntaxRegion.escapeCodePoint (code);
-    this.text += String.fromCodePoint (code);
-    this.length++;
-    this.end++;
+    if (EditorUnicode.isWide (code)) {
+      this.appendString (String.fromCodePoint (code));
+    } else {
+      this.html += SyntaxRegion.escapeCodePoint (code);
+      this.text += String.fromCodePoint (code);
+      this.length++;
+      this.end++;
+    }
   }
 
   /**
@@ -96,16 +127,18 @@ export class SyntaxRegion {
    *
    * This method will append the original string to the `text` property. It
    * will then append the HTML-escaped string to the `html` property. The
-   * `length` and `end` properties will be incremented by the length of the
-   * string.
+   * `length` and `end` properties will be incremented by the visual width
+   * of the string (see {@link EditorUnicode.width}).
    *
    * @param {string} str The string to append to this syntax region.
    */
   appendString (str) {
+    const width = EditorUnicode.width (str);
+
     this.html   += SyntaxRegion.escapeString (str);
     this.text   += str;
-    this.length += str.length;
-    this.end    += str.length;
+    this.length += width;
+    this.end    += width;
   }
 }
 
@@ -370,8 +403,8 @@ export class EditorSyntaxEngine {
    *
    * Essentially this method repeatedly applies {@link EditorSyntaxEngine#match} until all the
    * characters in the line have been consumed. However, special consideration is made for whitespace
-   * characters: tab characters are expanded to `tab_size` space characters and space characters
-   * are escaped. All whitespace is given the `whitespace` style by default.
+   * characters: tab characters are expanded with space characters up to the next multiple of
+   * `tab_size` columns and space characters are escaped. All whitespace is given the `whitespace` style by default.
    *
    * @example
    * var engine = new EditorSyntaxEngine (EditorSyntaxEngine.JavaScript);
@@ -393,17 +426,26 @@ export class EditorSyntaxEngine {
     var   regions    = new SyntaxRegionCollection ();
     var   last_index = 0;
 
+    /* Whether every character in the line is a single code unit (see EditorUnicode.isSimple) */
+    const simple = EditorUnicode.isSimple (line);
+
     while (last_index < length) {
       const char = line[last_index];
       const code = char.codePointAt (0);
 
-      if (code === 0x09) { /* tab */
-        for (var t = 0; t < tab_size; t++) {
+      /* The end of the character (grapheme cluster) at this index */
+      const next = simple ? last_index + 1 : EditorUnicode.nextBoundary (line, last_index);
+
+      if (code === 0x09 && next === last_index + 1) { /* tab */
+        /* Expand the tab up to the next tab stop (the lengths of the regions are in visual columns, as for EditorLine.visualColumnOf) */
+        const column = regions.length + regions.current.length;
+
+        for (var t = column % tab_size; t < tab_size; t++) {
           regions.appendCodePoint ("whitespace", 0x20);
         }
 
         last_index++;
-      } else if (/\s/.test (char)) {
+      } else if (/\s/.test (char) && next === last_index + 1) {
         regions.appendCodePoint ("whitespace", code);
         last_index++;
       } else {
@@ -411,11 +453,21 @@ export class EditorSyntaxEngine {
 
         var result = this.match (line, last_index);
         if (result) {
-          regions.appendString (result.style || fallback_style, line.substring (last_index, last_index + result.length));
-          last_index += result.length;
+          /* Make sure that the match does not end part way through a character */
+          const end = simple ? last_index + result.length
+                             : Math.max (last_index + result.length, EditorUnicode.nextBoundary (line, last_index + result.length - 1));
+
+          regions.appendString (result.style || fallback_style, line.substring (last_index, end));
+          last_index = end;
         } else {
-          regions.appendCodePoint (fallback_style, code);
-          last_index++;
+          if (next === last_index + 1) {
+            regions.appendCodePoint (fallback_style, code);
+          } else {
+            /* Surrogate pairs and combining marks are appended along with the character they belong to */
+            regions.appendString (fallback_style, line.substring (last_index, next));
+          }
+
+          last_index = next;
         }
       }
     }
@@ -0,0 +1,377 @@
+/**
+ * Functions for working with the grapheme clusters of a string.
+ *
+ * The content of an {@link EditorLine} is stored as a JavaScript string, and all the column
+ * indices in the editor are indices into that string (that is, they count UTF-16 code units).
+ * However, a single user-perceived character may be made up of more than one code unit: a
+ * character outside of the basic multilingual plane (such as most emoji) is stored as a surrogate
+ * pair, and a character can be followed by any number of combining marks. These sequences are
+ * called grapheme clusters, and the cursor should never be placed inside of one.
+ *
+ * Where available, the segmentation is performed by `Intl.Segmenter`. Otherwise a simpler set of
+ * rules is used that keeps surrogate pairs, combining marks, variation selectors, emoji modifiers,
+ * zero-width joiner sequences and regional indicator pairs (flags) together.
+ *
+ * @example
+ * EditorUnicode.boundaries ("ét😀");
+ * // result: [0, 2, 3, 5]
+ */
+export class EditorUnicode {
+  /**
+   * Get the indices of the grapheme cluster boundaries in the given text.
+   *
+   * The result always starts with `0` and ends with the length of the text.
+   *
+   * @param {string} text The text to segment
+   * @returns {number[]} The indices of the boundaries (in ascending order)
+   */
+  static boundaries (text) {
+    var result = EditorUnicode.lookup (text);
+
+    if (result === null) {
+      result = new Array (text.length + 1);
+      for (var i = 0; i <= text.length; i++) {
+        result[i] = i;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Count the number of grapheme clusters in the given text.
+   *
+   * @param {string} text The text to count
+   * @returns {number} The number of grapheme clusters
+   */
+  static count (text) {
+    if (text === EditorUnicode.lastText) {
+      return EditorUnicode.lastBoundaries === null ? text.length : EditorUnicode.lastBoundaries.length - 1;
+    }
+
+    /* This does not replace the cached boundaries, as the text is often a part of a line being highlighted */
+    return EditorUnicode.isSimple (text) ? text.length : EditorUnicode.segment (text).length - 1;
+  }
+
+  /**
+   * Test whether the given index is on a grapheme cluster boundary.
+   *
+   * @param {string} text  The text to test
+   * @param {number} index The index into the text
+   * @returns {boolean} Whether the index is on a boundary
+   */
+  static isBoundary (text, index) {
+    return EditorUnicode.snap (text, index) === index;
+  }
+
+  /**
+   * Get the index of the grapheme cluster boundary at or before the given index.
+   *
+   * The index is also clamped to the bounds of the text.
+   *
+   * @param {string} text  The text
+   * @param {number} index The index into the text
+   * @returns {number} The index of the boundary
+   */
+  static snap (text, index) {
+    const boundaries = EditorUnicode.lookup (text);
+
+    index = Math.min (text.length, Math.max (0, index));
+    return boundaries === null ? index : boundaries[EditorUnicode.search (boundaries, index)];
+  }
+
+  /**
+   * Get the index that is a number of grapheme clusters after the given index.
+   *
+   * The result is clamped to the length of the text.
+   *
+   * @param {string} text    The text
+   * @param {number} index   The index to start from
+   * @param {number} [count] The number of grapheme clusters to move over (default: `1`)
+   * @returns {number} The index of the boundary
+   */
+  static nextBoundary (text, index, count) {
+    const boundaries = EditorUnicode.lookup (text);
+
+    count = typeof count === "number" ? count : 1;
+    index = Math.min (text.length, Math.max (0, index));
+
+    if (boundaries === null) {
+      return Math.min (text.length, index + count);
+    }
+
+    return boundaries[Math.min (boundaries.length - 1, EditorUnicode.search (boundaries, index) + count)];
+  }
+
+  /**
+   * Get the index that is a number of grapheme clusters before the given index.
+   *
+   * If the index is inside of a grapheme cluster then the start of that cluster counts as the
+   * first step. The result is clamped to the start of the text.
+   *
+   * @param {string} text    The text
+   * @param {number} index   The index to start from
+   * @param {number} [count] The number of grapheme clusters to move over (default: `1`)
+   * @returns {number} The index of the boundary
+   */
+  static previousBoundary (text, index, count) {
+    const boundaries = EditorUnicode.lookup (text);
+
+    count = typeof count === "number" ? count : 1;
+    index = Math.min (text.length, Math.max (0, index));
+
+    if (boundaries === null) {
+      return Math.max (0, index - count);
+    }
+
+    var found = EditorUnicode.search (boundaries, index);
+    if (boundaries[found] < index) {
+      found++;
+    }
+
+    return boundaries[Math.max (0, found - count)];
+  }
+
+  /**
+   * Get the number of screen columns taken up by the given text.
+   *
+   * Each grapheme cluster takes up one column, other than wide characters (such as CJK ideographs
+   * and emoji) which take up two columns (see {@link EditorUnicode.clusterWidth}). Tab characters
+   * are counted as a single column: their width is decided by the editor configuration (see
+   * {@link EditorLine.visualColumnOf}).
+   *
+   * @param {string} text The text to measure
+   * @returns {number} The width of the text in columns
+   */
+  static width (text) {
+    if (EditorUnicode.isSimple (text)) {
+      return text.length;
+    }
+
+    const boundaries = EditorUnicode.segment (text);
+    var   width      = 0;
+
+    for (var i = 0; i < boundaries.length - 1; i++) {
+      width += EditorUnicode.clusterWidth (text, boundaries[i], boundaries[i + 1]);
+    }
+
+    return width;
+  }
+
+  /**
+   * Get the number of screen columns taken up by the grapheme cluster in the given range.
+   *
+   * @param {string} text  The text containing the grapheme cluster
+   * @param {number} start The start of the grapheme cluster
+   * @param {number} end   The end of the grapheme cluster
+   * @returns {number} Either `1` or `2` (for a wide character)
+   */
+  static clusterWidth (text, start, end) {
+    const code     = text.codePointAt (start);
+    const selector = end - start > 1 ? text.indexOf ("\ufe0f", start) : -1;
+
+    /* A variation selector 16 requests the (wide) emoji presentation of the character */
+    return EditorUnicode.isWide (code) || (selector !== -1 && selector < end) ? 2 : 1;
+  }
+
+  /**
+   * Test whether a code point is a wide (or full-width) character.
+   *
+   * @param {number} code The code point to test
+   * @returns {boolean} Whether the character takes up two columns
+   */
+  static isWide (code) {
+    return code >= 0x1100 && EditorUnicode.WIDE_RANGES.some (range => code >= range[0] && code <= range[1]);
+  }
+
+  /**
+   * Find the grapheme cluster boundaries of the given text.
+   *
+   * The boundaries of the most recent text are cached, as the same line tends to be queried a
+   * number of times in a row (such as whilst it is being highlighted).
+   *
+   * @param {string} text The text to segment
+   * @returns {number[]?} The boundaries, or `null` if every code unit is a boundary (see {@link EditorUnicode.isSimple})
+   */
+  static lookup (text) {
+    if (text === EditorUnicode.lastText) {
+      return EditorUnicode.lastBoundaries;
+    }
+
+    const result = EditorUnicode.isSimple (text) ? null : EditorUnicode.segment (text);
+
+    EditorUnicode.lastText       = text;
+    EditorUnicode.lastBoundaries = result;
+    return result;
+  }
+
+  /**
+   * Segment the given text into grapheme clusters (without caching the result).
+   *
+   * @param {string} text The text to segment
+   * @returns {number[]} The indices of the boundaries (in ascending order)
+   */
+  static segment (text) {
+    var result;
+
+    if (EditorUnicode.segmenter) {
+      result = Array.from (EditorUnicode.segmenter.segment (text), segment => segment.index);
+      result.push (text.length);
+    } else {
+      result = [0];
+      for (var index = 0; index < text.length;) {
+        index = EditorUnicode.fallbackClusterEnd (text, index);
+        result.push (index);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Test whether every code unit of the text is a grapheme cluster of its own.
+   *
+   * This is the case for text that does not contain surrogate pairs, combining marks or any of the
+   * other characters that join together, which covers most source code.
+   *
+   * @param {string} text The text to test
+   * @returns {boolean} Whether the text can be treated one code unit at a time
+   */
+  static isSimple (text) {
+    return !EditorUnicode.COMPLEX.test (text);
+  }
+
+  /**
+   * Find the index of the last boundary that is less than or equal to `index`.
+   *
+   * @param {number[]} boundaries The boundaries (in ascending order)
+   * @param {number}   index      The index to search for
+   * @returns {number} The index into the `boundaries` array
+   */
+  static search (boundaries, index) {
+    var low = 0, high = boundaries.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (boundaries[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Find the end of the grapheme cluster that starts at the given index, when `Intl.Segmenter`
+   * is not available.
+   *
+   * @param {string} text  The text
+   * @param {number} index The start of the grapheme cluster
+   * @returns {number} The index of the end of the cluster
+   */
+  static fallbackClusterEnd (text, index) {
+    var code = text.codePointAt (index);
+    index += code > 0xffff ? 2 : 1;
+
+    /* Regional indicators are paired up into flags */
+    if (EditorUnicode.isRegionalIndicator (code) && index < text.length) {
+      const next = text.codePointAt (index);
+      if (EditorUnicode.isRegionalIndicator (next)) {
+        index += 2;
+      }
+    }
+
+    while (index < text.length) {
+      const next = text.codePointAt (index);
+
+      if (code === 0x200d || EditorUnicode.isExtending (next)) {
+        code = next;
+        index += next > 0xffff ? 2 : 1;
+      } else break;
+    }
+
+    return index;
+  }
+
+  /**
+   * Test whether a code point extends the grapheme cluster before it.
+   *
+   * @param {number} code The code point to test
+   * @returns {boolean} Whether the code point is extending
+   */
+  static isExtending (code) {
+    return EditorUnicode.EXTENDING_RANGES.some (range => code >= range[0] && code <= range[1]);
+  }
+
+  /**
+   * Test whether a code point is a regional indicator symbol.
+   *
+   * @param {number} code The code point to test
+   * @returns {boolean} Whether the code point is a regional indicator
+   */
+  static isRegionalIndicator (code) {
+    return code >= 0x1f1e6 && code <= 0x1f1ff;
+  }
+
+  /**
+   * The `Intl.Segmenter` used to find grapheme clusters (or `null` if not available)
+   * @type {Intl.Segmenter?}
+   */
+  static segmenter = (typeof Intl !== "undefined" && Intl.Segmenter) ? new Intl.Segmenter (undefined, { granularity: "grapheme" }) : null;
+
+  /**
+   * Matches any code unit that may not be a grapheme cluster of its own (see {@link EditorUnicode.isSimple})
+   * @type {RegExp}
+   */
+  static COMPLEX = /[^\u0000-\u02ff]/;
+
+  /**
+   * The ranges of code points that extend a grapheme cluster, used when `Intl.Segmenter` is not
+   * available.
+   *
+   * This covers the common combining marks, the zero-width joiner and non-joiner, variation
+   * selectors, emoji modifiers and tag characters.
+   *
+   * @type {number[][]}
+   */
+  static EXTENDING_RANGES = [
+    [0x0300, 0x036f], [0x0483, 0x0489], [0x0591, 0x05bd], [0x05bf, 0x05c7], [0x0610, 0x061a],
+    [0x064b, 0x065f], [0x0670, 0x0670], [0x06d6, 0x06ed], [0x0900, 0x0903], [0x093a, 0x094f],
+    [0x0951, 0x0957], [0x0e31, 0x0e3a], [0x0e47, 0x0e4e], [0x1ab0, 0x1aff], [0x1dc0, 0x1dff],
+    [0x200c, 0x200d], [0x20d0, 0x20ff], [0x302a, 0x302f], [0x3099, 0x309a], [0xfe00, 0xfe0f],
+    [0xfe20, 0xfe2f], [0x1f3fb, 0x1f3ff], [0xe0020, 0xe007f], [0xe0100, 0xe01ef]
+  ];
+
+  /**
+   * The ranges of code points that are displayed at double width.
+   *
+   * This covers the East Asian wide and full-width characters along with the blocks of emoji
+   * that are displayed as emoji by default.
+   *
+   * @type {number[][]}
+   */
+  static WIDE_RANGES = [
+    [0x1100, 0x115f], [0x231a, 0x231b], [0x23e9, 0x23ec], [0x2614, 0x2615], [0x26a1, 0x26a1],
+    [0x26bd, 0x26be], [0x2705, 0x2705], [0x270a, 0x270b], [0x274c, 0x274c], [0x2753, 0x2755],
+    [0x2795, 0x2797], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2e80, 0x303e], [0x3041, 0x33ff],
+    [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f], [0xac00, 0xd7a3],
+    [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f], [0xff00, 0xff60], [0xffe0, 0xffe6],
+    [0x16fe0, 0x18aff], [0x1b000, 0x1b2ff], [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e],
+    [0x1f191, 0x1f19a], [0x1f1e6, 0x1f1ff], [0x1f200, 0x1f251], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff],
+    [0x1f7e0, 0x1f7eb], [0x1f90c, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x2fffd], [0x30000, 0x3fffd]
+  ];
+
+  /**
+   * The text that was most recently segmented by {@link EditorUnicode.boundaries}
+   * @type {string?}
+   */
+  static lastText = null;
+
+  /**
+   * The boundaries of the text that was most recently segmented (see {@link EditorUnicode.lookup})
+   * @type {number[]?}
+   */
+  static lastBoundaries = null;
+}
@@ -73,15 +73,43 @@ export class EditorViewMetrics {
    * @type {number}
    */
   get scrollTopLine () {
-    return Math.min (this.store.lines.length - 1, Math.max (0, Math.floor (this.scrollTop / this.lineHeight)));
+    const folds = this.store.folds;
+    const row   = Math.min (folds.rowCount - 1, Math.max (0, Math.floor (this.scrollTop / this.lineHeight)));
+
+    return folds.rowToLine (row);
   }
 
   /**
    * The index of the line at the bottom of the editor view
+   *
+   * Note that this may be past the last line of the document.
+   *
    * @type {number}
    */
   get scrollBottomLine () {
-    return this.scrollTopLine + (Math.ceil (this.viewHeight / this.lineHeight));
+    const folds = this.store.folds;
+    return folds.rowToLine (folds.lineToRow (this.scrollTopLine) + Math.ceil (this.viewHeight / this.lineHeight));
+  }
+
+  /**
+   * The height of the content of the view (the lines that are not hidden by folds)
+   * @type {number}
+   */
+  get contentHeight () {
+    return this.store.folds.rowCount * this.lineHeight;
+  }
+
+  /**
+   * Get the offset of the top of a line from the top of the content.
+   *
+   * Lines that are hidden by folds (see {@link EditorFoldCollection}) are not counted, so a hidden
+   * line has the same top as the line that starts the fold.
+   *
+   * @param {number} index The index of the line
+   * @returns {number} The top of the line
+   */
+  lineTop (index) {
+    return this.store.folds.lineToRow (index) * this.lineHeight;
   }
 
   /**
@@ -111,7 +139,7 @@ export class EditorViewMetrics {
    * @param {boolean} [center] Whether to center the view on the given line
    */
   scrollToLine (line, center) {
-    const offset = line * this.lineHeight;
+    const offset = this.lineTop (line);
 
     if (center) {
       this.scrollTo (offset - this.viewHeight / 2, true);
@@ -159,25 +187,36 @@ export class EditorViewMetrics {
   /**
    * Convert a client position (relative to the top-left of the view) to line and column indicies.
    *
+   * The left position is converted to a visual column, which is then mapped to the nearest
+   * column in the line, accounting for tabs and wide characters (see {@link EditorLine#columnAtVisual}).
+   *
    * @param {number} left The left position
    * @param {number} top  The top position
    * @returns {EditorPosition} The position within the editor
    */
   clientToIndices (left, top) {
-    return new EditorPosition (Math.floor (top / this.lineHeight), Math.round (left / this.charWidth));
+    const line_index = this.store.folds.rowToLine (Math.floor (top / this.lineHeight));
+    const line       = this.store.lines.get (line_index);
+    const visual     = left / this.charWidth;
+
+    return new EditorPosition (line_index, line ? line.columnAtVisual (visual) : Math.round (visual));
   }
 
   /**
    * Convert a position in the editor to a client position in the view.
    *
+   * The column of the position is converted to a visual column, accounting for tabs and wide
+   * characters (see {@link EditorLine#visualColumn}).
+   *
    * @param {EditorPosition} position The position to convert to a client location
    * @returns {object} An object with a `left` and `top` property relative to the view
    */
   indicesToClient (position) {
-    var result = { left: 0, top: 0 };
+    var   result = { left: 0, top: 0 };
+    const line   = this.store.lines.get (position.line);
 
-    result.left = position.column * this.charWidth;
-    result.top  = position.line * this.lineHeight;
+    result.left = (line ? line.visualColumn (position.column) : position.column) * this.charWidth;
+    result.top  = this.lineTop (position.line);
 
     return result;
   }
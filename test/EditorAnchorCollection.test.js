@@ -0,0 +1,78 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+describe ("EditorAnchorCollection", () => {
+  it ("moves an anchored position with the edits before it", () => {
+    const store    = new EditorStore ({}, "a\nb\nfoo bar");
+    const bookmark = store.anchors.createPosition (new EditorPosition (2, 4));
+
+    store.lines.replaceRegion (new EditorRegion (0, 0, 0, 0), "x\ny\n");
+    assert.equal (bookmark.toString (), new EditorPosition (4, 4).toString ());
+
+    store.lines.replaceRegion (new EditorRegion (4, 0, 4, 3), "quux");
+    assert.equal (bookmark.toString (), new EditorPosition (4, 5).toString ());
+
+    store.lines.replaceRegion (new EditorRegion (4, 6, 4, 6), "!");
+    assert.equal (bookmark.toString (), new EditorPosition (4, 5).toString ());
+  });
+
+  it ("places a position at an insertion according to its gravity", () => {
+    const store = new EditorStore ({}, "abcd");
+    const left  = store.anchors.createPosition (new EditorPosition (0, 2), "left");
+    const right = store.anchors.createPosition (new EditorPosition (0, 2), "right");
+
+    store.lines.replaceRegion (new EditorRegion (0, 2, 0, 2), "XY");
+    assert.equal (left.column, 2);
+    assert.equal (right.column, 4);
+  });
+
+  it ("does not grow a region when text is inserted at either end, by default", () => {
+    const store  = new EditorStore ({}, "abcdef");
+    const region = store.anchors.createRegion (new EditorRegion (0, 2, 0, 4));
+
+    store.applyEdits ([
+      { region: new EditorRegion (0, 2, 0, 2), text: "<" },
+      { region: new EditorRegion (0, 4, 0, 4), text: ">" }
+    ]);
+
+    assert.equal (store.getTextInRange (region), "cd");
+  });
+
+  it ("collapses a region whose text is removed", () => {
+    const store  = new EditorStore ({}, "one\ntwo\nthree");
+    const region = store.anchors.createRegion (new EditorRegion (1, 0, 1, 3));
+
+    store.lines.replaceRegion (new EditorRegion (0, 2, 2, 1), "");
+    assert.ok (region.empty);
+    assert.equal (region.toString (), new EditorRegion (0, 2, 0, 2).toString ());
+  });
+
+  it ("follows undo and redo", () => {
+    const store    = new EditorStore ({}, "abc");
+    const bookmark = store.anchors.createPosition (new EditorPosition (0, 2));
+
+    store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: "xx" } ]);
+    assert.equal (bookmark.column, 4);
+
+    store.history.undo ();
+    assert.equal (bookmark.column, 2);
+  });
+
+  it ("stops moving a released anchor", () => {
+    const store    = new EditorStore ({}, "abc");
+    const bookmark = store.anchors.createPosition (new EditorPosition (0, 2));
+
+    assert.ok (store.anchors.release (bookmark));
+    store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: "xx" } ]);
+    assert.equal (bookmark.column, 2);
+    assert.ok (!store.anchors.release (bookmark));
+  });
+
+  it ("rejects an invalid gravity", () => {
+    const store = new EditorStore ({}, "");
+
+    assert.throws (() => store.anchors.createPosition (new EditorPosition (0, 0), "up"), /Invalid anchor gravity/);
+  });
+});
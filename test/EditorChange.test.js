@@ -0,0 +1,70 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorChange } from "../src/EditorChange.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* Apply a change to a copy of the text, checking the text that it says it removed */
+function apply (text, change) {
+  const lines  = text.split ("\n");
+  const offset = position => lines.slice (0, position.line).reduce ((total, line) => total + line.length + 1, 0) + position.column;
+  const start  = offset (change.region.start);
+  const end    = offset (change.region.end);
+
+  assert.equal (text.substring (start, end), change.removed, "removed text of " + change.toString ());
+  return text.substring (0, start) + change.text + text.substring (end);
+}
+
+/* Keep a copy of the text of a store up to date from its change events alone */
+function mirror (store) {
+  const copy = { text: store.lines.getText () };
+
+  store.lines.LinesChanged.bindTo (copy, changes => changes.forEach (change => copy.text = apply (copy.text, change)));
+  store.lines.LineContentChanged.bindTo (copy, (line, change) => {
+    if (change) {
+      copy.text = apply (copy.text, change);
+    }
+  });
+
+  return copy;
+}
+
+describe ("EditorChange", () => {
+  it ("describes the edits of the store, so that another copy of the text can follow them", () => {
+    const store = new EditorStore ({}, "one\ntwo\nthree");
+    const copy  = mirror (store);
+
+    store.lines.replaceRegion (new EditorRegion (0, 1, 2, 2), "X\nY");
+    store.lines.replaceRegion (new EditorRegion (1, 1, 1, 1), "!");
+    store.applyEdits ([
+      { region: new EditorRegion (0, 0, 0, 0), text: "[" },
+      { region: new EditorRegion (1, 4, 1, 4), text: "]\n" }
+    ]);
+    store.history.undo ();
+    store.history.undo ();
+
+    assert.equal (copy.text, store.lines.getText ());
+  });
+
+  it ("gives the end of the inserted text and the number of lines added", () => {
+    const change = new EditorChange (new EditorRegion (1, 2, 3, 0), "ab\ncd", "x\ny\nz");
+
+    assert.ok (change.end.equals (new EditorPosition (2, 2)));
+    assert.equal (change.lineDelta, -1);
+  });
+
+  it ("transforms positions with gravity", () => {
+    const change = new EditorChange (new EditorRegion (0, 2, 0, 2), "foo", "");
+
+    assert.ok (change.transform (new EditorPosition (0, 2), "left").equals (new EditorPosition (0, 2)));
+    assert.ok (change.transform (new EditorPosition (0, 2), "right").equals (new EditorPosition (0, 5)));
+    assert.ok (change.transform (new EditorPosition (0, 4)).equals (new EditorPosition (0, 7)));
+    assert.ok (change.transform (new EditorPosition (0, 1)).equals (new EditorPosition (0, 1)));
+  });
+
+  it ("excludes the common prefix and suffix of a changed line", () => {
+    const change = EditorChange.fromLineContent (4, "hello world", "hello there world");
+
+    assert.equal (change.toString (), "[4:6,4:6] \"\" -> \"there \"");
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "assert";
+import { EditorClipboard } from "../src/EditorClipboard.js";
+
+/* A document with just enough of the DOM for the proxy element, which records what is copied */
+function fakeDocument () {
+  const doc = { copied: [], children: [], focused: 0 };
+
+  doc.activeElement = { focus: () => doc.focused++ };
+  doc.body = {
+    appendChild: element => { element.parentNode = doc.body; doc.children.push (element); },
+    removeChild: element => doc.children.splice (doc.children.indexOf (element), 1)
+  };
+
+  doc.createElement = () => ({ style: {}, setAttribute: () => {}, select: () => {} });
+  doc.execCommand   = command => {
+    doc.copied.push (doc.children[0].value);
+    return command === "copy";
+  };
+
+  return doc;
+}
+
+describe ("EditorClipboard", () => {
+  afterEach (() => {
+    delete global.document;
+    delete global.navigator;
+  });
+
+  it ("keeps the text that was written to it", () => {
+    const clipboard = new EditorClipboard ();
+
+    assert.equal (clipboard.read (), null);
+    clipboard.write ("text");
+    assert.equal (clipboard.read (), "text");
+  });
+
+  it ("does not copy to the system without a document", () => {
+    const clipboard = new EditorClipboard (true);
+
+    assert.ok (!clipboard.writeProxy ("text"));
+    assert.equal (clipboard.proxy, null);
+  });
+
+  it ("copies through a proxy element that is only in the document whilst copying", () => {
+    const clipboard = new EditorClipboard (true);
+
+    global.document = fakeDocument ();
+    clipboard.writeSystem ("text");
+
+    assert.deepEqual (document.copied, [ "text" ]);
+    assert.deepEqual (document.children, []);
+    assert.equal (document.focused, 1);
+    assert.equal (clipboard.proxy, null);
+  });
+
+  it ("uses the asynchronous Clipboard API where there is one", () => {
+    const clipboard = new EditorClipboard (true);
+    const written   = [];
+
+    global.navigator = { clipboard: { writeText: text => { written.push (text); return Promise.resolve (); } } };
+    clipboard.writeSystem ("text");
+    assert.deepEqual (written, [ "text" ]);
+  });
+
+  it ("falls back to the proxy element when the browser refuses to write", () => {
+    const clipboard = new EditorClipboard (true);
+
+    global.document  = fakeDocument ();
+    global.navigator = { clipboard: { writeText: () => Promise.reject (new Error ("Denied")) } };
+    clipboard.writeSystem ("text");
+
+    return Promise.resolve ().then (() => assert.deepEqual (document.copied, [ "text" ]));
+  });
+
+  it ("reads the clipboard of the system, or gives null when it cannot", () => {
+    const clipboard = new EditorClipboard (true);
+    const read      = [];
+
+    clipboard.readSystem (text => read.push (text));
+    assert.deepEqual (read, [ null ]);
+
+    global.navigator = { clipboard: { readText: () => Promise.resolve ("system") } };
+    clipboard.readSystem (text => read.push (text));
+
+    global.navigator = { clipboard: { readText: () => Promise.reject (new Error ("Denied")) } };
+    clipboard.readSystem (text => read.push (text));
+
+    return new Promise (resolve => setTimeout (resolve, 0)).then (() => assert.deepEqual (read, [ null, "system", null ]));
+  });
+});
@@ -0,0 +1,96 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* Type some text a character at a time, as the hidden text area passes it on */
+function type (store, text) {
+  Array.from (text).forEach (character => store.composition.input ("insertText", character));
+}
+
+describe ("EditorComposition", () => {
+  it ("inserts the text of a composition at every cursor once it is committed", () => {
+    const store = new EditorStore ({}, "a\nb");
+    const fired = [];
+
+    store.cursors.toggleCursorAt (new EditorPosition (1, 1));
+    store.composition.Changed.bindTo (null, () => fired.push (store.composition.text));
+
+    store.composition.start ();
+    store.composition.update ("に");
+    store.composition.update ("にほ");
+    assert.ok (store.composition.active);
+    assert.equal (store.lines.getText (), "a\nb");
+
+    store.composition.end ("日本");
+    assert.ok (!store.composition.active);
+    assert.equal (store.lines.getText (), "日本a\nb日本");
+    assert.deepEqual (fired, [ "", "に", "にほ", "" ]);
+  });
+
+  it ("commits the text of the composition when no text is given, and nothing when it is cancelled", () => {
+    const store = new EditorStore ({}, "");
+
+    store.composition.start ();
+    store.composition.update ("é");
+    store.composition.end ();
+
+    store.composition.start ();
+    store.composition.update ("x");
+    store.composition.cancel ();
+    store.composition.end ("");
+
+    assert.equal (store.lines.getText (), "é");
+  });
+
+  it ("leaves the input of a composition to the composition events", () => {
+    const store = new EditorStore ({}, "");
+
+    store.composition.start ();
+    assert.ok (!store.composition.input ("insertText", "x"));
+    assert.ok (!store.composition.input ("insertCompositionText", "x"));
+    assert.equal (store.lines.getText (), "");
+  });
+
+  it ("applies typed text and deletions to every cursor", () => {
+    const store = new EditorStore ({}, "ab\ncd");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.cursors.toggleCursorAt (new EditorPosition (1, 1));
+
+    type (store, "xyz");
+    assert.ok (store.composition.input ("deleteContentBackward", null));
+    assert.ok (store.composition.input ("deleteContentForward", null));
+    assert.ok (!store.composition.input ("historyUndo", null));
+
+    assert.equal (store.lines.getText (), "axy\ncxy");
+  });
+
+  it ("starts a new line with the indentation of the current line", () => {
+    const store = new EditorStore ({}, "  ab");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 3 });
+    assert.ok (store.composition.input ("insertParagraph", null));
+    assert.equal (store.lines.getText (), "  a\n  b");
+  });
+
+  it ("replaces the selection, and starts new lines at the line breaks of the text", () => {
+    const store = new EditorStore ({}, "one two");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 4 });
+    store.cursors.primary.setPosition ({ line: 0, column: 7 }, true);
+    store.composition.insert ("2\r\n3");
+
+    assert.equal (store.lines.getText (), "one 2\n3");
+  });
+
+  it ("undoes typing a word at a time", () => {
+    const store = new EditorStore ({}, "");
+
+    type (store, "one two");
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "one ");
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "");
+  });
+});
@@ -0,0 +1,93 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorConfigFile } from "../src/EditorConfigFile.js";
+
+const ROOT = [
+  "root = true",
+  "",
+  "[*]",
+  "end_of_line = lf",
+  "trim_trailing_whitespace = true",
+  "",
+  "[*.{js,jsx}]",
+  "indent_style = space",
+  "indent_size = 2",
+  "",
+  "[Makefile]",
+  "indent_style = tab",
+  "tab_width = 8",
+  "",
+  "[lib/**.js]",
+  "indent_size = 4"
+].join ("\n");
+
+describe ("EditorConfigFile", () => {
+  const file = new EditorConfigFile (ROOT, "/project");
+
+  it ("collects the properties of the sections that match a path", () => {
+    assert.deepEqual (file.getProperties ("/project/src/index.js"), {
+      end_of_line: "lf", trim_trailing_whitespace: "true", indent_style: "space", indent_size: "2"
+    });
+    assert.equal (file.getProperties ("/project/lib/a/b.js").indent_size, "4");
+    assert.equal (file.getProperties ("/project/sub/Makefile").indent_style, "tab");
+  });
+
+  it ("accepts paths relative to its directory, and ignores files outside of it", () => {
+    assert.equal (file.getProperties ("src/index.js").indent_size, "2");
+    assert.equal (file.getProperties ("./src/index.js").indent_size, "2");
+    assert.deepEqual (file.getProperties ("/elsewhere/index.js"), {});
+  });
+
+  it ("lets nearer files override the properties of the files above them", () => {
+    const nested     = new EditorConfigFile ("[*.js]\nindent_size = 8\n", "/project/src");
+    const properties = EditorConfigFile.resolve ([ file, nested ], "/project/src/index.js");
+
+    assert.equal (properties.indent_size, "8");
+    assert.equal (properties.end_of_line, "lf");
+  });
+
+  it ("converts the properties to the configuration of a store", () => {
+    assert.deepEqual (EditorConfigFile.toConfig (file.getProperties ("/project/Makefile")), {
+      softTabs: false, tabSize: 8, lineEnding: "lf", trimTrailingWhitespace: true
+    });
+    assert.deepEqual (EditorConfigFile.toConfig ({ indent_size: "tab", insert_final_newline: "false" }), { insertFinalNewline: false });
+  });
+
+  it ("matches globs with ranges, sets and alternatives", () => {
+    const glob = EditorConfigFile.compileGlob ("file{1..3}.[ch]");
+
+    assert.ok (glob ("file2.c"));
+    assert.ok (glob ("dir/file3.h"));
+    assert.ok (!glob ("file4.c"));
+    assert.ok (!glob ("file1.o"));
+  });
+});
+
+describe ("EditorStore#applySaveRules", () => {
+  /* Apply the save rules to some text, with the rules given in the configuration */
+  function save (text, config) {
+    return new EditorStore (config, text).applySaveRules ();
+  }
+
+  it ("trims trailing whitespace and adds a final newline", () => {
+    assert.equal (save ("a  \nb\t", { trimTrailingWhitespace: true, insertFinalNewline: true }), "a\nb\n");
+    assert.equal (save ("a\n", { insertFinalNewline: true }), "a\n");
+  });
+
+  it ("removes the line breaks at the end, with any whitespace-only lines", () => {
+    const rules = { trimTrailingWhitespace: true, insertFinalNewline: false };
+
+    assert.equal (save ("foo\n   ", rules), "foo");
+    assert.equal (save ("foo  \n \n\t\n", rules), "foo");
+    assert.equal (save ("  \n", rules), "");
+    assert.equal (save ("foo\n  \n", { insertFinalNewline: false }), "foo\n  ");
+  });
+
+  it ("saves the text with its line endings, as a single undoable step", () => {
+    const store = new EditorStore ({ trimTrailingWhitespace: true }, "a \r\nb ");
+
+    assert.equal (store.applySaveRules (), "a\r\nb");
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "a \r\nb ");
+  });
+});
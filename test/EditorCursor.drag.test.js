@@ -0,0 +1,69 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+const TEXT = "one two three\nfour five";
+
+/* The selected region of a cursor, and its position */
+function state (cursor) {
+  return [ cursor.selection ? cursor.selection.region.toString () : null, cursor.position.line + ":" + cursor.position.column ];
+}
+
+describe ("EditorCursor mouse selection", () => {
+  it ("extends the selection to a position, as on Shift+click", () => {
+    const store  = new EditorStore ({}, TEXT);
+    const cursor = store.cursors.primary;
+
+    cursor.setPosition ({ line: 0, column: 4 });
+    cursor.setPosition ({ line: 1, column: 2 }, true);
+    cursor.setPosition ({ line: 0, column: 1 }, true);
+    assert.deepEqual (state (cursor), [ "[0:1,0:4]", "0:1" ]);
+  });
+
+  it ("gives the region of the character, word or line at a position", () => {
+    const cursor = new EditorStore ({}, TEXT).cursors.primary;
+
+    assert.equal (cursor.getUnitRegion (new EditorPosition (0, 5), "word").toString (), "[0:4,0:7]");
+    assert.equal (cursor.getUnitRegion (new EditorPosition (0, 5), "line").toString (), "[0:0,1:0]");
+    assert.equal (cursor.getUnitRegion (new EditorPosition (1, 5), "line").toString (), "[1:0,1:9]");
+    assert.equal (cursor.getUnitRegion (new EditorPosition (5, 0)).toString (), "[1:9,1:9]");
+    assert.equal (cursor.getUnitRegion (new EditorPosition (-1, 3)).toString (), "[0:0,0:0]");
+  });
+
+  it ("drags a selection by character, by word and by line", () => {
+    const cursor = new EditorStore ({}, TEXT).cursors.primary;
+    const word   = cursor.getUnitRegion (new EditorPosition (0, 5), "word");
+
+    cursor.dragSelection (cursor.getUnitRegion (new EditorPosition (0, 2)), new EditorPosition (1, 1));
+    assert.deepEqual (state (cursor), [ "[0:2,1:1]", "1:1" ]);
+
+    cursor.dragSelection (word, new EditorPosition (0, 10), "word");
+    assert.deepEqual (state (cursor), [ "[0:4,0:13]", "0:13" ]);
+
+    cursor.dragSelection (word, new EditorPosition (0, 1), "word");
+    assert.deepEqual (state (cursor), [ "[0:0,0:7]", "0:0" ]);
+
+    cursor.dragSelection (cursor.getUnitRegion (new EditorPosition (1, 2), "line"), new EditorPosition (0, 5), "line");
+    assert.deepEqual (state (cursor), [ "[0:0,1:9]", "0:0" ]);
+  });
+
+  it ("adds and removes cursors, as on Alt+click", () => {
+    const store   = new EditorStore ({}, TEXT);
+    const cursors = store.cursors;
+
+    const added = cursors.toggleCursorAt (new EditorPosition (1, 2));
+    assert.ok (added);
+    assert.equal (cursors.secondary.length, 1);
+
+    assert.equal (cursors.toggleCursorAt (new EditorPosition (1, 2)), null);
+    assert.equal (cursors.secondary.length, 0);
+
+    cursors.toggleCursorAt (new EditorPosition (1, 4));
+    cursors.toggleCursorAt (new EditorPosition (0, 0));
+    assert.equal (cursors.secondary.length, 0);
+    assert.deepEqual (state (cursors.primary), [ null, "1:4" ]);
+
+    assert.equal (cursors.toggleCursorAt (new EditorPosition (1, 4)), null);
+    assert.deepEqual (state (cursors.primary), [ null, "1:4" ]);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* A store with a box selected between two corners (given as line and visual column) */
+function boxed (text, anchor, head) {
+  const store = new EditorStore ({ softTabs: false, tabSize: 4, detectIndentation: false }, text);
+
+  store.cursors.selectBox (new EditorPosition (anchor[0], anchor[1]), new EditorPosition (head[0], head[1]));
+  return store;
+}
+
+/* The selected text of each cursor, from the first to the last */
+function selected (store) {
+  return store.cursors.getSorted ().map (cursor => cursor.selection ? store.getTextInRange (cursor.selection.region) : "");
+}
+
+describe ("EditorCursorCollection box selection", () => {
+  it ("selects the same columns on each line, with a cursor on each line", () => {
+    const store = boxed ("abcdef\nabcdef\nabcdef", [ 0, 1 ], [ 2, 3 ]);
+
+    assert.deepEqual (selected (store), [ "bc", "bc", "bc" ]);
+    assert.equal (store.cursors.primary.position.line, 2);
+  });
+
+  it ("selects by visual column on lines with tabs", () => {
+    const store = boxed ("\tab\n1234ab", [ 0, 4 ], [ 1, 6 ]);
+
+    assert.deepEqual (selected (store), [ "ab", "ab" ]);
+  });
+
+  it ("types into the box column-wise, filling the virtual space of short lines", () => {
+    const store = boxed ("abc\na\nabcdef", [ 0, 2 ], [ 2, 4 ]);
+
+    store.composition.insert ("X");
+    assert.equal (store.lines.getText (), "abX\na X\nabXef");
+  });
+
+  it ("keeps the cursors of lines that end before the box at its left side", () => {
+    const store = boxed ("abcdef\n\nabcdef", [ 0, 4 ], [ 2, 2 ]);
+    const short = store.cursors.getSorted ()[1];
+
+    assert.equal (short.selection, null);
+    assert.equal (short.virtualSpace, 2);
+  });
+
+  it ("copies and cuts the text of the box, and nothing from the lines that end before it", () => {
+    const store = boxed ("abc\na\nabcdef", [ 0, 1 ], [ 2, 3 ]);
+
+    assert.equal (store.cursors.copy (), "bc\n\nbc");
+    assert.equal (store.cursors.copy (true), "bc\n\nbc");
+    assert.equal (store.lines.getText (), "a\na\nadef");
+  });
+
+  it ("deletes the text of the box, and only the virtual space of the lines that end before it", () => {
+    const store = boxed ("abc\n\nabcdef", [ 0, 1 ], [ 2, 3 ]);
+
+    store.cursors.forEach (cursor => cursor.deleteBackwards (1));
+    assert.equal (store.lines.getText (), "a\n\nadef");
+  });
+
+  it ("grows the box from the keyboard, and forgets it once the cursors move", () => {
+    const store = new EditorStore ({}, "abcd\nabcd\nabcd");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.cursors.moveBox (1, 2);
+    store.cursors.moveBox (1, 0);
+    assert.deepEqual (selected (store), [ "bc", "bc", "bc" ]);
+
+    store.cursors.primary.moveLeft (1);
+    assert.equal (store.cursors.box, null);
+  });
+});
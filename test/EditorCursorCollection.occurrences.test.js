@@ -0,0 +1,76 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+
+/* The selected text of each cursor, from the first to the last */
+function selections (store) {
+  return store.cursors.getSorted ().map (cursor => cursor.selection.region.toString ());
+}
+
+/* A store with a cursor at a position */
+function storeAt (text, line, column) {
+  const store = new EditorStore ({}, text);
+
+  store.cursors.primary.setPosition ({ line: line, column: column });
+  return store;
+}
+
+describe ("EditorCursorCollection occurrences", () => {
+  it ("selects the word at the cursor, and then the next whole-word occurrences of it", () => {
+    const store = storeAt ("foo food foo\nfoo", 0, 1);
+
+    assert.ok (store.cursors.selectNextOccurrence ());
+    assert.deepEqual (selections (store), [ "[0:0,0:3]" ]);
+
+    assert.ok (store.cursors.selectNextOccurrence ());
+    assert.ok (store.cursors.selectNextOccurrence ());
+    assert.deepEqual (selections (store), [ "[0:0,0:3]", "[0:9,0:12]", "[1:0,1:3]" ]);
+    assert.ok (!store.cursors.selectNextOccurrence ());
+  });
+
+  it ("matches inside words when the text was selected by the user", () => {
+    const store = storeAt ("foo food", 0, 0);
+
+    store.cursors.primary.setPosition ({ line: 0, column: 3 }, true);
+    store.cursors.selectNextOccurrence ();
+    assert.deepEqual (selections (store), [ "[0:0,0:3]", "[0:4,0:7]" ]);
+  });
+
+  it ("wraps around to the start of the document", () => {
+    const store = storeAt ("ab ab ab", 0, 4);
+
+    store.cursors.selectNextOccurrence ();
+    store.cursors.selectNextOccurrence ();
+    store.cursors.selectNextOccurrence ();
+    assert.deepEqual (selections (store), [ "[0:0,0:2]", "[0:3,0:5]", "[0:6,0:8]" ]);
+  });
+
+  it ("skips an occurrence by moving the last selection on to the next one", () => {
+    const store = storeAt ("xx yy xx yy xx", 0, 1);
+
+    store.cursors.selectNextOccurrence ();
+    store.cursors.selectNextOccurrence ();
+    assert.ok (store.cursors.skipOccurrence ());
+    assert.deepEqual (selections (store), [ "[0:0,0:2]", "[0:12,0:14]" ]);
+  });
+
+  it ("selects every occurrence at once", () => {
+    const store = storeAt ("let ab = ab + abc;\nab", 0, 5);
+
+    assert.ok (store.cursors.selectAllOccurrences ());
+    assert.deepEqual (selections (store), [ "[0:4,0:6]", "[0:9,0:11]", "[1:0,1:2]" ]);
+  });
+
+  it ("forgets the word once the cursors are changed in another way", () => {
+    const store = storeAt ("foo food", 0, 1);
+
+    store.cursors.selectNextOccurrence ();
+    assert.equal (store.cursors.occurrenceWord, "foo");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 0 });
+    store.cursors.primary.setPosition ({ line: 0, column: 3 }, true);
+    assert.equal (store.cursors.occurrenceWord, null);
+
+    store.cursors.selectNextOccurrence ();
+    assert.deepEqual (selections (store), [ "[0:0,0:3]", "[0:4,0:7]" ]);
+  });
+});
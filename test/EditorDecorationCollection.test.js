@@ -0,0 +1,79 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+/* The columns and classes of the decorated ranges of a line */
+function ranges (store, index) {
+  return store.decorations.getLineDecorations (index).map (range => [ range.start, range.end, range.className ]);
+}
+
+describe ("EditorDecorationCollection", () => {
+  it ("gives the decorated ranges of each line, with multi-line decorations covering whole lines", () => {
+    const store = new EditorStore ({}, "one\ntwo\nthree");
+
+    store.decorations.add ("spelling", new EditorRegion (0, 1, 2, 2), "squiggly");
+    store.decorations.add ("search", new EditorRegion (1, 0, 1, 2), "match");
+
+    assert.deepEqual (ranges (store, 0), [ [ 1, 3, "squiggly" ] ]);
+    assert.deepEqual (ranges (store, 1), [ [ 0, 3, "squiggly" ], [ 0, 2, "match" ] ]);
+    assert.deepEqual (ranges (store, 2), [ [ 0, 2, "squiggly" ] ]);
+  });
+
+  it ("leaves out empty ranges", () => {
+    const store = new EditorStore ({}, "abc\ndef");
+
+    store.decorations.add ("owner", new EditorRegion (0, 3, 1, 0), "empty");
+    store.decorations.add ("owner", new EditorRegion (0, 1, 0, 1), "empty");
+
+    assert.deepEqual (ranges (store, 0), []);
+    assert.deepEqual (ranges (store, 1), []);
+  });
+
+  it ("moves decorations with the text as it is edited", () => {
+    const store = new EditorStore ({}, "hello world");
+
+    store.decorations.add ("spelling", new EditorRegion (0, 6, 0, 11), "squiggly");
+    store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: "well\n" } ]);
+
+    assert.deepEqual (ranges (store, 0), []);
+    assert.deepEqual (ranges (store, 1), [ [ 6, 11, "squiggly" ] ]);
+  });
+
+  it ("removes single decorations, or clears the layer of an owner", () => {
+    const store = new EditorStore ({}, "abc");
+    const first = store.decorations.add ("a", new EditorRegion (0, 0, 0, 1), "one");
+
+    store.decorations.add ("a", new EditorRegion (0, 1, 0, 2), "two");
+    store.decorations.add ("b", new EditorRegion (0, 2, 0, 3), "three");
+
+    assert.ok (store.decorations.remove (first));
+    assert.ok (!store.decorations.remove (first));
+    assert.equal (store.decorations.getLayer ("a").length, 1);
+
+    store.decorations.clear ("a");
+    assert.deepEqual (store.decorations.getLayer ("a"), []);
+    assert.deepEqual (ranges (store, 0), [ [ 2, 3, "three" ] ]);
+
+    store.decorations.clear ();
+    assert.deepEqual (ranges (store, 0), []);
+  });
+
+  it ("fires an event with the lines whose decorations changed", () => {
+    const store = new EditorStore ({}, "a\nb\nc\nd");
+    const fired = [];
+
+    store.decorations.Changed.bindTo (null, (first, last) => fired.push ([ first, last ]));
+    store.decorations.add ("x", new EditorRegion (1, 0, 2, 1), "one");
+    store.decorations.add ("y", new EditorRegion (3, 0, 3, 1), "two");
+    store.decorations.clear ();
+    store.decorations.clear ();
+
+    assert.deepEqual (fired, [ [ 1, 2 ], [ 3, 3 ], [ 1, 3 ] ]);
+  });
+
+  it ("rejects invalid regions", () => {
+    const store = new EditorStore ({}, "abc");
+
+    assert.throws (() => store.decorations.add ("x", new EditorRegion (0, 0, 4, 0), "bad"), /Invalid decoration region/);
+  });
+});
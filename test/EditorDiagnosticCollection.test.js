@@ -0,0 +1,79 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* A store with an error, a warning and a hint from a linter */
+function linted () {
+  const store = new EditorStore ({}, "let a = 1\nlet b = 2\nlet c = 3");
+
+  store.setDiagnostics ("lint", [
+    { region: new EditorRegion (2, 4, 2, 5), severity: "hint",    message: "Unused" },
+    { region: new EditorRegion (0, 4, 0, 5), severity: "warning", message: "Prefer const" },
+    { region: new EditorRegion (0, 4, 0, 9), severity: "error",   message: "Redeclared" }
+  ]);
+
+  return store;
+}
+
+/* The messages of some diagnostics */
+function messages (diagnostics) {
+  return diagnostics.map (diagnostic => diagnostic.message);
+}
+
+describe ("EditorDiagnosticCollection", () => {
+  it ("orders the diagnostics by position, and then by severity", () => {
+    const store = linted ();
+
+    assert.deepEqual (messages (store.diagnostics.getAll ()), [ "Redeclared", "Prefer const", "Unused" ]);
+    assert.deepEqual (messages (store.diagnostics.getLineDiagnostics (0)), [ "Redeclared", "Prefer const" ]);
+    assert.deepEqual (messages (store.diagnostics.getLineDiagnostics (1)), []);
+  });
+
+  it ("finds the diagnostics at a position", () => {
+    const store = linted ();
+
+    assert.deepEqual (messages (store.diagnostics.getAt (new EditorPosition (0, 4))), [ "Redeclared", "Prefer const" ]);
+    assert.deepEqual (messages (store.diagnostics.getAt (new EditorPosition (0, 7))), [ "Redeclared" ]);
+  });
+
+  it ("finds the next and previous diagnostics, wrapping around the document", () => {
+    const store = linted ();
+
+    assert.equal (store.diagnostics.findNext (new EditorPosition (1, 0)).message, "Unused");
+    assert.equal (store.diagnostics.findNext (new EditorPosition (2, 6)).message, "Redeclared");
+    assert.equal (store.diagnostics.findPrevious (new EditorPosition (2, 0)).message, "Prefer const");
+    assert.equal (store.diagnostics.findPrevious (new EditorPosition (0, 0)).message, "Unused");
+  });
+
+  it ("underlines the diagnostics, widening an empty region to the next character", () => {
+    const store = new EditorStore ({}, "abc");
+
+    store.setDiagnostics ("lint", [ { region: new EditorRegion (0, 1, 0, 1), severity: "error", message: "Here" } ]);
+
+    assert.deepEqual (store.decorations.getLineDecorations (0).map (range => [ range.start, range.end, range.className ]),
+                      [ [ 1, 2, "diagnostic error" ] ]);
+  });
+
+  it ("replaces and clears the diagnostics of one owner at a time", () => {
+    const store = linted ();
+    const fired = [];
+
+    store.diagnostics.Changed.bindTo (null, owner => fired.push (owner));
+    store.setDiagnostics ("types", [ { region: new EditorRegion (1, 0, 1, 3), severity: "info", message: "Type" } ]);
+    store.setDiagnostics ("lint", []);
+    assert.deepEqual (messages (store.diagnostics.getAll ()), [ "Type" ]);
+
+    store.diagnostics.clear ();
+    assert.deepEqual (store.diagnostics.getAll (), []);
+    assert.deepEqual (store.decorations.getLineDecorations (1), []);
+    assert.deepEqual (fired, [ "types", "lint", null ]);
+  });
+
+  it ("rejects invalid regions and severities", () => {
+    const store = new EditorStore ({}, "abc");
+
+    assert.throws (() => store.setDiagnostics ("x", [ { region: new EditorRegion (1, 0, 1, 1), severity: "error", message: "" } ]), /Invalid region/);
+    assert.throws (() => store.setDiagnostics ("x", [ { region: new EditorRegion (0, 0, 0, 1), severity: "fatal", message: "" } ]), /Invalid severity/);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+const CODE = "if (x) {\n  a ();\n  if (y) {\n    b ();\n  }\n}\nc ();";
+
+describe ("EditorFoldCollection", () => {
+  it ("hides the indentation block that follows a line", () => {
+    const store = new EditorStore ({}, CODE);
+
+    assert.ok (store.folds.fold (0));
+    assert.ok (!store.folds.fold (0));
+    assert.ok (!store.folds.fold (6));
+
+    assert.deepEqual (store.folds.getHiddenRanges (), [ { first: 1, last: 4 } ]);
+    assert.ok (store.folds.isHidden (3));
+    assert.ok (!store.folds.isHidden (5));
+    assert.equal (store.folds.rowCount, 3);
+  });
+
+  it ("converts between lines and rows", () => {
+    const store = new EditorStore ({}, CODE);
+
+    store.folds.fold (2);
+    assert.equal (store.folds.lineToRow (3), 2);
+    assert.equal (store.folds.lineToRow (4), 3);
+    assert.equal (store.folds.rowToLine (3), 4);
+    assert.equal (store.folds.offsetLine (2, 1), 4);
+    assert.equal (store.folds.offsetLine (4, -1), 2);
+  });
+
+  it ("folds the innermost block around a line, and keeps nested folds when unfolding", () => {
+    const store = new EditorStore ({}, CODE);
+
+    assert.ok (store.folds.foldAt (3));
+    assert.ok (store.folds.isFolded (2));
+
+    store.folds.foldAll ();
+    assert.equal (store.folds.length, 2);
+    assert.ok (store.folds.unfoldAt (1));
+    assert.ok (!store.folds.isFolded (0));
+    assert.ok (store.folds.isHidden (3));
+
+    assert.ok (store.folds.unfoldAt (3));
+    assert.ok (!store.folds.isFolded (2));
+
+    store.folds.unfoldAll ();
+    assert.equal (store.folds.rowCount, 7);
+  });
+
+  it ("moves the cursors off the lines that are hidden, and unfolds when a cursor moves onto them", () => {
+    const store  = new EditorStore ({}, CODE);
+    const cursor = store.cursors.primary;
+
+    cursor.setPosition ({ line: 3, column: 2 });
+    store.folds.fold (2);
+    assert.deepEqual ([ cursor.position.line, cursor.position.column ], [ 2, 10 ]);
+
+    cursor.moveDown (1);
+    assert.equal (cursor.position.line, 4);
+    assert.ok (store.folds.isFolded (2));
+
+    cursor.setPosition ({ line: 3, column: 0 });
+    assert.ok (!store.folds.isFolded (2));
+  });
+
+  it ("moves folds with the text, and unfolds when the hidden text is edited", () => {
+    const store = new EditorStore ({}, CODE);
+    const fired = [];
+
+    store.folds.Changed.bindTo (null, () => fired.push ("changed"));
+    store.folds.fold (2);
+
+    store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: "// comment\n" } ]);
+    assert.ok (store.folds.isFolded (3));
+
+    store.applyEdits ([ { region: new EditorRegion (4, 4, 4, 5), text: "c" } ]);
+    assert.equal (store.folds.length, 0);
+    assert.deepEqual (fired, [ "changed", "changed" ]);
+  });
+});
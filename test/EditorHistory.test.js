@@ -0,0 +1,78 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+/* Type text at every cursor, as the composition does for each key */
+function type (store, text) {
+  store.transact (() => store.composition.insert (text));
+}
+
+describe ("EditorHistory", () => {
+  it ("undoes and redoes an edit, restoring the cursors", () => {
+    const store = new EditorStore ({}, "hello");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 5 });
+    type (store, " world");
+    assert.equal (store.lines.getText (), "hello world");
+
+    assert.ok (store.history.undo ());
+    assert.equal (store.lines.getText (), "hello");
+    assert.equal (store.cursors.primary.position.column, 5);
+
+    assert.ok (store.history.redo ());
+    assert.equal (store.lines.getText (), "hello world");
+    assert.equal (store.cursors.primary.position.column, 11);
+  });
+
+  it ("does not undo the initial text", () => {
+    const store = new EditorStore ({}, "one\ntwo");
+
+    assert.ok (!store.history.canUndo);
+    assert.ok (!store.history.undo ());
+    assert.equal (store.lines.getText (), "one\ntwo");
+  });
+
+  it ("undoes typing a word at a time", () => {
+    const store = new EditorStore ({}, "");
+
+    "foo bar".split ("").forEach (c => type (store, c));
+    assert.equal (store.lines.getText (), "foo bar");
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "foo ");
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "");
+  });
+
+  it ("records a group of edits as a single step", () => {
+    const store = new EditorStore ({}, "a\nb\nc");
+
+    store.history.group (() => {
+      store.lines.replaceRegion (new EditorRegion (0, 0, 0, 1), "x");
+      store.lines.replaceRegion (new EditorRegion (2, 0, 2, 1), "z");
+    });
+
+    assert.equal (store.lines.getText (), "x\nb\nz");
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "a\nb\nc");
+  });
+
+  it ("clears the redo stack after a new edit", () => {
+    const store = new EditorStore ({}, "a");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    type (store, "b");
+    store.history.undo ();
+    type (store, "c");
+
+    assert.ok (!store.history.canRedo);
+    assert.equal (store.lines.getText (), "ac");
+  });
+
+  it ("keeps no more steps than the undo limit", () => {
+    const store = new EditorStore ({ undoLimit: 2 }, "");
+
+    [ "a", "b", "c" ].forEach (text => store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: text } ]));
+    assert.equal (store.history.undoStack.length, 2);
+  });
+});
@@ -0,0 +1,42 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorLine } from "../src/EditorLine.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+describe ("EditorLine visual columns", () => {
+  it ("extends a tab to the next tab stop", () => {
+    assert.equal (EditorLine.visualColumnOf ("a\tb", 2, 4), 4);
+    assert.equal (EditorLine.visualColumnOf ("a\tb", 3, 4), 5);
+    assert.equal (EditorLine.visualColumnOf ("\t\tx", 2, 2), 4);
+  });
+
+  it ("counts wide characters as two columns and clusters as one", () => {
+    assert.equal (EditorLine.visualColumnOf ("日本x", 2, 4), 4);
+    assert.equal (EditorLine.visualColumnOf ("😀x", 2, 4), 2);
+    assert.equal (EditorLine.visualColumnOf ("e\u0301x", 2, 4), 1);
+  });
+
+  it ("maps a visual column back to the nearest column", () => {
+    assert.equal (EditorLine.columnAtVisualOf ("a\tb", 1.5, 4), 1);
+    assert.equal (EditorLine.columnAtVisualOf ("a\tb", 3, 4), 2);
+    assert.equal (EditorLine.columnAtVisualOf ("a\tb", 5, 4), 3);
+    assert.equal (EditorLine.columnAtVisualOf ("日本", 2.6, 4), 1);
+    assert.equal (EditorLine.columnAtVisualOf ("日本", 3.2, 4), 2);
+    assert.equal (EditorLine.columnAtVisualOf ("ab", 10, 4), 2);
+  });
+
+  it ("maps between client positions and columns in the view", () => {
+    const store   = new EditorStore ({ tabSize: 4, detectIndentation: false }, "\tx\n日本x");
+    const metrics = store.viewMetrics;
+
+    metrics.setCharWidth (10);
+    metrics.setLineHeight (20);
+
+    assert.equal (metrics.indicesToClient (new EditorPosition (0, 1)).left, 40);
+    assert.equal (metrics.indicesToClient (new EditorPosition (1, 2)).left, 40);
+    assert.ok (metrics.clientToIndices (41, 5).equals (new EditorPosition (0, 1)));
+    assert.ok (metrics.clientToIndices (42, 25).equals (new EditorPosition (1, 2)));
+    assert.ok (metrics.clientToIndices (8, 25).equals (new EditorPosition (1, 0)));
+    assert.ok (metrics.clientToIndices (12, 25).equals (new EditorPosition (1, 1)));
+  });
+});
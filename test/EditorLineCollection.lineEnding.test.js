@@ -0,0 +1,48 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorLineCollection } from "../src/EditorLineCollection.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+describe ("EditorLineCollection line endings", () => {
+  it ("detects the most common line ending, and whether they are mixed", () => {
+    assert.deepEqual (EditorLineCollection.detectLineEnding ("a\r\nb\r\nc\nd"), { lineEnding: "crlf", mixed: true });
+    assert.deepEqual (EditorLineCollection.detectLineEnding ("a\rb"), { lineEnding: "cr", mixed: false });
+    assert.deepEqual (EditorLineCollection.detectLineEnding ("a"), { lineEnding: null, mixed: false });
+  });
+
+  it ("gives the text back with the line endings it was loaded with", () => {
+    const store = new EditorStore ({}, "one\r\ntwo\r\nthree");
+
+    assert.equal (store.lines.length, 3);
+    assert.equal (store.lines.lineEnding, "crlf");
+    assert.equal (store.config.lineEnding, "crlf");
+
+    store.applyEdits ([ { region: new EditorRegion (1, 3, 1, 3), text: "\nmore" } ]);
+    assert.equal (store.lines.getText (), "one\r\ntwo\r\nmore\r\nthree");
+  });
+
+  it ("gives mixed line endings in the most common style, and flags them", () => {
+    const store = new EditorStore ({}, "a\nb\r\nc\r\nd");
+
+    assert.ok (store.lines.mixedLineEndings);
+    assert.equal (store.lines.getText (), "a\r\nb\r\nc\r\nd");
+  });
+
+  it ("keeps a line ending that was set over the text that is loaded later", () => {
+    const store = new EditorStore ({}, "a\r\nb");
+
+    store.lines.setLineEnding ("cr");
+    assert.equal (store.config.lineEnding, "cr");
+    assert.ok (!store.lines.mixedLineEndings);
+
+    store.lines.setText ("x\ny");
+    assert.equal (store.lines.getText (), "x\ry");
+  });
+
+  it ("uses the line ending of the configuration", () => {
+    const store = new EditorStore ({ lineEnding: "crlf" }, "a\nb");
+
+    assert.equal (store.lines.getText (), "a\r\nb");
+    assert.throws (() => store.lines.setLineEnding ("nl"));
+  });
+});
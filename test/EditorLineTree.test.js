@@ -0,0 +1,82 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorLine } from "../src/EditorLine.js";
+import { EditorLineTree } from "../src/EditorLineTree.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+/* Count the lines of a tree that have been turned into EditorLine instances */
+function materialized (tree) {
+  var count = 0;
+
+  for (var leaf = EditorLineTree.firstLeaf (tree.root); leaf; leaf = EditorLineTree.nextLeaf (leaf)) {
+    count += leaf.entries.filter (entry => entry instanceof EditorLine).length;
+  }
+
+  return count;
+}
+
+/* A document with a number of lines, each of which says which line it is */
+function document (count) {
+  const lines = [];
+
+  for (var index = 0; index < count; index++) {
+    lines.push ("line " + index + "  ");
+  }
+
+  return lines;
+}
+
+describe ("EditorLineTree", () => {
+  it ("only creates line objects for the lines that are asked for", () => {
+    const store  = new EditorStore ({}, document (5000).join ("\n"));
+    const before = materialized (store.lines.tree);
+
+    assert.ok (before < 10);
+    assert.equal (store.lines.getContent (4000), "line 4000  ");
+    assert.equal (materialized (store.lines.tree), before);
+
+    store.lines.get (4000);
+    assert.equal (materialized (store.lines.tree), before + 1);
+  });
+
+  it ("does not create line objects when the save rules walk the document", () => {
+    const lines  = document (5000).map ((line, index) => index === 4999 ? line : line.trim ());
+    const store  = new EditorStore ({ trimTrailingWhitespace: true }, lines.join ("\n"));
+    const before = materialized (store.lines.tree);
+
+    store.applySaveRules ();
+    assert.equal (store.lines.getContent (4999), "line 4999");
+    assert.ok (materialized (store.lines.tree) - before <= 1);
+  });
+
+  it ("keeps the lines, their indices and their offsets in step with the edits", () => {
+    const model = document (3000);
+    const store = new EditorStore ({}, model.join ("\n"));
+    const held  = store.lines.get (2500);
+    var   seed  = 7;
+    const random = limit => (seed = (seed * 1103515245 + 12345) % 2147483648) % limit;
+
+    for (var step = 0; step < 200; step++) {
+      const line  = random (model.length);
+      const count = Math.min (model.length - line - 1, random (80));
+
+      if (random (2) === 0) {
+        const inserted = document (random (150));
+        store.lines.replaceRegion (new EditorRegion (line, 0, line, 0), inserted.map (text => text + "\n").join (""));
+        model.splice.apply (model, [ line, 0 ].concat (inserted));
+      } else if (count > 0 && !(line <= held.index && held.index <= line + count)) {
+        store.lines.replaceRegion (new EditorRegion (line, 0, line + count, 0), "");
+        model.splice (line, count);
+      }
+    }
+
+    assert.equal (store.lines.length, model.length);
+    assert.equal (store.lines.getText (), model.join ("\n"));
+    assert.equal (held.content, "line 2500  ");
+    assert.equal (model[held.index], "line 2500  ");
+
+    const offset = model.slice (0, 1234).join ("\n").length + 1;
+    assert.equal (store.lines.tree.offsetOf (1234), offset);
+    assert.equal (store.lines.tree.indexAtOffset (offset), 1234);
+  });
+});
@@ -0,0 +1,140 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+import { EditorClipboardHistory } from "../src/EditorClipboardHistory.js";
+
+/* A store with its own clipboard history, holding some entries (the last of which is the newest) */
+function storeWith (text, entries, history) {
+  const store = new EditorStore ({ clipboardHistory: history || new EditorClipboardHistory () }, text);
+
+  (entries || []).forEach (entry => store.clipboardHistory.push (entry));
+  store.cursors.primary.setPosition ({ line: 0, column: text.length });
+  return store;
+}
+
+describe ("EditorClipboardHistory", () => {
+  it ("keeps the newest entries first, without duplicates, up to its limit", () => {
+    const history = new EditorClipboardHistory (3);
+
+    [ "a", "b", "c", "a", "", "d" ].forEach (text => history.push (text));
+    assert.deepEqual (history.entries, [ "d", "a", "c" ]);
+    assert.equal (history.indexOf ("c"), 2);
+    assert.equal (history.get (3), null);
+  });
+
+  it ("previews the first line of an entry that is not blank", () => {
+    assert.equal (EditorClipboardHistory.preview ("\n   if (x) {\n  y ();\n}"), "if (x) {");
+    assert.equal (EditorClipboardHistory.preview ("abcdef", 4), "abc…");
+  });
+
+  it ("collects the text that the cursors copy", () => {
+    const store = storeWith ("one two");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 4 }, true);
+    store.cursors.copy ();
+    assert.deepEqual (store.clipboardHistory.entries, [ "two" ]);
+  });
+});
+
+describe ("EditorPasteHistory", () => {
+  it ("pastes the entry that is chosen in the popup", () => {
+    const store = storeWith ("", [ "one", "two", "three" ]);
+
+    assert.ok (!storeWith ("").pasteHistory.open ());
+    assert.ok (store.pasteHistory.open ());
+
+    store.pasteHistory.moveSelection (-1);
+    assert.equal (store.pasteHistory.selected, 2);
+    store.pasteHistory.moveSelection (1);
+    store.pasteHistory.moveSelection (1);
+
+    assert.ok (store.pasteHistory.accept ());
+    assert.ok (!store.pasteHistory.visible);
+    assert.equal (store.lines.getText (), "two");
+  });
+
+  it ("keeps the selection of the popup within the entries as the history changes", () => {
+    const store = storeWith ("", [ "one", "two" ]);
+
+    store.pasteHistory.open ();
+    store.pasteHistory.select (5);
+    assert.equal (store.pasteHistory.selected, 1);
+
+    store.clipboardHistory.clear ();
+    assert.ok (!store.pasteHistory.visible);
+  });
+
+  it ("replaces the text that was just pasted with older entries, wrapping around", () => {
+    const store = storeWith ("> ", [ "one", "two", "three" ]);
+
+    store.paste ("three");
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.equal (store.lines.getText (), "> two");
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.equal (store.lines.getText (), "> three");
+
+    assert.ok (store.pasteHistory.yankPop (true));
+    assert.equal (store.lines.getText (), "> one");
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "> three");
+  });
+
+  it ("ends the cycle once a cursor is moved or the pasted text is changed", () => {
+    const store = storeWith ("", [ "one", "two" ]);
+
+    store.paste ("two");
+    store.cursors.primary.moveLeft (1);
+    assert.ok (!store.pasteHistory.yankPop ());
+
+    store.cursors.primary.moveEnd ();
+    store.paste ("two");
+    store.composition.insert ("!");
+    assert.ok (!store.pasteHistory.yankPop ());
+  });
+
+  it ("adds text that was pasted from elsewhere to the history, with its line breaks normalised", () => {
+    const store = storeWith ("", [ "one" ]);
+
+    store.paste ("x\r\ny");
+    assert.equal (store.clipboardHistory.get (0), "x\ny");
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.equal (store.lines.getText (), "one");
+  });
+
+  it ("distributes the entries between the cursors when they have a line for each", () => {
+    const store = storeWith ("a\nb", [ "1\n2", "3\n4" ]);
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.cursors.toggleCursorAt (new EditorPosition (1, 1));
+    store.paste ("3\n4");
+    assert.equal (store.lines.getText (), "a3\nb4");
+
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.equal (store.lines.getText (), "a1\nb2");
+  });
+
+  it ("continues from the text it pasted when other stores have added entries", () => {
+    const shared = new EditorClipboardHistory ();
+    const store  = storeWith ("", [ "one", "two" ], shared);
+    const other  = storeWith ("", [], shared);
+
+    store.paste ("two");
+    other.clipboardHistory.push ("elsewhere");
+    assert.ok (store.pasteHistory.yankPop ());
+    assert.equal (store.lines.getText (), "one");
+  });
+
+  it ("is unbound from a shared history once the store is disposed", () => {
+    const store = storeWith ("", [ "one" ]);
+    const fired = [];
+
+    store.pasteHistory.open ();
+    store.pasteHistory.Changed.bindTo (null, () => fired.push ("changed"));
+    store.dispose ();
+
+    store.clipboardHistory.clear ();
+    assert.deepEqual (fired, []);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorSearch } from "../src/EditorSearch.js";
+
+/* Open the search of a store, with a query */
+function search (text, query, options) {
+  const store = new EditorStore ({}, text);
+
+  store.search.open ();
+  store.search.setQuery (query, options);
+  return store;
+}
+
+/* The regions of the matches of a search, as strings */
+function regions (store) {
+  return store.search.matches.map (match => match.region.toString ());
+}
+
+describe ("EditorSearch", () => {
+  it ("finds the matches of the query, with the case and whole-word options", () => {
+    const text = "Foo food\nfoo";
+
+    assert.equal (search (text, "foo").search.matches.length, 3);
+    assert.equal (search (text, "foo", { caseSensitive: true }).search.matches.length, 2);
+    assert.equal (search (text, "foo", { wholeWord: true }).search.matches.length, 2);
+    assert.equal (search (text, "f.o").search.matches.length, 0);
+  });
+
+  it ("finds the matches of a regular expression, and reports an invalid one", () => {
+    const store = search ("a1 b22\nc333", "\\d+", { regex: true });
+
+    assert.deepEqual (store.search.matches.map (match => match.captures[0]), [ "1", "22", "333" ]);
+
+    store.search.setQuery ("(", { regex: true });
+    assert.deepEqual (store.search.matches, []);
+    assert.ok (store.search.error);
+  });
+
+  it ("finds matches across lines when the regular expression has a line break", () => {
+    const store = search ("one\ntwo\nthree", "[eo]\\nt", { regex: true });
+
+    assert.deepEqual (store.search.matches.map (match => match.region.endLine), [ 1, 2 ]);
+  });
+
+  it ("limits the search to a multi-line selection", () => {
+    const store = new EditorStore ({}, "x x\nx x\nx x");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 2 });
+    store.cursors.primary.setPosition ({ line: 2, column: 1 }, true);
+    store.search.open ();
+    store.search.setQuery ("x");
+
+    assert.equal (store.search.matches.length, 4);
+  });
+
+  it ("selects the next and previous matches, wrapping around the document", () => {
+    const store  = search ("ab ab\nab", "ab");
+    const cursor = store.cursors.primary;
+
+    cursor.setPosition ({ line: 0, column: 1 });
+    assert.equal (store.search.findNext ().region.startColumn, 3);
+    assert.equal (store.search.findNext ().region.startLine, 1);
+    assert.equal (store.search.findNext ().region.startColumn, 0);
+    assert.equal (store.search.findPrevious ().region.startLine, 1);
+    assert.equal (store.search.current, 2);
+    assert.equal (cursor.selection.region.toString (), store.search.matches[2].region.toString ());
+  });
+
+  it ("replaces the selected match and moves on to the next one", () => {
+    const store = search ("a-a-a", "a");
+
+    assert.ok (!store.search.replace ("b"));
+    assert.ok (store.search.replace ("b"));
+    assert.equal (store.lines.getText (), "b-a-a");
+    assert.equal (store.cursors.primary.selection.region.startColumn, 2);
+  });
+
+  it ("replaces every match as a single step, with references to the captured groups", () => {
+    const store = search ("x.length\nlist.length", "(?<name>\\w+)\\.length", { regex: true });
+
+    assert.equal (store.search.replaceAll ("size ($<name>) $$1 $&"), 2);
+    assert.equal (store.lines.getText (), "size (x) $1 x.length\nsize (list) $1 list.length");
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "x.length\nlist.length");
+  });
+
+  it ("keeps the matches up to date as the text is edited, and highlights them", () => {
+    const store = search ("cat", "cat");
+
+    store.applyEdits ([ { region: new EditorRegion (0, 3, 0, 3), text: " cat" } ]);
+    assert.deepEqual (regions (store), [ "[0:0,0:3]", "[0:4,0:7]" ]);
+    assert.equal (store.decorations.getLayer (EditorSearch.LAYER).length, 2);
+
+    store.search.close ();
+    assert.equal (store.decorations.getLayer (EditorSearch.LAYER).length, 0);
+  });
+
+  it ("stops at the maximum number of matches", () => {
+    const store = new EditorStore ({}, "aaaaa");
+
+    assert.equal (EditorSearch.findMatches (store.lines, /a/g, null, 3).length, 3);
+  });
+});
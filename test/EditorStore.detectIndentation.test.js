@@ -0,0 +1,49 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorLineCollection } from "../src/EditorLineCollection.js";
+
+const FOUR_SPACES = "function f () {\n    if (x) {\n        y ();\n    }\n}";
+const TABS        = "function f () {\n\tif (x) {\n\t\ty ();\n\t}\n}";
+
+describe ("EditorStore#detectIndentation", () => {
+  it ("detects the indent size and style of some lines", () => {
+    assert.deepEqual (EditorLineCollection.detectIndentation (FOUR_SPACES.split ("\n")), { softTabs: true, tabSize: 4 });
+    assert.equal (EditorLineCollection.detectIndentation (TABS.split ("\n")).softTabs, false);
+    assert.deepEqual (EditorLineCollection.detectIndentation ([ "a", "b" ]), { softTabs: null, tabSize: null });
+  });
+
+  it ("ignores the single space that aligns a block comment", () => {
+    const lines = [ "/**", " * Comment", " */", "if (x) {", "  y ();", "}" ];
+
+    assert.equal (EditorLineCollection.detectIndentation (lines).tabSize, 2);
+  });
+
+  it ("applies the detected indentation to the configuration of the store", () => {
+    const spaces = new EditorStore ({}, FOUR_SPACES);
+    const tabs   = new EditorStore ({}, TABS);
+
+    assert.equal (spaces.config.tabSize, 4);
+    assert.equal (spaces.config.softTabs, true);
+    assert.equal (tabs.config.softTabs, false);
+  });
+
+  it ("keeps the indentation that is given in the configuration", () => {
+    const pinned   = new EditorStore ({ tabSize: 8 }, FOUR_SPACES);
+    const disabled = new EditorStore ({ detectIndentation: false }, TABS);
+
+    assert.equal (pinned.config.tabSize, 8);
+    assert.equal (pinned.config.softTabs, true);
+    assert.equal (disabled.config.softTabs, EditorStore.DefaultConfig.softTabs);
+  });
+
+  it ("fires an event with the detected indentation when text is loaded", () => {
+    const store = new EditorStore ({}, "");
+    const fired = [];
+
+    store.IndentationDetected.bindTo (null, indentation => fired.push (indentation));
+    store.lines.setText (FOUR_SPACES);
+
+    assert.deepEqual (fired, [ { softTabs: true, tabSize: 4 } ]);
+    assert.deepEqual (store.indentation, fired[0]);
+  });
+});
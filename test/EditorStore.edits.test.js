@@ -0,0 +1,68 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* Build the edits for applyEdits from [startLine, startColumn, endLine, endColumn, text] */
+function edits (list) {
+  return list.map (edit => ({ region: new EditorRegion (edit[0], edit[1], edit[2], edit[3]), text: edit[4] }));
+}
+
+describe ("EditorStore#applyEdits", () => {
+  it ("applies edits given in the coordinates of the original text", () => {
+    const store = new EditorStore ({}, "one two\nthree");
+
+    store.applyEdits (edits ([ [ 0, 0, 0, 3, "1" ], [ 0, 4, 0, 7, "2\n" ], [ 1, 0, 1, 5, "3" ] ]));
+    assert.equal (store.lines.getText (), "1 2\n\n3");
+  });
+
+  it ("inserts text at the same position in the order it is given", () => {
+    const store = new EditorStore ({}, "ab");
+
+    store.applyEdits (edits ([ [ 0, 1, 0, 1, "x" ], [ 0, 1, 0, 1, "y" ] ]));
+    assert.equal (store.lines.getText (), "axyb");
+  });
+
+  it ("accepts an insertion at the start of a replaced region in either order", () => {
+    const forward  = new EditorStore ({}, "abcdef");
+    const backward = new EditorStore ({}, "abcdef");
+
+    forward.applyEdits (edits ([ [ 0, 2, 0, 2, "[" ], [ 0, 2, 0, 4, "X" ] ]));
+    backward.applyEdits (edits ([ [ 0, 2, 0, 4, "X" ], [ 0, 2, 0, 2, "[" ] ]));
+
+    assert.equal (forward.lines.getText (), "ab[Xef");
+    assert.equal (backward.lines.getText (), "ab[Xef");
+  });
+
+  it ("throws for overlapping or invalid regions without applying any edit", () => {
+    const store = new EditorStore ({}, "abcdef");
+
+    assert.throws (() => store.applyEdits (edits ([ [ 0, 0, 0, 3, "" ], [ 0, 2, 0, 4, "" ] ])), /overlaps/);
+    assert.throws (() => store.applyEdits (edits ([ [ 0, 0, 0, 1, "" ], [ 0, 2, 1, 0, "" ] ])), /Invalid region/);
+    assert.equal (store.lines.getText (), "abcdef");
+  });
+
+  it ("does not record a replacement that leaves the text as it was", () => {
+    const store = new EditorStore ({}, "abc");
+
+    store.applyEdits (edits ([ [ 0, 0, 0, 3, "abc" ] ]));
+    assert.ok (!store.history.canUndo);
+  });
+});
+
+describe ("EditorStore text access", () => {
+  const store = new EditorStore ({}, "one\ntwo\nthree");
+
+  it ("gets the text in a region", () => {
+    assert.equal (store.getTextInRange (new EditorRegion (0, 1, 2, 2)), "ne\ntwo\nth");
+    assert.equal (store.getTextInRange (new EditorRegion (1, 1, 1, 1)), "");
+  });
+
+  it ("converts between offsets and positions", () => {
+    assert.equal (store.offsetAt (new EditorPosition (2, 1)), 9);
+    assert.ok (store.positionAt (9).equals (new EditorPosition (2, 1)));
+    assert.ok (store.positionAt (4).equals (new EditorPosition (1, 0)));
+    assert.ok (store.positionAt (1000).equals (new EditorPosition (2, 5)));
+    assert.ok (store.positionAt (-5).equals (new EditorPosition (0, 0)));
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+/* Insert some text at the start of the document */
+function edit (store, text) {
+  store.applyEdits ([ { region: new EditorRegion (0, 0, 0, 0), text: text } ]);
+}
+
+describe ("EditorStore modified state", () => {
+  it ("starts unmodified, and is modified by an edit", () => {
+    const store = new EditorStore ({}, "text");
+    const fired = [];
+
+    store.ModifiedChanged.bindTo (null, modified => fired.push (modified));
+    assert.ok (!store.isModified);
+
+    edit (store, "a");
+    edit (store, "b");
+    assert.ok (store.isModified);
+    assert.deepEqual (fired, [ true ]);
+  });
+
+  it ("is unmodified again when the edits are undone back to the save point", () => {
+    const store = new EditorStore ({}, "text");
+
+    edit (store, "a");
+    store.markSaved ();
+    assert.ok (!store.isModified);
+
+    edit (store, "b");
+    store.history.undo ();
+    assert.ok (!store.isModified);
+
+    store.history.undo ();
+    assert.ok (store.isModified);
+
+    store.history.redo ();
+    assert.ok (!store.isModified);
+  });
+
+  it ("cannot get back to a save point once the steps after it have been replaced", () => {
+    const store = new EditorStore ({}, "text");
+
+    edit (store, "a");
+    store.markSaved ();
+    store.history.undo ();
+    edit (store, "b");
+
+    assert.ok (store.isModified);
+    store.history.undo ();
+    assert.ok (store.isModified);
+  });
+
+  it ("cannot get back to a save point that has dropped out of the undo limit", () => {
+    const store = new EditorStore ({ undoLimit: 2 }, "text");
+
+    edit (store, "a");
+    store.markSaved ();
+    edit (store, "b");
+    edit (store, "c");
+    edit (store, "d");
+
+    store.history.undo ();
+    store.history.undo ();
+    assert.ok (store.isModified);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorPosition } from "../src/EditorPosition.js";
+
+/* A store with a cursor at the start of each line */
+function cursorPerLine (text) {
+  const store = new EditorStore ({}, text);
+
+  for (var index = 1; index < store.lines.length; index++) {
+    store.cursors.toggleCursorAt (new EditorPosition (index, 0));
+  }
+
+  return store;
+}
+
+describe ("EditorStore#paste", () => {
+  it ("pastes the whole text at a single cursor", () => {
+    const store = new EditorStore ({}, "ab");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.paste ("x\ny");
+    assert.equal (store.lines.getText (), "ax\nyb");
+    assert.deepEqual ([ store.cursors.primary.position.line, store.cursors.primary.position.column ], [ 1, 1 ]);
+  });
+
+  it ("gives each cursor the text that it copied", () => {
+    const store = cursorPerLine ("one\ntwo\nthree");
+
+    store.cursors.forEach (cursor => cursor.moveEnd (true));
+    const copied = store.cursors.copy ();
+    store.cursors.forEach (cursor => cursor.moveEnd ());
+
+    store.paste (copied);
+    assert.equal (store.lines.getText (), "oneone\ntwotwo\nthreethree");
+  });
+
+  it ("gives each cursor a line when the text has a line for every cursor", () => {
+    const store = cursorPerLine ("a\nb\nc");
+
+    store.paste ("1\r\n2\r\n3");
+    assert.equal (store.lines.getText (), "1a\n2b\n3c");
+  });
+
+  it ("pastes the whole text at every cursor when it cannot be distributed, or is not to be", () => {
+    const store = cursorPerLine ("a\nb");
+
+    store.paste ("x\ny\nz");
+    assert.equal (store.lines.getText (), "x\ny\nza\nx\ny\nzb");
+
+    const other = cursorPerLine ("a\nb");
+    other.paste ("1\n2", false);
+    assert.equal (other.lines.getText (), "1\n2a\n1\n2b");
+  });
+
+  it ("splits the text into a line for each of several cursors", () => {
+    const store = new EditorStore ({}, "");
+
+    assert.deepEqual (store.splitPaste ("a\r\nb\rc", 3), [ "a", "b", "c" ]);
+    assert.equal (store.splitPaste ("a\nb", 3), null);
+    assert.equal (store.splitPaste ("a", 1), null);
+  });
+
+  it ("pastes as a single undoable step", () => {
+    const store = cursorPerLine ("a\nb");
+
+    store.paste ("1\n2");
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "a\nb");
+  });
+});
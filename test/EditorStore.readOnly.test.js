@@ -0,0 +1,66 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+describe ("EditorStore read-only text", () => {
+  it ("rejects the edits of the user in read-only mode, but still moves the cursors", () => {
+    const store    = new EditorStore ({ readOnly: true }, "abc");
+    const cursor   = store.cursors.primary;
+    const rejected = [];
+
+    store.EditRejected.bindTo (null, (region, target) => rejected.push (target));
+
+    cursor.setPosition ({ line: 0, column: 1 });
+    store.composition.insert ("x");
+    cursor.deleteBackwards (1);
+    cursor.moveRight (1);
+
+    assert.equal (store.lines.getText (), "abc");
+    assert.equal (cursor.position.column, 2);
+    assert.deepEqual (rejected, [ null, null ]);
+  });
+
+  it ("rejects edits that change the text of a read-only region", () => {
+    const store  = new EditorStore ({}, "head\nbody");
+    const header = store.addReadOnlyRegion (new EditorRegion (0, 0, 1, 0));
+    const cursor = store.cursors.primary;
+    var   target = null;
+
+    store.EditRejected.bindTo (null, (region, rejected) => target = rejected);
+
+    cursor.setPosition ({ line: 0, column: 2 });
+    store.composition.insert ("x");
+    assert.equal (store.lines.getText (), "head\nbody");
+    assert.equal (target, header);
+
+    cursor.setPosition ({ line: 1, column: 0 });
+    cursor.deleteBackwards (1);
+    assert.equal (store.lines.getText (), "head\nbody");
+  });
+
+  it ("allows text to be inserted at either end of a read-only region", () => {
+    const store  = new EditorStore ({}, "abcdef");
+    const region = store.addReadOnlyRegion (new EditorRegion (0, 2, 0, 4));
+
+    store.cursors.primary.setPosition ({ line: 0, column: 2 });
+    store.composition.insert ("<");
+    store.cursors.primary.setPosition ({ line: 0, column: 5 });
+    store.composition.insert (">");
+
+    assert.equal (store.lines.getText (), "ab<cd>ef");
+    assert.equal (store.getTextInRange (region), "cd");
+  });
+
+  it ("does not restrict edits made through the API, and can be removed", () => {
+    const store  = new EditorStore ({}, "abc");
+    const region = store.addReadOnlyRegion (new EditorRegion (0, 0, 0, 3));
+
+    store.applyEdits ([ { region: new EditorRegion (0, 1, 0, 2), text: "X" } ]);
+    assert.equal (store.lines.getText (), "aXc");
+
+    assert.ok (!store.canEdit (new EditorRegion (0, 1, 0, 1)));
+    assert.ok (store.removeReadOnlyRegion (region));
+    assert.ok (store.canEdit (new EditorRegion (0, 1, 0, 1)));
+    assert.throws (() => store.addReadOnlyRegion (new EditorRegion (5, 0, 5, 1)), /Invalid read-only region/);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+import { EditorSyntaxEngine } from "../src/EditorSyntax.js";
+
+/* A store with the indentation given in the configuration, rather than detected from the text */
+function storeWith (soft_tabs, text) {
+  return new EditorStore ({ softTabs: soft_tabs, tabSize: 4, detectIndentation: false }, text);
+}
+
+describe ("EditorStore hard tabs", () => {
+  it ("inserts a tab character when soft tabs are off", () => {
+    const store = storeWith (false, "ab");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.cursors.primary.insertTab ();
+    assert.equal (store.lines.getText (), "a\tb");
+  });
+
+  it ("inserts spaces up to the next tab stop when soft tabs are on", () => {
+    const store = storeWith (true, "ab");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 1 });
+    store.cursors.primary.insertTab ();
+    assert.equal (store.lines.getText (), "a   b");
+  });
+
+  it ("moves over and deletes a tab as a single character", () => {
+    const store  = storeWith (false, "\t\tx");
+    const cursor = store.cursors.primary;
+
+    cursor.setPosition ({ line: 0, column: 2 });
+    cursor.moveLeft (1);
+    assert.equal (cursor.position.column, 1);
+
+    cursor.deleteBackwards (1);
+    assert.equal (store.lines.getText (), "\tx");
+  });
+
+  it ("measures the indentation of a line in visual columns", () => {
+    const store = storeWith (false, "\t  x\n \tx");
+
+    assert.equal (store.lines.get (0).indent, 6);
+    assert.equal (store.lines.get (1).indent, 4);
+  });
+
+  it ("converts the indentation of the document between tabs and spaces", () => {
+    const store = storeWith (false, "\tone\n      two\nthree");
+
+    store.convertIndentation (false);
+    assert.equal (store.lines.getText (), "\tone\n\t  two\nthree");
+
+    store.convertIndentation (true);
+    assert.equal (store.lines.getText (), "    one\n      two\nthree");
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "\tone\n\t  two\nthree");
+  });
+
+  it ("converts the indentation of the lines of a selection only", () => {
+    const store = storeWith (false, "    a\n    b\n    c");
+
+    store.convertIndentation (false, [ new EditorRegion (1, 0, 2, 0) ]);
+    assert.equal (store.lines.getText (), "    a\n\tb\n\tc");
+  });
+
+  it ("expands a tab after a wide character to the next tab stop when highlighting", () => {
+    const engine = new EditorSyntaxEngine (EditorSyntaxEngine.JavaScript);
+    const result = engine.highlightLine ("中\tb", 0, 4);
+    const text   = result.regions.map (region => region.text).join ("");
+
+    assert.equal (text, "中  b");
+  });
+});
@@ -0,0 +1,67 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorRegion } from "../src/EditorRegion.js";
+
+describe ("EditorStore#transact", () => {
+  it ("fires a single change event for the edits of a transaction", () => {
+    const store = new EditorStore ({}, "a\nb\nc");
+    const fired = [];
+
+    store.lines.LinesChanged.bindTo (null, changes => fired.push (changes.length));
+    store.lines.LineContentChanged.bindTo (null, () => fired.push ("line"));
+
+    store.transact (() => {
+      store.lines.replaceRegion (new EditorRegion (0, 0, 0, 1), "x");
+      store.lines.replaceRegion (new EditorRegion (1, 0, 1, 1), "y");
+      store.lines.replaceRegion (new EditorRegion (2, 1, 2, 1), "\nz");
+    });
+
+    assert.deepEqual (fired, [ 3 ]);
+    assert.equal (store.lines.getText (), "x\ny\nc\nz");
+  });
+
+  it ("fires the content change of a single line when only that line changed", () => {
+    const store = new EditorStore ({}, "a\nb");
+    const fired = [];
+
+    store.lines.LinesChanged.bindTo (null, () => fired.push ("lines"));
+    store.lines.LineContentChanged.bindTo (null, line => fired.push (line.index));
+
+    store.transact (() => store.lines.replaceRegion (new EditorRegion (1, 1, 1, 1), "c"));
+    assert.deepEqual (fired, [ 1 ]);
+  });
+
+  it ("fires nothing until the outermost transaction ends", () => {
+    const store = new EditorStore ({}, "a");
+    var   fired = 0;
+
+    store.lines.LineContentChanged.bindTo (null, () => fired++);
+
+    store.transact (() => {
+      store.transact (() => store.lines.replaceRegion (new EditorRegion (0, 1, 0, 1), "b"));
+      assert.equal (fired, 0);
+    });
+
+    assert.equal (fired, 1);
+  });
+
+  it ("records a transaction as a single step of the history", () => {
+    const store = new EditorStore ({}, "a\nb");
+
+    store.transact (() => {
+      store.lines.replaceRegion (new EditorRegion (0, 0, 0, 1), "x");
+      store.lines.replaceRegion (new EditorRegion (1, 0, 1, 1), "y");
+    });
+
+    store.history.undo ();
+    assert.equal (store.lines.getText (), "a\nb");
+  });
+
+  it ("returns the result of the action, and ends the transaction if it throws", () => {
+    const store = new EditorStore ({}, "a");
+
+    assert.equal (store.transact (() => 42), 42);
+    assert.throws (() => store.transact (() => { throw new Error ("failed"); }), /failed/);
+    assert.equal (store.lines.updateDepth, 0);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "assert";
+import { EditorStore } from "../src/EditorStore.js";
+import { EditorUnicode } from "../src/EditorUnicode.js";
+
+/* A store with a single line, and the cursor at the end of it */
+function storeAtEnd (text) {
+  const store = new EditorStore ({}, text);
+
+  store.cursors.primary.setPosition ({ line: 0, column: text.length });
+  return store;
+}
+
+describe ("EditorUnicode", () => {
+  it ("finds the boundaries of grapheme clusters", () => {
+    assert.deepEqual (EditorUnicode.boundaries ("ét😀"), [ 0, 2, 3, 5 ]);
+    assert.deepEqual (EditorUnicode.boundaries ("🇬🇧!"), [ 0, 4, 5 ]);
+    assert.equal (EditorUnicode.count ("a👍🏽b"), 3);
+  });
+
+  it ("snaps an index inside a cluster to the start of the cluster", () => {
+    assert.equal (EditorUnicode.snap ("a😀b", 2), 1);
+    assert.equal (EditorUnicode.snap ("a😀b", 3), 3);
+  });
+
+  it ("moves the cursor a cluster at a time", () => {
+    const store  = storeAtEnd ("a😀é");
+    const cursor = store.cursors.primary;
+
+    cursor.moveLeft (1);
+    assert.equal (cursor.position.column, 3);
+    cursor.moveLeft (1);
+    assert.equal (cursor.position.column, 1);
+    cursor.moveRight (2);
+    assert.equal (cursor.position.column, 5);
+  });
+
+  it ("deletes a cluster at a time", () => {
+    const store  = storeAtEnd ("x👨‍👩‍👧é");
+    const cursor = store.cursors.primary;
+
+    cursor.deleteBackwards (1);
+    assert.equal (store.lines.getText (), "x👨‍👩‍👧");
+    cursor.deleteBackwards (1);
+    assert.equal (store.lines.getText (), "x");
+
+    cursor.setPosition ({ line: 0, column: 0 });
+    store.lines.get (0).insertText (1, "😀");
+    cursor.moveRight (1);
+    cursor.deleteForwards (1);
+    assert.equal (store.lines.getText (), "x");
+  });
+
+  it ("never places the cursor inside a cluster", () => {
+    const store = new EditorStore ({}, "a😀b");
+
+    store.cursors.primary.setPosition ({ line: 0, column: 2 });
+    assert.equal (store.cursors.primary.position.column, 1);
+  });
+});
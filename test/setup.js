@@ -0,0 +1,13 @@
+/*
+ * Set up the environment for the tests, which run in Node rather than in a browser.
+ *
+ * The store only needs the timers of the window (such as for the blinking of the cursors), which
+ * never fire in the tests: the state of the store is checked straight after each change.
+ */
+
+global.window = {
+  setInterval:   () => 0,
+  clearInterval: () => {},
+  setTimeout:    () => 0,
+  clearTimeout:  () => {}
+};